@@ -2,7 +2,9 @@
  * Audio Capture Module for Notu.AI Meet Bot
  * 
  * Captures meeting audio using background script's tabCapture API.
- * Sends chunks to backend for Whisper transcription via message relay.
+ * The background script streams chunks straight to the orchestrator's
+ * binary audio socket when one is configured; otherwise chunks come back
+ * here as base64 and are relayed to the orchestrator via postMessage.
  */
 
 class AudioCapture {
@@ -15,9 +17,10 @@ class AudioCapture {
 
   /**
    * Start capturing audio from the current tab
-   * This sends a message to background script to start tabCapture
+   * This sends a message to background script to start tabCapture;
+   * `ingest` ({ url, window }) is the orchestrator's binary audio socket
    */
-  async start(meetingId) {
+  async start(meetingId, ingest = null) {
     if (this.isRecording) {
       console.log('[AudioCapture] Already recording');
       return true;
@@ -31,7 +34,7 @@ class AudioCapture {
       this.setupChunkListener();
       
       // Request background script to start tabCapture
-      const result = await this.sendToBackground('start_audio_capture', { meetingId });
+      const result = await this.sendToBackground('start_audio_capture', { meetingId, ingest });
       
       if (result && result.success) {
         this.isRecording = true;
@@ -75,20 +78,22 @@ class AudioCapture {
     this.chunkCount++;
     console.log('[AudioCapture] Received chunk', this.chunkCount, 'size:', data.size, 'bytes');
     
-    const payload = {
+    // Protocol envelope - keep in sync with src/extensionProtocol.ts
+    const message = {
+      source: 'notu-bot-extension',
+      version: 1,
       type: 'audio_chunk',
-      meetingId: this.meetingId,
-      audioData: data.audioData,
-      timestamp: data.timestamp,
-      duration: data.duration,
-      mimeType: 'audio/webm',
+      data: {
+        audioData: data.audioData,
+        timestamp: data.timestamp,
+        duration: data.duration,
+        mimeType: 'audio/webm',
+      },
+      timestamp: Date.now(),
     };
 
     // Send via postMessage to be picked up by the orchestrator (meetBot.ts)
-    window.postMessage({
-      source: 'notu-bot-extension',
-      ...payload,
-    }, '*');
+    window.postMessage(message, '*');
 
     console.log('[AudioCapture] Chunk forwarded to orchestrator');
   }
@@ -114,21 +119,41 @@ class AudioCapture {
     });
   }
 
+  /**
+   * Pause capture without ending the recording
+   */
+  async pause() {
+    if (!this.isRecording) return false;
+    const result = await this.sendToBackground('pause_audio_capture');
+    return !!(result && result.success);
+  }
+
+  /**
+   * Resume capture after pause()
+   */
+  async resume() {
+    if (!this.isRecording) return false;
+    const result = await this.sendToBackground('resume_audio_capture');
+    return !!(result && result.success);
+  }
+
   /**
    * Stop audio capture
+   * Resolves once the final chunk has been delivered; the chunk listener
+   * stays up until then, since the relayed last chunk arrives through it
    */
   async stop() {
     console.log('[AudioCapture] Stopping...');
     
+    if (this.isRecording) {
+      await this.sendToBackground('stop_audio_capture');
+    }
+    
     if (this.messageHandler) {
       chrome.runtime.onMessage.removeListener(this.messageHandler);
       this.messageHandler = null;
     }
     
-    if (this.isRecording) {
-      await this.sendToBackground('stop_audio_capture');
-    }
-    
     this.isRecording = false;
     console.log('[AudioCapture] Stopped, total chunks:', this.chunkCount);
   }
@@ -14,14 +14,20 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   // Handle audio capture requests
   if (message.type === 'start_audio_capture') {
     console.log('[Background] Starting audio capture for tab:', tabId);
-    startTabAudioCapture(tabId, message.meetingId, sendResponse);
+    startTabAudioCapture(tabId, message.meetingId, message.ingest, sendResponse);
     return true; // Keep channel open for async response
   }
   
   if (message.type === 'stop_audio_capture') {
     console.log('[Background] Stopping audio capture for tab:', tabId);
-    stopTabAudioCapture(tabId);
-    sendResponse({ success: true });
+    // Answer once the last chunk is delivered, so the bot can leave after
+    stopTabAudioCapture(tabId).then(() => sendResponse({ success: true }));
+    return true;
+  }
+
+  if (message.type === 'pause_audio_capture' || message.type === 'resume_audio_capture') {
+    console.log('[Background]', message.type, 'for tab:', tabId);
+    sendResponse({ success: setTabAudioCapturePaused(tabId, message.type === 'pause_audio_capture') });
     return true;
   }
   
@@ -107,10 +113,143 @@ chrome.runtime.onConnectExternal?.addListener((port) => {
   });
 });
 
+// ============ Binary Audio Uplink ============
+// Streams raw chunks to the orchestrator's loopback WebSocket.
+// Frame layout (big-endian) - keep in sync with src/audioTransport.ts:
+//   u8 version | u32 seq | f64 timestamp (ms) | u32 duration (ms) | payload
+const AUDIO_FRAME_VERSION = 1;
+const AUDIO_FRAME_HEADER_BYTES = 17;
+const UPLINK_MAX_QUEUED = 360; // 1 hour of 10s chunks while the orchestrator is unreachable
+const UPLINK_RECONNECT_MAX_MS = 10000;
+const UPLINK_FINISH_TIMEOUT_MS = 10000;
+
+class AudioUplink {
+  constructor(url, window) {
+    this.url = url;
+    this.window = window || 4; // Frames allowed in flight before an ack
+    this.queue = []; // Unacknowledged frames, oldest first: {seq, bytes}
+    this.nextSeq = 0;
+    this.sentCount = 0; // Frames at the head of the queue already sent on this socket
+    this.ws = null;
+    this.ready = false;
+    this.closed = false;
+    this.reconnectDelay = 1000;
+    this.onDrained = null;
+    this.connect();
+  }
+
+  connect() {
+    if (this.closed) return;
+
+    this.ready = false;
+    this.sentCount = 0;
+    const ws = new WebSocket(this.url);
+    ws.binaryType = 'arraybuffer';
+    this.ws = ws;
+
+    ws.onmessage = (event) => {
+      const message = JSON.parse(event.data);
+      if (message.type === 'ready') {
+        // Drop anything the orchestrator already has, resend the rest
+        this.queue = this.queue.filter((frame) => frame.seq >= message.nextSeq);
+        this.window = message.window || this.window;
+        this.ready = true;
+        this.reconnectDelay = 1000;
+        this.pump();
+      } else if (message.type === 'ack') {
+        const before = this.queue.length;
+        this.queue = this.queue.filter((frame) => frame.seq > message.seq);
+        this.sentCount = Math.max(0, this.sentCount - (before - this.queue.length));
+        this.pump();
+      }
+    };
+
+    ws.onclose = () => {
+      if (this.ws !== ws) return;
+      this.ws = null;
+      this.ready = false;
+      if (this.closed) return;
+
+      console.warn('[Background] Audio uplink closed, reconnecting in', this.reconnectDelay, 'ms');
+      setTimeout(() => this.connect(), this.reconnectDelay);
+      this.reconnectDelay = Math.min(this.reconnectDelay * 2, UPLINK_RECONNECT_MAX_MS);
+    };
+
+    ws.onerror = () => {
+      console.error('[Background] Audio uplink error');
+    };
+  }
+
+  push(arrayBuffer, timestamp, durationMs) {
+    const payload = new Uint8Array(arrayBuffer);
+    const bytes = new Uint8Array(AUDIO_FRAME_HEADER_BYTES + payload.byteLength);
+    const header = new DataView(bytes.buffer);
+    const seq = this.nextSeq++;
+
+    header.setUint8(0, AUDIO_FRAME_VERSION);
+    header.setUint32(1, seq);
+    header.setFloat64(5, timestamp);
+    header.setUint32(13, durationMs);
+    bytes.set(payload, AUDIO_FRAME_HEADER_BYTES);
+
+    this.queue.push({ seq, bytes });
+    if (this.queue.length > UPLINK_MAX_QUEUED) {
+      const dropped = this.queue.shift();
+      this.sentCount = Math.max(0, this.sentCount - 1);
+      console.error('[Background] Audio uplink backlog full, dropped chunk', dropped.seq);
+    }
+    this.pump();
+  }
+
+  // Send queued frames while the window allows
+  pump() {
+    if (this.ready && this.ws && this.ws.readyState === WebSocket.OPEN) {
+      while (this.sentCount < this.queue.length && this.sentCount < this.window) {
+        this.ws.send(this.queue[this.sentCount].bytes);
+        this.sentCount++;
+      }
+    }
+
+    if (this.queue.length === 0 && this.onDrained) {
+      this.onDrained();
+    }
+  }
+
+  // Close once every frame is acknowledged, or after a timeout
+  finish() {
+    return new Promise((resolve) => {
+      const done = () => {
+        clearTimeout(timer);
+        this.onDrained = null;
+        this.closed = true;
+        if (this.ws) this.ws.close(1000);
+        resolve();
+      };
+      const timer = setTimeout(() => {
+        console.warn('[Background] Audio uplink closed with', this.queue.length, 'chunks unacknowledged');
+        done();
+      }, UPLINK_FINISH_TIMEOUT_MS);
+
+      this.onDrained = done;
+      this.pump();
+    });
+  }
+}
+
+// Base64 for the postMessage relay, in slices rather than byte by byte
+function toBase64(arrayBuffer) {
+  const bytes = new Uint8Array(arrayBuffer);
+  const parts = [];
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    parts.push(String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000)));
+  }
+  return btoa(parts.join(''));
+}
+
 // ============ Tab Audio Capture ============
-let activeCaptures = new Map(); // tabId -> {mediaRecorder, stream, meetingId}
+let activeCaptures = new Map(); // tabId -> {mediaRecorder, stream, meetingId, uplink, stopped}
 
-function startTabAudioCapture(tabId, meetingId, sendResponse) {
+function startTabAudioCapture(tabId, meetingId, ingest, sendResponse) {
   if (activeCaptures.has(tabId)) {
     console.log('[Background] Already capturing for tab:', tabId);
     sendResponse({ success: true, message: 'Already capturing' });
@@ -141,47 +280,78 @@ function startTabAudioCapture(tabId, meetingId, sendResponse) {
         audioBitsPerSecond: 64000,
       });
       
-      mediaRecorder.ondataavailable = async (event) => {
-        if (event.data.size > 0) {
-          console.log('[Background] Audio chunk:', event.data.size, 'bytes');
-          
-          // Convert blob to base64
+      // Straight to the orchestrator when it gave us a socket
+      const uplink = ingest && ingest.url ? new AudioUplink(ingest.url, ingest.window) : null;
+
+      // Chunks are converted one at a time so they stay in order
+      let chunkChain = Promise.resolve();
+
+      // Time actually recorded into the current chunk: a chunk spanning a
+      // pause is shorter than the timeslice, and so is the final one
+      let recordedMs = 0;
+      let recordingSince = null;
+      mediaRecorder.onstart = () => { recordingSince = Date.now(); };
+      mediaRecorder.onresume = () => { recordingSince = Date.now(); };
+      mediaRecorder.onpause = () => {
+        recordedMs += Date.now() - recordingSince;
+        recordingSince = null;
+      };
+
+      mediaRecorder.ondataavailable = (event) => {
+        const timestamp = Date.now();
+        const durationMs = recordedMs + (recordingSince === null ? 0 : timestamp - recordingSince);
+        recordedMs = 0;
+        if (recordingSince !== null) recordingSince = timestamp;
+
+        if (event.data.size === 0) return;
+
+        console.log('[Background] Audio chunk:', event.data.size, 'bytes', durationMs, 'ms');
+
+        chunkChain = chunkChain.then(async () => {
           const arrayBuffer = await event.data.arrayBuffer();
-          const bytes = new Uint8Array(arrayBuffer);
-          let binary = '';
-          for (let i = 0; i < bytes.byteLength; i++) {
-            binary += String.fromCharCode(bytes[i]);
+
+          if (uplink) {
+            uplink.push(arrayBuffer, timestamp, durationMs);
+            return;
           }
-          const base64 = btoa(binary);
-          
-          // Send to content script
+
+          // Send to content script; waiting for its answer keeps the
+          // last chunk ahead of the stop_audio_capture response
           try {
-            chrome.tabs.sendMessage(tabId, {
+            await chrome.tabs.sendMessage(tabId, {
               type: 'audio_chunk_data',
-              audioData: base64,
+              audioData: toBase64(arrayBuffer),
               size: event.data.size,
-              timestamp: Date.now(),
-              duration: 10, // 10 second chunks
+              timestamp,
+              duration: durationMs / 1000,
               meetingId: meetingId,
             });
           } catch (err) {
             console.error('[Background] Failed to send chunk to content:', err);
           }
-        }
+        });
       };
       
       mediaRecorder.onerror = (error) => {
         console.error('[Background] MediaRecorder error:', error);
       };
       
+      // Settles once the final chunk is delivered after stop
+      let onStopped;
+      const stopped = new Promise((resolve) => { onStopped = resolve; });
+
       mediaRecorder.onstop = () => {
         console.log('[Background] MediaRecorder stopped for tab:', tabId);
         stream.getTracks().forEach(track => track.stop());
         activeCaptures.delete(tabId);
+        // The final chunk is still being converted; deliver it before closing
+        chunkChain
+          .then(() => uplink && uplink.finish())
+          .then(onStopped);
       };
       
       mediaRecorder.start(10000); // 10 second chunks
-      activeCaptures.set(tabId, { mediaRecorder, stream, meetingId });
+      activeCaptures.set(tabId, { mediaRecorder, stream, meetingId, uplink, stopped });
       
       console.log('[Background] Audio recording started for tab:', tabId);
       sendResponse({ success: true });
@@ -194,18 +364,37 @@ function startTabAudioCapture(tabId, meetingId, sendResponse) {
   });
 }
 
+// Pausing the recorder (rather than stopping it) keeps one continuous
+// WebM stream, so chunks after a resume still append to the recording
+function setTabAudioCapturePaused(tabId, paused) {
+  const capture = activeCaptures.get(tabId);
+  if (!capture || !capture.mediaRecorder) return false;
+
+  const recorder = capture.mediaRecorder;
+  if (paused && recorder.state === 'recording') {
+    recorder.pause();
+  } else if (!paused && recorder.state === 'paused') {
+    recorder.resume();
+  }
+  return true;
+}
+
+// Resolves once the final chunk is delivered (and the uplink drained)
 function stopTabAudioCapture(tabId) {
   const capture = activeCaptures.get(tabId);
-  if (capture) {
-    console.log('[Background] Stopping capture for tab:', tabId);
-    if (capture.mediaRecorder && capture.mediaRecorder.state !== 'inactive') {
-      capture.mediaRecorder.stop();
-    }
-    if (capture.stream) {
-      capture.stream.getTracks().forEach(track => track.stop());
-    }
-    activeCaptures.delete(tabId);
+  if (!capture) return Promise.resolve();
+
+  console.log('[Background] Stopping capture for tab:', tabId);
+  activeCaptures.delete(tabId);
+  if (capture.mediaRecorder && capture.mediaRecorder.state !== 'inactive') {
+    // Tracks are stopped in onstop, after the recorder emits the last chunk
+    capture.mediaRecorder.stop();
+    return capture.stopped;
+  }
+  if (capture.stream) {
+    capture.stream.getTracks().forEach(track => track.stop());
   }
+  return Promise.resolve();
 }
 
 console.log('[Background] Service worker started with audio capture support');
@@ -0,0 +1,196 @@
+/**
+ * Notu.AI Meet Bot - Platform Adapter Registry
+ *
+ * Shared DOM helpers and the registry platform adapters add themselves to.
+ * Each adapter (meet.js, teams.js, zoom.js) implements:
+ *
+ *   id                      'meet' | 'teams' | 'zoom'
+ *   matches(url)            true if the adapter handles this page
+ *   isMeetingUrl(url)       true if the page is a joinable meeting (manual auto-start)
+ *   getMeetingId()          meeting identifier from the page URL
+ *   prepareJoin(config)     pre-join flow: mute media, enter name, dismiss popups
+ *   clickJoin()             click the join / ask-to-join button
+ *   getAdmissionState()     'in_meeting' | 'waiting' | 'denied'
+ *   enableCaptions()        turn on live captions
+ *   setCaptionLanguage(c)   optional; switch caption language
+ *   sendChatMessage(text)   post a chat message
+ *   openChat()              optional; open the chat panel and keep it open
+ *   readChatMessage(node)   optional; { id, sender, text, self } for a mutated
+ *                           chat node, or null
+ *   readCaption(node)       { speaker, text } for a mutated caption node, or null
+ *   readParticipants()      optional; { participants: [{ id, name }], total }
+ *                           for everyone but the bot; total counts everyone
+ *                           in the call including the bot, or is null
+ *   hasMeetingEnded()       true once the meeting is over
+ *   leave()                 click leave
+ *
+ * Adapters without the optional chat methods (Zoom, whose chat panel
+ * covers the captions) post messages but do not capture the chat; without
+ * readParticipants the roster is not tracked.
+ */
+
+(function() {
+  'use strict';
+
+  const NotuBot = window.NotuBot = window.NotuBot || {};
+  const adapters = [];
+
+  NotuBot.debug = true;
+
+  // ============ Logging ============
+  function log(...args) {
+    if (NotuBot.debug) {
+      console.log('[Notu.AI Bot]', ...args);
+    }
+  }
+
+  // ============ Human-like Delay ============
+  function randomDelay(min = 300, max = 800) {
+    return new Promise(resolve => {
+      const delay = Math.floor(Math.random() * (max - min + 1)) + min;
+      setTimeout(resolve, delay);
+    });
+  }
+
+  function isVisible(element) {
+    if (!element) return false;
+    const rect = element.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0;
+  }
+
+  // ============ Click Helpers ============
+  async function clickElement(selector, description) {
+    try {
+      const element = document.querySelector(selector);
+      if (isVisible(element)) {
+        await randomDelay(100, 300);
+        element.click();
+        log('✅ Clicked:', description || selector);
+        return true;
+      }
+    } catch (e) {
+      log('❌ Click error:', e);
+    }
+    return false;
+  }
+
+  // Click the first visible match of a list of selectors
+  async function clickFirst(selectors, description) {
+    for (const sel of selectors) {
+      if (await clickElement(sel, description)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  async function clickByText(searchTexts, timeout = 5000) {
+    const startTime = Date.now();
+    const texts = Array.isArray(searchTexts) ? searchTexts : [searchTexts];
+
+    while (Date.now() - startTime < timeout) {
+      // Search in buttons
+      const buttons = document.querySelectorAll('button, div[role="button"], a[role="button"]');
+      for (const btn of buttons) {
+        const btnText = btn.textContent?.toLowerCase() || '';
+        for (const text of texts) {
+          if (btnText.includes(text.toLowerCase()) && isVisible(btn)) {
+            await randomDelay(200, 400);
+            btn.click();
+            log('✅ Clicked button:', text);
+            return true;
+          }
+        }
+      }
+
+      await randomDelay(300, 500);
+    }
+
+    return false;
+  }
+
+  // ============ Keyboard & Typing ============
+  function pressKey(key, options = {}, target = document) {
+    target.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options }));
+  }
+
+  function pressEnter(target = document) {
+    const options = { key: 'Enter', code: 'Enter', keyCode: 13, which: 13, bubbles: true, cancelable: true };
+    target.dispatchEvent(new KeyboardEvent('keydown', options));
+    target.dispatchEvent(new KeyboardEvent('keypress', options));
+  }
+
+  async function pressEscape(times = 1) {
+    for (let i = 0; i < times; i++) {
+      pressKey('Escape');
+      await randomDelay(200, 400);
+    }
+  }
+
+  // Type into an input character by character so frameworks see each change.
+  // React-controlled inputs ignore plain `.value =` writes, so go through the
+  // native setter
+  async function typeText(input, text) {
+    const proto = input instanceof HTMLTextAreaElement ? HTMLTextAreaElement.prototype : HTMLInputElement.prototype;
+    const setValue = Object.getOwnPropertyDescriptor(proto, 'value')?.set;
+    const write = (value) => {
+      if (setValue) setValue.call(input, value);
+      else input.value = value;
+      input.dispatchEvent(new Event('input', { bubbles: true }));
+    };
+
+    input.focus();
+    await randomDelay(200, 400);
+
+    write('');
+    for (const char of text) {
+      write(input.value + char);
+      await randomDelay(30, 80);
+    }
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+
+  function findFirst(selectors) {
+    for (const sel of selectors) {
+      const element = document.querySelector(sel);
+      if (element) return element;
+    }
+    return null;
+  }
+
+  function bodyIncludes(texts) {
+    const bodyText = document.body?.innerText || '';
+    return texts.some(text => bodyText.includes(text));
+  }
+
+  // ============ Registry ============
+  function registerPlatform(adapter) {
+    adapters.push(adapter);
+  }
+
+  // Prefer the platform the orchestrator resolved from the meeting URL
+  function detectPlatform(url = window.location.href, preferredId = null) {
+    if (preferredId) {
+      const preferred = adapters.find(adapter => adapter.id === preferredId);
+      if (preferred) return preferred;
+    }
+    return adapters.find(adapter => adapter.matches(url)) || null;
+  }
+
+  NotuBot.dom = {
+    log,
+    randomDelay,
+    isVisible,
+    clickElement,
+    clickFirst,
+    clickByText,
+    pressKey,
+    pressEnter,
+    pressEscape,
+    typeText,
+    findFirst,
+    bodyIncludes,
+  };
+  NotuBot.registerPlatform = registerPlatform;
+  NotuBot.detectPlatform = detectPlatform;
+})();
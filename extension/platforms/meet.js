@@ -0,0 +1,636 @@
+/**
+ * Notu.AI Meet Bot - Google Meet Adapter
+ *
+ * DOM selectors and flows for meet.google.com, in English and Indonesian.
+ */
+
+(function() {
+  'use strict';
+
+  const { log, randomDelay, isVisible, clickFirst, clickByText, pressKey, pressEnter, pressEscape, typeText, findFirst, bodyIncludes } = window.NotuBot.dom;
+
+  // Caption languages by short code, as shown in Meet's caption settings
+  const CAPTION_LANGUAGES = {
+    id: { value: 'id-ID', label: 'Indonesia (Indonesia)' },
+    en: { value: 'en-US', label: 'English (United States)' },
+    ja: { value: 'ja-JP', label: 'Japanese (Japan)' },
+    es: { value: 'es-ES', label: 'Spanish (Spain)' },
+    fr: { value: 'fr-FR', label: 'French (France)' },
+    de: { value: 'de-DE', label: 'German (Germany)' },
+  };
+
+  // Meet renders captions among other UI text, so filter out control labels
+  const UI_PATTERNS = [
+    /you left the meeting|return to home screen|leave call|feedback/i,
+    /audio and video|learn more|anda telah keluar|You've left/i,
+    /^Meeting details$/i,
+    /^Share screen$/i,
+    /^Send a reaction$/i,
+    /^Turn on captions/i,
+    /^Raise hand/i,
+    /^Chat with everyone$/i,
+    /^Meeting tools$/i,
+    /^Call ends soon$/i,
+    /^More options$/i,
+    /^People\d*$/i,
+    /^Meeting timer$/i,
+    /^Hand raises$/i,
+    /This call is open to anyone/i,
+    /^(info|chat|apps|alarm|mood|meeting_room)$/i,
+    /^(computer_arrow_up|computer_arrow_down)$/i,
+    /^(back_hand|closed_caption|closed_caption_off)$/i,
+    /^(arrow_drop_down|chat_bubble|epg-)$/i,
+    /^[a-z_]+$/,
+    /^Press Down Arrow/i,
+    /hover tray|Escape to close/i,
+    /^.{0,2}$/,
+    /^Notu AI$/i,
+    /Indonesian|English/i, // Filter language dialog text
+  ];
+
+  const BADGE_SELECTORS = '.NWpY1d, .xoMHSc';
+  let lastSpeaker = null;
+
+  const CHAT_BUTTON_SELECTORS = [
+    'button[aria-label*="Chat with everyone"]',
+    'button[aria-label*="Chat"]',
+    '[data-tooltip*="Chat"]',
+    'button[aria-label*="Pesan"]',
+  ];
+
+  const CHAT_INPUT_SELECTORS = [
+    'textarea[aria-label*="Send a message"]',
+    'textarea[aria-label*="message"]',
+    'textarea[placeholder*="message"]',
+    'textarea[placeholder*="Send"]',
+    'input[aria-label*="message"]',
+    'textarea[aria-label*="Kirim pesan"]',
+  ];
+
+  const CHAT_MESSAGE_SELECTOR = 'div[data-message-id]';
+
+  // How Meet labels the bot's own chat messages
+  const SELF_NAMES = ['You', 'Anda'];
+
+  // Video tiles carry the participant's ID; presenting adds a second tile
+  const PARTICIPANT_TILE_SELECTOR = 'div[data-participant-id]';
+  const PARTICIPANT_NAME_SELECTORS = ['.zWGUib', '.XEazBc', 'span.notranslate'];
+  const PARTICIPANT_COUNT_SELECTOR = 'button[aria-label*="People"] .uGOf1d, button[aria-label*="Orang"] .uGOf1d';
+
+  // ============ Disable Media (Mic & Camera) ============
+  async function disableMedia() {
+    log('🔇 Disabling microphone and camera...');
+
+    // Wait longer for pre-join screen to fully load
+    await randomDelay(3000, 4000);
+
+    // Try multiple times to ensure it works
+    for (let attempt = 0; attempt < 3; attempt++) {
+      log(`Attempt ${attempt + 1} to disable media...`);
+
+      // Microphone - Multiple selector approaches
+      let micMuted = await clickFirst([
+        // Pre-join screen buttons
+        'div[role="button"][aria-label*="Turn off microphone"]',
+        'div[role="button"][data-is-muted="false"][aria-label*="microphone"]',
+        'button[aria-label*="Turn off microphone"]',
+        '[data-tooltip*="Turn off microphone"]',
+        // Indonesian
+        'div[role="button"][aria-label*="Matikan mikrofon"]',
+        'button[aria-label*="Matikan mikrofon"]',
+        // Keyboard shortcut target
+        '[jscontroller][jsaction*="microphone"]',
+      ], 'microphone off');
+
+      if (!micMuted) {
+        // Try keyboard shortcut Ctrl+D
+        pressKey('d', { code: 'KeyD', ctrlKey: true });
+        await randomDelay(300, 500);
+
+        // Check if already muted
+        if (document.querySelector('[aria-label*="Turn on microphone"], [aria-label*="Aktifkan mikrofon"]')) {
+          log('✅ Microphone already muted');
+          micMuted = true;
+        }
+      }
+
+      await randomDelay(800, 1200);
+
+      // Camera - Multiple selector approaches
+      let camMuted = await clickFirst([
+        'div[role="button"][aria-label*="Turn off camera"]',
+        'div[role="button"][data-is-muted="false"][aria-label*="camera"]',
+        'button[aria-label*="Turn off camera"]',
+        '[data-tooltip*="Turn off camera"]',
+        // Indonesian
+        'div[role="button"][aria-label*="Matikan kamera"]',
+        'button[aria-label*="Matikan kamera"]',
+        '[jscontroller][jsaction*="camera"]',
+      ], 'camera off');
+
+      if (!camMuted) {
+        // Try keyboard shortcut Ctrl+E
+        pressKey('e', { code: 'KeyE', ctrlKey: true });
+        await randomDelay(300, 500);
+
+        if (document.querySelector('[aria-label*="Turn on camera"], [aria-label*="Aktifkan kamera"]')) {
+          log('✅ Camera already muted');
+          camMuted = true;
+        }
+      }
+
+      // If both muted, break
+      if (micMuted && camMuted) {
+        log('🔇 Media disable completed:', { mic: micMuted, cam: camMuted });
+        return { mic: micMuted, cam: camMuted };
+      }
+
+      // Wait before retry
+      await randomDelay(1000, 1500);
+    }
+
+    log('⚠️ Media disable attempts completed (may not be fully muted)');
+    return { mic: false, cam: false };
+  }
+
+  // ============ Enter Bot Name ============
+  // Only shown when joining without a signed-in account
+  async function enterBotName(botName) {
+    const nameInput = findFirst([
+      'input[aria-label="Your name"]',
+      'input[aria-label="Nama Anda"]',
+      'input[placeholder="Your name"]',
+    ]);
+
+    if (!nameInput) return false;
+
+    log('✏️ Entering bot name:', botName);
+    await typeText(nameInput, botName);
+    await randomDelay(300, 500);
+    return true;
+  }
+
+  async function dismissOverlays() {
+    log('Dismissing overlays...');
+    await clickByText(['Got it', 'Dismiss', 'Continue', 'Mengerti', 'Lanjutkan'], 2000);
+    await pressEscape(3);
+  }
+
+  const meet = {
+    id: 'meet',
+
+    matches(url) {
+      return /^https:\/\/meet\.google\.com\//i.test(url);
+    },
+
+    isMeetingUrl(url) {
+      return /meet\.google\.com\/[a-z]{3}-[a-z]{4}-[a-z]{3}/i.test(url);
+    },
+
+    getMeetingId() {
+      return window.location.pathname.slice(1);
+    },
+
+    async prepareJoin(config) {
+      await disableMedia();
+      await enterBotName(config.BOT_NAME);
+      await dismissOverlays();
+    },
+
+    async clickJoin() {
+      log('🚪 Looking for join button...');
+
+      // Handle "Continue without microphone and camera" if shown
+      await clickByText(['Continue without microphone and camera', 'Lanjutkan tanpa mikrofon dan kamera'], 2000);
+      await randomDelay(500, 800);
+
+      const clicked = await clickByText([
+        'Ask to join',
+        'Join now',
+        'Join meeting',
+        'Join call',
+        'Join',
+        'Gabung',
+        'Minta untuk bergabung',
+        'Gabung sekarang',
+      ], 10000);
+
+      if (!clicked) {
+        log('❌ No join button found');
+        // Try pressing Enter as fallback
+        pressKey('Enter');
+      }
+
+      return clicked;
+    },
+
+    getAdmissionState() {
+      // Use a POSITIVE indicator: the meeting code only appears AFTER
+      // actually joining the meeting
+      const meetingCodeSelectors = [
+        'div[tt-id^="ucc-"]', // Meeting code tooltip element
+        'div.uBRSj[tt-id]',   // Alternative selector
+        'span.WfLVEc',        // Parent container
+      ];
+
+      for (const sel of meetingCodeSelectors) {
+        const text = document.querySelector(sel)?.textContent || '';
+        // Verify it contains actual meeting code (format: XXX-XXXX-XXX)
+        if (text.match(/[A-Z]{3}-[a-z]{4}-[A-Z]{3}/i)) {
+          log('✅ Meeting code found:', text.substring(0, 15), '- IN MEETING');
+          return 'in_meeting';
+        }
+      }
+
+      if (bodyIncludes(["You can't join this call", 'tidak dapat bergabung', 'denied'])) {
+        return 'denied';
+      }
+
+      // Waiting room element or text, or an ambiguous state - either way
+      // not in the meeting yet
+      return 'waiting';
+    },
+
+    async enableCaptions() {
+      log('⌨️ Enabling captions via shortcut (c)...');
+      try {
+        // Allow UI to settle
+        await randomDelay(2000, 3000);
+
+        // Press 'c' to toggle captions
+        for (const type of ['keydown', 'keypress', 'keyup']) {
+          document.body.dispatchEvent(new KeyboardEvent(type, { key: 'c', code: 'KeyC', bubbles: true }));
+        }
+
+        await randomDelay(1000, 1500);
+
+        // Check if captions appeared (by looking for caption container)
+        if (document.querySelector('.TbmXe, .iOzk7, .V4259c')) {
+          log('✅ Captions enabled via shortcut');
+          return true;
+        }
+
+        // If not, try Shift + c
+        log('Trying Shift+C...');
+        for (const type of ['keydown', 'keypress', 'keyup']) {
+          document.body.dispatchEvent(new KeyboardEvent(type, { key: 'C', code: 'KeyC', shiftKey: true, bubbles: true }));
+        }
+
+        return true; // Assume success
+      } catch (error) {
+        log('❌ Error enabling captions:', error);
+        return false;
+      }
+    },
+
+    async setCaptionLanguage(code) {
+      // Accept short codes ('id') or full locale values ('id-ID')
+      const language = CAPTION_LANGUAGES[code] || { value: code, label: code };
+      log('🌐 Setting caption language to', language.label, '...');
+
+      try {
+        await randomDelay(2000, 3000);
+
+        // Step 1: Click "More options" button (three dots)
+        log('Step 1: Opening more options menu...');
+        const optionsOpened = await clickFirst([
+          'button[aria-label*="More options"]',
+          'button[aria-label*="Opsi lainnya"]',
+          '[data-tooltip*="More options"]',
+          'button[jsname="V67aGc"]',
+        ], 'more options');
+
+        if (!optionsOpened) {
+          log('⚠️ Could not open more options menu');
+          return false;
+        }
+
+        await randomDelay(1000, 1500);
+
+        // Step 2: Click "Setelan" (Settings)
+        log('Step 2: Clicking Settings...');
+        if (!await clickByText(['Settings', 'Setelan'], 3000)) {
+          log('⚠️ Could not find Settings option');
+          return false;
+        }
+
+        await randomDelay(1500, 2000);
+
+        // Step 3: Click "Teks" TAB (not menu item)
+        log('Step 3: Clicking Teks tab...');
+        const tekstTab = findFirst([
+          'button[aria-label="Teks"]',
+          'button[aria-label="Captions"]',
+          'button[role="tab"][aria-label*="Teks"]',
+        ]);
+
+        if (!tekstTab) {
+          log('⚠️ Could not find Teks tab');
+          return false;
+        }
+
+        tekstTab.click();
+        log('✅ Clicked Teks tab');
+
+        await randomDelay(1500, 2000);
+
+        // Step 4: Click language dropdown to open list
+        log('Step 4: Opening language dropdown...');
+        const langDropdown = findFirst([
+          'div[jsname="oYxtQd"][role="combobox"][aria-label*="Bahasa"]',
+          'div[jsname="oYxtQd"][role="combobox"][aria-label*="Language"]',
+          'div[jsname="oYxtQd"][role="combobox"]',
+        ]);
+
+        if (!langDropdown) {
+          log('⚠️ Could not find language dropdown');
+          return false;
+        }
+
+        langDropdown.click();
+        log('Clicked language dropdown');
+        await randomDelay(1500, 2000);
+
+        // Step 5: Find and click the language LI element from list
+        log('Step 5: Looking for', language.label, 'option in list...');
+        let option = findFirst([
+          `li[role="option"][data-value="${language.value}"]`,
+          `li[role="option"][aria-label*="${language.label}"]`,
+        ]);
+
+        // Fallback: Search all LI options for text match
+        if (!option) {
+          log('Trying text match fallback...');
+          option = Array.from(document.querySelectorAll('li[role="option"]')).find((el) => {
+            const text = el.textContent || '';
+            const ariaLabel = el.getAttribute('aria-label') || '';
+            return text.includes(language.label) || ariaLabel.includes(language.label);
+          });
+        }
+
+        if (!option) {
+          log('⚠️ Could not find', language.label, 'option in dropdown');
+          return false;
+        }
+
+        option.click();
+        log('✅ Clicked language option');
+        await randomDelay(1000, 1500);
+
+        // Step 6: Close settings dialog with X button
+        log('Step 6: Closing settings...');
+        const closeBtn = findFirst([
+          'button[aria-label*="Tutup"]',
+          'button[aria-label*="Close"]',
+          'button[data-mdc-dialog-action="close"]',
+        ]);
+
+        if (closeBtn) {
+          closeBtn.click();
+          log('✅ Closed settings dialog with X button');
+        } else {
+          // Fallback to Escape if X button not found
+          await pressEscape(3);
+          log('✅ Closed settings with Escape (fallback)');
+        }
+
+        log('✅ Caption language set to', language.label);
+        return true;
+      } catch (error) {
+        log('❌ Error setting caption language:', error);
+        return false;
+      }
+    },
+
+    async openChat() {
+      if (findChatInput()) return true;
+
+      const opened = await clickFirst(CHAT_BUTTON_SELECTORS, 'open chat');
+      if (!opened) {
+        log('⚠️ Could not open chat panel');
+        return false;
+      }
+
+      await randomDelay(1500, 2000);
+      return true;
+    },
+
+    async sendChatMessage(message) {
+      log('💬 Sending chat message:', message);
+
+      // Wait for meeting to stabilize
+      await randomDelay(3000, 4000);
+
+      // Chat capture keeps the panel open; only close it if we opened it
+      const wasOpen = Boolean(findChatInput());
+      if (!wasOpen && !await meet.openChat()) {
+        return false;
+      }
+
+      const chatInput = findChatInput();
+
+      if (!chatInput) {
+        log('⚠️ Chat input not found');
+        if (!wasOpen) await pressEscape();
+        return false;
+      }
+
+      await typeText(chatInput, message);
+      chatInput.dispatchEvent(new Event('change', { bubbles: true }));
+
+      await randomDelay(1000, 1500); // Wait longer for send button to enable
+
+      // Try to find and click an enabled send button
+      let sent = false;
+      for (const sel of ['button[aria-label*="Send"]', 'button[aria-label*="Kirim"]', '[data-tooltip*="Send"]', 'button[jsname]']) {
+        const sendBtn = Array.from(document.querySelectorAll(sel)).find((btn) =>
+          !btn.hasAttribute('disabled') && btn.getAttribute('aria-disabled') !== 'true' && isVisible(btn)
+        );
+        if (sendBtn) {
+          sendBtn.click();
+          sent = true;
+          log('💬 Clicked send button');
+          break;
+        }
+      }
+
+      if (!sent) {
+        // Use Enter key as fallback
+        pressEnter(chatInput);
+        log('💬 Sent with Enter key');
+      }
+
+      await randomDelay(800, 1200);
+
+      // Close chat panel
+      if (!wasOpen) await pressEscape();
+
+      log('💬 Chat message sent successfully!');
+      return true;
+    },
+
+    readChatMessage(node) {
+      const item = node.closest?.(CHAT_MESSAGE_SELECTOR) || node.querySelector?.(CHAT_MESSAGE_SELECTOR);
+      if (!item) return null;
+
+      const text = item.querySelector('div[jsname="dTKtvb"]')?.textContent?.trim() || item.textContent?.trim();
+      if (!text) return null;
+
+      // Consecutive messages share one group header with the sender's name
+      const sender = item.closest('.Ss4fHf')?.querySelector('.poVWob')?.textContent?.trim() || 'Unknown';
+
+      return {
+        id: item.getAttribute('data-message-id'),
+        sender,
+        text,
+        self: SELF_NAMES.includes(sender),
+      };
+    },
+
+    readCaption(node) {
+      const text = getText(node);
+      const speaker = getSpeaker(node);
+      lastSpeaker = speaker;
+
+      if (!text || UI_PATTERNS.some(pattern => pattern.test(text))) {
+        return null;
+      }
+
+      if (speaker === 'Unknown Speaker' && text.length < 10) {
+        return null;
+      }
+
+      return { speaker, text };
+    },
+
+    hasMeetingEnded() {
+      // Check for host-ended meeting (highest priority)
+      const headingText = document.querySelector('h1[jsname="r4nke"]')?.textContent || '';
+      if (headingText.includes('Penyelenggara mengakhiri rapat') ||
+          headingText.includes('host ended the meeting for everyone')) {
+        log('🔚 Host ended the meeting for everyone');
+        return true;
+      }
+
+      // Regular meeting end indicators
+      return bodyIncludes([
+        'You left the meeting',
+        "You've left the call",
+        'Return to home screen',
+        'Anda telah keluar',
+        'Anda meninggalkan rapat',
+        'Kembali ke layar utama',
+      ]);
+    },
+
+    readParticipants() {
+      const participants = new Map();
+
+      for (const tile of document.querySelectorAll(PARTICIPANT_TILE_SELECTOR)) {
+        // The bot's own tile marks its name as "You" / "Anda"
+        if (tile.querySelector('[data-self-name]')) continue;
+
+        const id = tile.getAttribute('data-participant-id');
+        const name = findName(tile);
+        if (!id || !name || participants.has(id)) continue;
+        participants.set(id, name);
+      }
+
+      // The People button counts everyone, including participants whose
+      // tiles are off screen and the bot itself
+      const badge = document.querySelector(PARTICIPANT_COUNT_SELECTOR)?.textContent?.trim();
+      const total = /^\d+$/.test(badge || '') ? parseInt(badge, 10) : null;
+
+      return {
+        participants: Array.from(participants, ([id, name]) => ({ id, name })),
+        total,
+      };
+    },
+
+    async leave() {
+      const left = await clickFirst([
+        'button[aria-label*="Leave call"]',
+        'button[aria-label*="Leave meeting"]',
+        'button[aria-label*="Tinggalkan"]',
+        '[data-tooltip*="Leave"]',
+      ], 'leave call');
+
+      if (!left) {
+        pressKey('q', { ctrlKey: true, altKey: true });
+      }
+      return left;
+    },
+  };
+
+  // ============ Participants ============
+  function findName(tile) {
+    for (const sel of PARTICIPANT_NAME_SELECTORS) {
+      const name = tile.querySelector(sel)?.textContent?.trim();
+      if (name) return name;
+    }
+    return null;
+  }
+
+  // ============ Chat ============
+  function findChatInput() {
+    const input = findFirst(CHAT_INPUT_SELECTORS);
+    return isVisible(input) ? input : null;
+  }
+
+  // ============ Caption Parsing ============
+  function getSpeaker(node) {
+    // Try to find speaker in current node AND parent nodes
+    let currentNode = node;
+
+    for (let depth = 0; depth < 5; depth++) { // Check up to 5 parent levels
+      if (!currentNode) break;
+
+      // Priority 1: Direct span.NWpY1d (user provided selector)
+      const directName = currentNode.querySelector('span.NWpY1d')?.textContent?.trim();
+      if (directName && directName !== 'Unknown Speaker') {
+        return directName;
+      }
+
+      // Priority 2: Check if current node itself is the name element
+      if (currentNode.classList?.contains('NWpY1d') || currentNode.classList?.contains('xoMHSc')) {
+        const name = currentNode.textContent?.trim();
+        if (name && name !== 'Unknown Speaker') {
+          return name;
+        }
+      }
+
+      // Priority 3: Standard Meet selectors within current node
+      const nameSelectors = [
+        'div.KcIKyf.jxFHg span.NWpY1d', // Full path selector
+        '.xoMHSc', // Another common name class
+        'img.K63Fr', // Avatar image (alt text)
+        'div[jsname="tBTfMc"]', // Name container
+        '.zs7s8d', // Tile name
+        'div[data-participant-id]', // Participant container
+      ];
+
+      for (const sel of nameSelectors) {
+        const el = currentNode.querySelector(sel);
+        if (el) {
+          const txt = el.textContent?.trim() || el.getAttribute('alt')?.trim() || el.getAttribute('aria-label')?.trim();
+          if (txt && txt !== 'Unknown Speaker' && !txt.match(/^\d+$/)) {
+            return txt;
+          }
+        }
+      }
+
+      currentNode = currentNode.parentElement;
+    }
+
+    // Return last valid speaker or a safe fallback
+    return lastSpeaker || 'Speaker';
+  }
+
+  function getText(node) {
+    const clone = node.cloneNode(true);
+    clone.querySelectorAll(BADGE_SELECTORS).forEach(el => el.remove());
+    return clone.textContent?.trim() || '';
+  }
+
+  window.NotuBot.registerPlatform(meet);
+})();
@@ -0,0 +1,299 @@
+/**
+ * Notu.AI Meet Bot - Microsoft Teams Adapter
+ *
+ * Joins Teams meetings through the web client as an anonymous guest.
+ * Teams marks most controls with stable `data-tid` attributes, which are
+ * preferred over labels; both the classic and the new (v2) client are
+ * covered where their markup differs.
+ */
+
+(function() {
+  'use strict';
+
+  const { log, randomDelay, clickFirst, clickByText, pressEnter, pressEscape, typeText, findFirst, bodyIncludes } = window.NotuBot.dom;
+
+  // Caption rows in the live captions pane
+  const CAPTION_ITEM_SELECTORS = [
+    '[data-tid="closed-caption-v2-window-wrapper"] .fui-ChatMessageCompact',
+    '.ui-chat__item',
+    '[data-tid="closed-caption-message"]',
+  ].join(', ');
+
+  // Messages in the meeting chat pane
+  const CHAT_MESSAGE_SELECTOR = '[data-tid="chat-pane-item"]';
+
+  // Video and avatar tiles in the call stage, labelled with the display name
+  const PARTICIPANT_TILE_SELECTOR = '[data-cid="calling-participant-stream"]';
+  const SELF_LABEL = /\((You|Anda)\)$/;
+
+  function findComposer() {
+    return findFirst([
+      '[data-tid="ckeditor"][contenteditable="true"]',
+      'div[role="textbox"][contenteditable="true"]',
+    ]);
+  }
+
+  async function setMediaOff() {
+    // Toggles report their state through aria-pressed / aria-checked
+    const toggles = [
+      '[data-tid="toggle-mute"]',
+      '[data-tid="toggle-video"]',
+      'input[data-tid="toggle-mute"]',
+      'input[data-tid="toggle-video"]',
+    ];
+
+    for (const sel of toggles) {
+      const toggle = document.querySelector(sel);
+      if (!toggle) continue;
+
+      const on = toggle.getAttribute('aria-checked') === 'true' ||
+                 toggle.getAttribute('aria-pressed') === 'true' ||
+                 toggle.checked === true;
+      if (on) {
+        await randomDelay(200, 400);
+        toggle.click();
+        log('✅ Turned off:', sel);
+      }
+    }
+  }
+
+  const teams = {
+    id: 'teams',
+
+    matches(url) {
+      return /^https:\/\/teams\.(microsoft|live)\.com\//i.test(url);
+    },
+
+    isMeetingUrl(url) {
+      return /teams\.microsoft\.com\/(l\/meetup-join|v2\/\?meetingjoin|_#\/l\/meetup-join)|teams\.live\.com\/meet\//i.test(url);
+    },
+
+    getMeetingId() {
+      const match = window.location.href.match(/meetup-join\/([^/?#]+)/) ||
+                    window.location.href.match(/teams\.live\.com\/meet\/(\d+)/);
+      return match ? decodeURIComponent(match[1]) : window.location.pathname.slice(1);
+    },
+
+    async prepareJoin(config) {
+      log('🔇 Preparing Teams pre-join screen...');
+
+      // Launcher page: stay in the browser instead of opening the desktop app
+      await clickByText(['Continue on this browser', 'Join on the web instead', 'Use the web app instead'], 5000);
+      await randomDelay(3000, 4000);
+
+      // Guest name
+      const nameInput = findFirst([
+        'input[data-tid="prejoin-display-name-input"]',
+        'input[placeholder="Type your name"]',
+        'input[placeholder*="name"]',
+      ]);
+      if (nameInput) {
+        log('✏️ Entering bot name:', config.BOT_NAME);
+        await typeText(nameInput, config.BOT_NAME);
+        await randomDelay(300, 500);
+      }
+
+      await setMediaOff();
+
+      // Audio options: don't use audio devices
+      await clickByText(["Don't use audio", 'Computer audio off'], 1000);
+    },
+
+    async clickJoin() {
+      log('🚪 Looking for join button...');
+
+      const clicked = await clickFirst([
+        'button[data-tid="prejoin-join-button"]',
+        'button[data-tid="joinOnWeb"]',
+      ], 'join now') || await clickByText(['Join now', 'Join meeting'], 10000);
+
+      if (!clicked) {
+        log('❌ No join button found');
+      }
+      return clicked;
+    },
+
+    getAdmissionState() {
+      if (bodyIncludes([
+        'Sorry, but you were denied access to the meeting',
+        'Sorry, but no one responded to your request to join',
+        'You can\'t join this meeting',
+      ])) {
+        return 'denied';
+      }
+
+      // Lobby screen keeps the bot waiting until someone admits it
+      if (document.querySelector('[data-tid="lobby-screen"], [data-tid="lobby-text"]') ||
+          bodyIncludes(['Someone in the meeting should let you in soon', 'When the meeting starts, we\'ll let people know you\'re waiting'])) {
+        return 'waiting';
+      }
+
+      // Hang-up only exists once inside the call
+      if (document.querySelector('#hangup-button, [data-tid="hangup-main-btn"], [data-tid="call-hangup"]')) {
+        return 'in_meeting';
+      }
+
+      return 'waiting';
+    },
+
+    async enableCaptions() {
+      log('⌨️ Enabling Teams live captions...');
+      try {
+        await randomDelay(2000, 3000);
+
+        // More -> Language and speech -> Turn on live captions
+        const moreOpened = await clickFirst([
+          '#callingButtons-showMoreBtn',
+          'button[data-tid="more-button"]',
+          'button[aria-label="More"]',
+        ], 'more');
+
+        if (!moreOpened) {
+          log('⚠️ Could not open More menu');
+          return false;
+        }
+
+        await randomDelay(800, 1200);
+        await clickByText(['Language and speech'], 2000);
+        await randomDelay(500, 800);
+
+        const enabled = await clickFirst([
+          '#closed-captions-button',
+          '[data-tid="closed-captions-button"]',
+        ], 'live captions') || await clickByText(['Turn on live captions', 'Show live captions'], 3000);
+
+        if (!enabled) {
+          await pressEscape(2);
+          log('⚠️ Could not find live captions toggle');
+          return false;
+        }
+
+        log('✅ Live captions enabled');
+        return true;
+      } catch (error) {
+        log('❌ Error enabling captions:', error);
+        return false;
+      }
+    },
+
+    async openChat() {
+      if (findComposer()) return true;
+
+      const opened = await clickFirst([
+        '#chat-button',
+        'button[data-tid="chat-button"]',
+        'button[aria-label="Chat"]',
+      ], 'open chat');
+
+      if (!opened) {
+        log('⚠️ Could not open chat panel');
+        return false;
+      }
+
+      await randomDelay(1500, 2000);
+      return true;
+    },
+
+    async sendChatMessage(message) {
+      log('💬 Sending chat message:', message);
+      await randomDelay(3000, 4000);
+
+      if (!await teams.openChat()) {
+        return false;
+      }
+
+      // The compose box is a contenteditable editor
+      const editor = findComposer();
+
+      if (!editor) {
+        log('⚠️ Chat input not found');
+        return false;
+      }
+
+      editor.focus();
+      await randomDelay(300, 500);
+      document.execCommand('insertText', false, message);
+      await randomDelay(500, 800);
+
+      const sent = await clickFirst([
+        'button[data-tid="newMessageCommands-send"]',
+        'button[name="send"]',
+        'button[aria-label="Send"]',
+      ], 'send');
+
+      if (!sent) {
+        pressEnter(editor);
+      }
+
+      log('💬 Chat message sent');
+      return true;
+    },
+
+    readChatMessage(node) {
+      const item = node.closest?.(CHAT_MESSAGE_SELECTOR) || node.querySelector?.(CHAT_MESSAGE_SELECTOR);
+      if (!item) return null;
+
+      const text = item.querySelector('[data-tid="chat-pane-message"] [id^="content-"], .fui-ChatMessage__body')?.textContent?.trim();
+      if (!text) return null;
+
+      const sender = item.querySelector('[data-tid="message-author-name"]')?.textContent?.trim() || 'Unknown';
+
+      return {
+        id: item.getAttribute('data-mid') || item.id || null,
+        sender,
+        text,
+        // Teams puts the bot's own messages on the right, without an author
+        self: item.querySelector('.fui-ChatMyMessage') !== null,
+      };
+    },
+
+    readCaption(node) {
+      const item = node.closest?.(CAPTION_ITEM_SELECTORS) || node.querySelector?.(CAPTION_ITEM_SELECTORS);
+      if (!item) return null;
+
+      const speaker = item.querySelector('[data-tid="author"]')?.textContent?.trim();
+      const text = item.querySelector('[data-tid="closed-caption-text"]')?.textContent?.trim();
+      if (!text) return null;
+
+      return { speaker: speaker || 'Speaker', text };
+    },
+
+    readParticipants() {
+      const participants = new Map();
+
+      for (const tile of document.querySelectorAll(PARTICIPANT_TILE_SELECTOR)) {
+        const name = (tile.getAttribute('data-tid') || '').trim();
+        // The bot's own tile is labelled "Name (You)"
+        if (!name || SELF_LABEL.test(name)) continue;
+        // Guests have no stable ID in the tile markup; the name stands in
+        participants.set(name, name);
+      }
+
+      return {
+        participants: Array.from(participants, ([id, name]) => ({ id, name })),
+        total: null,
+      };
+    },
+
+    hasMeetingEnded() {
+      return bodyIncludes([
+        'You\'ve been removed from this meeting',
+        'The meeting has ended',
+        'Your call has ended',
+        'You left the meeting',
+        'How was the call quality?',
+      ]);
+    },
+
+    async leave() {
+      return clickFirst([
+        '#hangup-button',
+        'button[data-tid="hangup-main-btn"]',
+        'button[data-tid="call-hangup"]',
+        'button[aria-label="Leave"]',
+      ], 'leave');
+    },
+  };
+
+  window.NotuBot.registerPlatform(teams);
+})();
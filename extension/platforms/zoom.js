@@ -0,0 +1,222 @@
+/**
+ * Notu.AI Meet Bot - Zoom Web Client Adapter
+ *
+ * Joins through the Zoom web client (app.zoom.us/wc/...). The orchestrator
+ * rewrites /j/<id> invite links to the web client so the desktop-app
+ * launcher page is skipped.
+ */
+
+(function() {
+  'use strict';
+
+  const { log, randomDelay, clickFirst, clickByText, pressEnter, pressEscape, typeText, findFirst, bodyIncludes } = window.NotuBot.dom;
+
+  // Caption overlay rows, and rows of the full transcript panel
+  const CAPTION_ITEM_SELECTORS = [
+    '.live-transcription-subtitle__item',
+    '.lt-full-transcript__item',
+    '#live-transcription-subtitle',
+  ].join(', ');
+
+  const zoom = {
+    id: 'zoom',
+
+    matches(url) {
+      return /^https:\/\/([\w-]+\.)?zoom\.us\//i.test(url);
+    },
+
+    isMeetingUrl(url) {
+      return /zoom\.us\/(wc\/(join\/)?\d+|j\/\d+)/i.test(url);
+    },
+
+    getMeetingId() {
+      const match = window.location.pathname.match(/\/(?:wc\/(?:join\/)?|j\/)(\d+)/);
+      return match ? match[1] : window.location.pathname.slice(1);
+    },
+
+    async prepareJoin(config) {
+      log('🔇 Preparing Zoom pre-join screen...');
+      await randomDelay(3000, 4000);
+
+      // Cookie banner and "join from browser" fallbacks
+      await clickByText(['Accept Cookies', 'Join from Your Browser', 'Join from browser'], 2000);
+
+      // Mute mic and stop video in the preview
+      await clickFirst([
+        '#preview-audio-control-button[aria-label*="Mute"]',
+        'button[aria-label="Mute"]',
+      ], 'mute');
+      await clickFirst([
+        '#preview-video-control-button[aria-label*="Stop Video"]',
+        'button[aria-label="Stop Video"]',
+      ], 'stop video');
+
+      const nameInput = findFirst(['#input-for-name', '#inputname', 'input[placeholder="Your Name"]']);
+      if (nameInput) {
+        log('✏️ Entering bot name:', config.BOT_NAME);
+        await typeText(nameInput, config.BOT_NAME);
+        await randomDelay(300, 500);
+      }
+    },
+
+    async clickJoin() {
+      log('🚪 Looking for join button...');
+
+      const clicked = await clickFirst([
+        'button.preview-join-button',
+        '#joinBtn',
+      ], 'join') || await clickByText(['Join'], 10000);
+
+      if (!clicked) {
+        log('❌ No join button found');
+      }
+      return clicked;
+    },
+
+    getAdmissionState() {
+      if (bodyIncludes([
+        'The host has removed you from this meeting',
+        'You have been removed',
+        'This meeting has been locked',
+        'Meeting passcode wrong',
+      ])) {
+        return 'denied';
+      }
+
+      if (bodyIncludes([
+        'Please wait, the meeting host will let you in soon',
+        'Host has joined. We\'ve let them know you\'re here',
+        'Waiting for the host to start this meeting',
+      ])) {
+        return 'waiting';
+      }
+
+      // The in-meeting footer only renders once admitted
+      if (document.querySelector('.footer__leave-btn, button[aria-label="Leave"], .footer-button__participants-icon')) {
+        return 'in_meeting';
+      }
+
+      return 'waiting';
+    },
+
+    async enableCaptions() {
+      log('⌨️ Enabling Zoom captions...');
+      try {
+        await randomDelay(2000, 3000);
+
+        // Skip the audio join dialog; captions work without joining audio
+        await pressEscape();
+
+        const clicked = await clickFirst([
+          'button[aria-label*="Show Captions"]',
+          'button[aria-label*="show captions"]',
+          'button[aria-label*="Captions"]',
+        ], 'captions');
+
+        if (!clicked) {
+          // Newer clients tuck captions under "More"
+          await clickFirst(['button[aria-label="More meeting control "]', 'button[aria-label*="More"]'], 'more');
+          await randomDelay(500, 800);
+          if (!await clickByText(['Show Captions', 'Captions'], 2000)) {
+            await pressEscape();
+            log('⚠️ Could not find captions button (host may have disabled captions)');
+            return false;
+          }
+        }
+
+        await randomDelay(800, 1200);
+        // Language prompt on first enable
+        await clickByText(['Save', 'Confirm'], 1500);
+
+        log('✅ Captions enabled');
+        return true;
+      } catch (error) {
+        log('❌ Error enabling captions:', error);
+        return false;
+      }
+    },
+
+    async sendChatMessage(message) {
+      log('💬 Sending chat message:', message);
+      await randomDelay(3000, 4000);
+
+      const chatOpened = await clickFirst([
+        'button[aria-label*="open the chat panel"]',
+        'button[aria-label*="Chat"]',
+      ], 'open chat');
+
+      if (!chatOpened) {
+        log('⚠️ Could not open chat panel');
+        return false;
+      }
+
+      await randomDelay(1500, 2000);
+
+      const editor = findFirst([
+        '.chat-rtf-box__editor-outer [contenteditable="true"]',
+        'div[contenteditable="true"][role="textbox"]',
+        'textarea.chat-box__chat-textarea',
+      ]);
+
+      if (!editor) {
+        log('⚠️ Chat input not found');
+        return false;
+      }
+
+      if (editor instanceof HTMLTextAreaElement) {
+        await typeText(editor, message);
+      } else {
+        editor.focus();
+        await randomDelay(300, 500);
+        document.execCommand('insertText', false, message);
+      }
+
+      await randomDelay(500, 800);
+      pressEnter(editor);
+
+      // Close the panel again so it does not cover the captions
+      await randomDelay(800, 1200);
+      await clickFirst(['button[aria-label*="close the chat panel"]'], 'close chat');
+
+      log('💬 Chat message sent');
+      return true;
+    },
+
+    readCaption(node) {
+      const item = node.closest?.(CAPTION_ITEM_SELECTORS) || node.querySelector?.(CAPTION_ITEM_SELECTORS);
+      if (!item) return null;
+
+      const speaker = item.querySelector('.lt-full-transcript__display-name, .live-transcription-subtitle__name')?.textContent?.trim();
+      const textEl = item.querySelector('.lt-full-transcript__message, .live-transcription-subtitle__text') || item;
+      const text = textEl.textContent?.trim();
+      if (!text) return null;
+
+      return { speaker: speaker || 'Speaker', text };
+    },
+
+    hasMeetingEnded() {
+      return bodyIncludes([
+        'This meeting has been ended by host',
+        'The meeting has ended',
+        'You have left the meeting',
+        'This meeting has ended',
+      ]);
+    },
+
+    async leave() {
+      const clicked = await clickFirst([
+        '.footer__leave-btn',
+        'button[aria-label="Leave"]',
+      ], 'leave');
+
+      if (clicked) {
+        await randomDelay(500, 800);
+        await clickFirst(['.leave-meeting-options__btn'], 'confirm leave') ||
+          await clickByText(['Leave Meeting'], 2000);
+      }
+      return clicked;
+    },
+  };
+
+  window.NotuBot.registerPlatform(zoom);
+})();
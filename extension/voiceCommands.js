@@ -0,0 +1,132 @@
+/**
+ * Notu.AI Meet Bot - Voice Commands
+ *
+ * Fuzzy-matches captions against the session's phrase registry (sent by
+ * the orchestrator, see src/voiceCommands.ts). Live captions mangle
+ * words ("silahkan" becomes "silakan", "bookmark" becomes "book mark"),
+ * so a phrase matches when a run of caption words is within an
+ * edit-distance similarity threshold of it, after dropping case, accents
+ * and punctuation.
+ */
+
+(function() {
+  'use strict';
+
+  const NotuBot = window.NotuBot = window.NotuBot || {};
+
+  // Captions grow word by word, so a command just spoken is at the end
+  const TAIL_WORDS = 12;
+
+  // A progressive caption repeats the same command on every update
+  const COOLDOWN_MS = 30000;
+
+  // Shorter phrases must match exactly: a letter or two off turns
+  // everyday speech ("not out", "bos keluar") into commands
+  const MIN_FUZZY_LENGTH = 12;
+
+  function normalize(text) {
+    return (text || '')
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^\p{L}\p{N}]+/gu, ' ')
+      .trim();
+  }
+
+  function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  function similarity(a, b) {
+    const longest = Math.max(a.length, b.length);
+    return longest === 0 ? 1 : 1 - editDistance(a, b) / longest;
+  }
+
+  // Best similarity of the phrase to any run of caption words; runs one
+  // word shorter or longer absorb words the captions split or merged
+  function scorePhrase(words, phrase) {
+    if (phrase.length < MIN_FUZZY_LENGTH) {
+      return ` ${words.join(' ')} `.includes(` ${phrase} `) ? 1 : 0;
+    }
+
+    const phraseWords = phrase.split(' ');
+    let best = 0;
+
+    for (let size = Math.max(1, phraseWords.length - 1); size <= phraseWords.length + 1; size++) {
+      for (let start = 0; start + size <= words.length; start++) {
+        const candidate = words.slice(start, start + size).join(' ');
+        // Too different in length to reach any sensible threshold
+        if (Math.abs(candidate.length - phrase.length) > phrase.length / 2) continue;
+        best = Math.max(best, similarity(candidate, phrase));
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Build a matcher for a session's voice command settings:
+   * { enabled, hostOnly, hostNames, phrases: { command: [phrase] }, threshold }
+   * match(speaker, text) returns { command, phrase, score } or null
+   */
+  function createMatcher(settings) {
+    const threshold = settings.threshold || 0.8;
+    const hostNames = (settings.hostNames || []).map(normalize);
+    const registry = [];
+    const lastFired = new Map(); // speaker|command -> time
+
+    for (const [command, phrases] of Object.entries(settings.phrases || {})) {
+      for (const phrase of phrases || []) {
+        const normalized = normalize(phrase);
+        if (normalized) registry.push({ command, phrase, normalized });
+      }
+    }
+
+    function isHost(speaker) {
+      const name = normalize(speaker);
+      return hostNames.some(host => host === name || similarity(host, name) >= threshold);
+    }
+
+    function match(speaker, text) {
+      if (settings.enabled === false || registry.length === 0) return null;
+      if (settings.hostOnly && !isHost(speaker)) return null;
+
+      const words = normalize(text).split(' ').filter(Boolean).slice(-TAIL_WORDS);
+      if (words.length === 0) return null;
+
+      let best = null;
+      for (const entry of registry) {
+        const score = scorePhrase(words, entry.normalized);
+        if (score >= threshold && (!best || score > best.score)) {
+          best = { command: entry.command, phrase: entry.phrase, score };
+        }
+      }
+      if (!best) return null;
+
+      const key = `${speaker}|${best.command}`;
+      const now = Date.now();
+      if (now - (lastFired.get(key) || 0) < COOLDOWN_MS) return null;
+      lastFired.set(key, now);
+
+      best.score = Math.round(best.score * 100) / 100;
+      return best;
+    }
+
+    return { match };
+  }
+
+  NotuBot.voiceCommands = {
+    normalize,
+    similarity,
+    createMatcher,
+  };
+})();
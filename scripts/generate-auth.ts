@@ -1,31 +1,40 @@
 /**
- * Google Account Authentication Generator (Persistent Profile)
- * 
- * This script opens Chrome with the extension and persistent profile
- * for manual Google login. The session is saved to the profile directory
- * for subsequent bot use.
- * 
- * Usage: npm run generate-auth
+ * Google Account Authentication Generator (Profile Pool)
+ *
+ * Manages the pool of signed-in Chrome profiles bots join as. `add` opens
+ * Chrome with the extension on a named profile for manual Google login;
+ * the session is saved to that profile directory for subsequent bot use.
+ *
+ * Usage:
+ *   npm run generate-auth                        Log in the 'default' profile
+ *   npm run generate-auth -- add <name>          Add (or re-login) a profile
+ *   npm run generate-auth -- list                Show profiles and health
+ *   npm run generate-auth -- verify [name]       Check one or all profiles are signed in
+ *   npm run generate-auth -- retire <name> [--delete]
  */
 
 import { chromium } from 'playwright';
 import path from 'path';
 import fs from 'fs';
+import { getProfilePool } from '../src/profilePool';
+import { BotProfile } from '../src/types';
 
-const USER_DATA_DIR = path.resolve(__dirname, '..', '.chrome-profile');
 const EXTENSION_PATH = path.resolve(__dirname, '..', 'extension');
 
-async function generateAuth() {
-    console.log('\n🔐 Google Meet Bot - Authentication Setup (Persistent Profile)\n');
+async function addProfile(name: string) {
+    console.log(`\n🔐 Google Meet Bot - Authentication Setup (profile '${name}')\n`);
     console.log('This will open Chrome with a persistent profile.');
-    console.log('Login to your Google account, then close the browser.\n');
+    console.log('Login to the Google account for this profile, then close the browser.\n');
+
+    const profile = getProfilePool().add(name);
+    const userDataDir = profile.dir;
 
     // Ensure directories exist
-    if (!fs.existsSync(USER_DATA_DIR)) {
-        fs.mkdirSync(USER_DATA_DIR, { recursive: true });
+    if (!fs.existsSync(userDataDir)) {
+        fs.mkdirSync(userDataDir, { recursive: true });
     }
 
-    console.log(`📁 Profile directory: ${USER_DATA_DIR}`);
+    console.log(`📁 Profile directory: ${userDataDir}`);
     console.log(`📁 Extension path: ${EXTENSION_PATH}\n`);
 
     // Check if extension exists
@@ -36,7 +45,7 @@ async function generateAuth() {
     }
 
     // Launch persistent context
-    const context = await chromium.launchPersistentContext(USER_DATA_DIR, {
+    const context = await chromium.launchPersistentContext(userDataDir, {
         headless: false,
         args: [
             `--disable-extensions-except=${EXTENSION_PATH}`,
@@ -66,17 +75,81 @@ async function generateAuth() {
     });
 
     console.log('\n✅ Session saved to persistent profile!');
-    console.log(`   Profile location: ${USER_DATA_DIR}`);
+    console.log(`   Profile location: ${userDataDir}`);
+
+    console.log('\nVerifying sign-in...');
+    printProfiles([await getProfilePool().verify(name)]);
     console.log('\nYou can now run the bot with: npm run dev\n');
 }
 
+function printProfiles(profiles: BotProfile[]) {
+    if (profiles.length === 0) {
+        console.log('No profiles yet. Add one with: npm run generate-auth -- add <name>');
+        return;
+    }
+
+    console.table(profiles.map((profile) => ({
+        name: profile.name,
+        email: profile.email || '',
+        health: profile.retired ? 'retired' : profile.health,
+        detail: profile.healthMessage || '',
+        cooldownUntil: profile.cooldownUntil || '',
+        lastUsedAt: profile.lastUsedAt || '',
+        lastCheckedAt: profile.lastCheckedAt || '',
+    })));
+}
+
+async function verifyProfiles(name?: string) {
+    const pool = getProfilePool();
+    console.log(`🔍 Verifying ${name ? `'${name}'` : 'all profiles'}...`);
+
+    const results = name ? [await pool.verify(name)] : await pool.verifyAll();
+    printProfiles(results);
+
+    if (results.some((profile) => profile.health !== 'healthy')) {
+        process.exitCode = 1;
+    }
+}
+
+function retireProfile(name: string, deleteFiles: boolean) {
+    const profile = getProfilePool().retire(name, deleteFiles);
+    if (!profile) {
+        console.error(`❌ Unknown profile '${name}'`);
+        process.exit(1);
+    }
+    console.log(`🗑️  Retired profile '${name}'${deleteFiles ? ' and deleted its files' : ''}`);
+}
+
+async function main() {
+    const [command = 'add', ...args] = process.argv.slice(2);
+    const name = args.find((arg) => !arg.startsWith('--'));
+
+    switch (command) {
+        case 'add':
+            return addProfile(name || 'default');
+        case 'list':
+            return printProfiles(getProfilePool().list());
+        case 'verify':
+            return verifyProfiles(name);
+        case 'retire':
+            if (!name) {
+                console.error('Usage: npm run generate-auth -- retire <name> [--delete]');
+                process.exit(1);
+            }
+            return retireProfile(name, args.includes('--delete'));
+        default:
+            console.error(`Unknown command '${command}'. Use add, list, verify or retire.`);
+            process.exit(1);
+    }
+}
+
 // Handle Ctrl+C
 process.on('SIGINT', async () => {
     console.log('\n\n⚠️  Interrupted. Session should still be saved to profile.');
     process.exit(0);
 });
 
-generateAuth().catch((error) => {
+main().catch((error) => {
     console.error('Error:', error);
     process.exit(1);
 });
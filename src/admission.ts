@@ -0,0 +1,94 @@
+/**
+ * Bot Admission
+ *
+ * Every bot is a headed Chromium, so the number running at once is capped
+ * and join requests beyond the cap wait in a priority queue (FIFO within
+ * the same priority). New bots are refused outright when the host is short
+ * on memory or CPU rather than launched into a browser that will crash.
+ */
+
+import os from 'os';
+import config from './config';
+
+export class AdmissionError extends Error {
+    constructor(message: string, public readonly status: 429 | 503 = 503) {
+        super(message);
+        this.name = 'AdmissionError';
+    }
+}
+
+/**
+ * Why a new browser cannot be launched right now, or null when there is
+ * enough headroom
+ */
+export function checkHeadroom(): string | null {
+    const freeMb = Math.round(os.freemem() / (1024 * 1024));
+    if (config.minFreeMemoryMb > 0 && freeMb < config.minFreeMemoryMb) {
+        return `Insufficient memory: ${freeMb} MB free, ${config.minFreeMemoryMb} MB required per bot`;
+    }
+
+    // 1-minute load average per core; always 0 on Windows
+    const load = os.loadavg()[0] / Math.max(1, os.cpus().length);
+    if (config.maxCpuLoad > 0 && load > config.maxCpuLoad) {
+        return `CPU overloaded: load ${load.toFixed(2)} per core exceeds ${config.maxCpuLoad}`;
+    }
+
+    return null;
+}
+
+interface QueueEntry<T> {
+    key: string;
+    item: T;
+    priority: number;
+}
+
+/**
+ * Higher priority first, FIFO within a priority
+ */
+export class AdmissionQueue<T> {
+    private entries: QueueEntry<T>[] = [];
+
+    get size(): number {
+        return this.entries.length;
+    }
+
+    enqueue(key: string, item: T, priority = 0): number {
+        const entry: QueueEntry<T> = { key, item, priority };
+        const index = this.entries.findIndex((e) => e.priority < priority);
+        if (index === -1) {
+            this.entries.push(entry);
+        } else {
+            this.entries.splice(index, 0, entry);
+        }
+        return this.position(key);
+    }
+
+    /**
+     * Queued items in admission order
+     */
+    items(): T[] {
+        return this.entries.map((e) => e.item);
+    }
+
+    dequeue(): T | null {
+        const entry = this.entries.shift();
+        return entry ? entry.item : null;
+    }
+
+    remove(key: string): T | null {
+        const index = this.entries.findIndex((e) => e.key === key);
+        if (index === -1) return null;
+        return this.entries.splice(index, 1)[0].item;
+    }
+
+    /**
+     * 1-based position in the queue, or 0 when not queued
+     */
+    position(key: string): number {
+        return this.entries.findIndex((e) => e.key === key) + 1;
+    }
+
+    has(key: string): boolean {
+        return this.position(key) > 0;
+    }
+}
@@ -0,0 +1,277 @@
+/**
+ * Local Audio Recording
+ *
+ * The extension's MediaRecorder emits 10-second timeslices; only the first
+ * carries the WebM header, so chunks are not playable on their own but
+ * form one valid WebM/Opus stream when appended in order. Each session's
+ * chunks are assembled into `<dataDir>/audio/<sessionId>/recording.webm`
+ * as they arrive, alongside a meta.json.
+ *
+ * When ffmpeg is available (FFMPEG_PATH), finished recordings are remuxed
+ * so they carry a duration and are seekable, and can be exported as WAV,
+ * MP3 or FLAC on request.
+ */
+
+import path from 'path';
+import fs from 'fs';
+import { execFile } from 'child_process';
+import config from './config';
+import { createLogger } from './logger';
+import { AudioFormat, AudioRecordingInfo } from './types';
+
+const log = createLogger('AudioRecorder');
+
+export const AUDIO_FORMATS: AudioFormat[] = ['webm', 'wav', 'mp3', 'flac'];
+
+export const AUDIO_CONTENT_TYPES: Record<AudioFormat, string> = {
+    webm: 'audio/webm',
+    wav: 'audio/wav',
+    mp3: 'audio/mpeg',
+    flac: 'audio/flac',
+};
+
+const CODEC_ARGS: Record<AudioFormat, string[]> = {
+    webm: ['-c', 'copy'],
+    wav: ['-c:a', 'pcm_s16le'],
+    mp3: ['-c:a', 'libmp3lame', '-q:a', '4'],
+    flac: ['-c:a', 'flac'],
+};
+
+// Generous: a long meeting can take a while to re-encode
+const FFMPEG_TIMEOUT_MS = 10 * 60 * 1000;
+
+const RECORDING_FILE = 'recording.webm';
+
+/**
+ * An export the recording cannot serve right now
+ */
+export class AudioExportError extends Error {
+    constructor(message: string, public readonly status: 404 | 409 | 501 | 500 = 500) {
+        super(message);
+        this.name = 'AudioExportError';
+    }
+}
+
+export function isAudioFormat(value: unknown): value is AudioFormat {
+    return typeof value === 'string' && (AUDIO_FORMATS as string[]).includes(value);
+}
+
+function audioDir(): string {
+    return path.join(config.dataDir, 'audio');
+}
+
+function recordingDir(sessionId: string): string {
+    return path.join(audioDir(), sessionId);
+}
+
+function readInfo(sessionId: string): AudioRecordingInfo | null {
+    if (!/^[\w-]+$/.test(sessionId)) return null;
+
+    try {
+        return JSON.parse(fs.readFileSync(path.join(recordingDir(sessionId), 'meta.json'), 'utf8'));
+    } catch {
+        return null;
+    }
+}
+
+function runFfmpeg(args: string[]): Promise<void> {
+    return new Promise((resolve, reject) => {
+        execFile(config.ffmpegPath, ['-y', '-loglevel', 'error', ...args], { timeout: FFMPEG_TIMEOUT_MS }, (error, _stdout, stderr) => {
+            if (error) {
+                reject(new Error(stderr.trim() || error.message));
+            } else {
+                resolve();
+            }
+        });
+    });
+}
+
+let ffmpegCheck: Promise<boolean> | null = null;
+
+/**
+ * Whether the configured ffmpeg binary runs (checked once)
+ */
+export function isFfmpegAvailable(): Promise<boolean> {
+    if (!ffmpegCheck) {
+        ffmpegCheck = runFfmpeg(['-version']).then(() => true, () => {
+            log.warn('ffmpeg not available - recordings are kept as raw WebM', { ffmpegPath: config.ffmpegPath });
+            return false;
+        });
+    }
+    return ffmpegCheck;
+}
+
+/**
+ * Assembles one session's audio chunks into a recording
+ */
+export class AudioRecording {
+    private info: AudioRecordingInfo;
+    private nextIndex = 0;
+    private completing = false;
+
+    constructor(sessionId: string, meetingId: string, tenantId: string | null) {
+        this.info = {
+            sessionId,
+            meetingId,
+            tenantId,
+            mimeType: 'audio/webm;codecs=opus',
+            chunks: 0,
+            bytes: 0,
+            durationSeconds: 0,
+            startedAt: null,
+            completedAt: null,
+            updatedAt: new Date().toISOString(),
+            remuxed: false,
+        };
+    }
+
+    /**
+     * Append the next chunk; returns false when it could not be stored
+     * Chunks must arrive in recording order - a gap or repeat would
+     * corrupt the stream, so out-of-order chunks are dropped
+     */
+    append(index: number, bytes: Buffer, duration: number, mimeType?: string): boolean {
+        if (!config.audioRecordingEnabled || this.completing) return false;
+
+        if (index !== this.nextIndex) {
+            log.warn('Dropped out-of-order audio chunk', { ...this.context(), index, expected: this.nextIndex });
+            return false;
+        }
+
+        try {
+            fs.mkdirSync(this.dir(), { recursive: true });
+            fs.appendFileSync(this.filePath(RECORDING_FILE), bytes);
+
+            this.nextIndex++;
+            this.info.chunks++;
+            this.info.bytes += bytes.length;
+            this.info.durationSeconds += duration;
+            this.info.startedAt = this.info.startedAt || new Date().toISOString();
+            if (mimeType) this.info.mimeType = mimeType;
+            this.persist();
+            return true;
+        } catch (error: any) {
+            log.error('Failed to store audio chunk', { ...this.context(), index, error: error.message });
+            return false;
+        }
+    }
+
+    /**
+     * Mark the recording finished and remux it when ffmpeg is available
+     * Never throws; the raw WebM stays playable if remuxing fails
+     */
+    async complete(): Promise<void> {
+        if (this.info.chunks === 0 || this.completing) return;
+        this.completing = true;
+
+        if (await isFfmpegAvailable()) {
+            const source = this.filePath(RECORDING_FILE);
+            const remuxed = this.filePath('remuxed.webm');
+            try {
+                await runFfmpeg(['-i', source, ...CODEC_ARGS.webm, remuxed]);
+                fs.renameSync(remuxed, source);
+                this.info.bytes = fs.statSync(source).size;
+                this.info.remuxed = true;
+            } catch (error: any) {
+                fs.rmSync(remuxed, { force: true });
+                log.warn('Failed to remux recording', { ...this.context(), error: error.message });
+            }
+        }
+
+        this.info.completedAt = new Date().toISOString();
+        this.persist();
+        log.info('Recording complete', { ...this.context(), chunks: this.info.chunks, bytes: this.info.bytes });
+    }
+
+    private persist(): void {
+        this.info.updatedAt = new Date().toISOString();
+        const metaPath = this.filePath('meta.json');
+        const tmpPath = `${metaPath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(this.info, null, 2));
+        fs.renameSync(tmpPath, metaPath);
+    }
+
+    private dir(): string {
+        return recordingDir(this.info.sessionId);
+    }
+
+    private filePath(file: string): string {
+        return path.join(this.dir(), file);
+    }
+
+    private context() {
+        return { sessionId: this.info.sessionId, meetingId: this.info.meetingId };
+    }
+}
+
+/**
+ * Recording details of a session, if any audio was stored
+ */
+export function getAudioRecording(sessionId: string): AudioRecordingInfo | null {
+    return readInfo(sessionId);
+}
+
+/**
+ * Path of a session's recording in the requested format
+ * WebM is served as-is, even while still recording; other formats need a
+ * finished recording and ffmpeg, and are converted once then cached
+ */
+export async function exportRecording(sessionId: string, format: AudioFormat): Promise<string> {
+    const info = readInfo(sessionId);
+    const source = path.join(recordingDir(sessionId), RECORDING_FILE);
+    if (!info || !fs.existsSync(source)) {
+        throw new AudioExportError('No audio recorded for this session', 404);
+    }
+
+    if (format === 'webm') return source;
+
+    if (!info.completedAt) {
+        throw new AudioExportError('Recording is still in progress; only webm is available until it ends', 409);
+    }
+    if (!await isFfmpegAvailable()) {
+        throw new AudioExportError(`Converting to ${format} needs ffmpeg; set FFMPEG_PATH`, 501);
+    }
+
+    const target = path.join(recordingDir(sessionId), `recording.${format}`);
+    if (fs.existsSync(target)) return target;
+
+    // Convert to a temp file so a failed or concurrent conversion never leaves a partial export
+    const tmpPath = path.join(recordingDir(sessionId), `recording.${process.pid}.${Date.now()}.tmp.${format}`);
+    try {
+        await runFfmpeg(['-i', source, ...CODEC_ARGS[format], tmpPath]);
+        fs.renameSync(tmpPath, target);
+    } catch (error: any) {
+        fs.rmSync(tmpPath, { force: true });
+        log.error('Audio conversion failed', { sessionId, meetingId: info.meetingId, format, error: error.message });
+        throw new AudioExportError(`Converting to ${format} failed`);
+    }
+
+    return target;
+}
+
+/**
+ * Delete recordings not updated within the retention period
+ * Returns how many were deleted
+ */
+export function pruneRecordings(retentionHours: number): number {
+    const dir = audioDir();
+    if (!fs.existsSync(dir)) return 0;
+
+    const cutoff = Date.now() - retentionHours * 60 * 60 * 1000;
+    let pruned = 0;
+
+    for (const sessionId of fs.readdirSync(dir)) {
+        const info = readInfo(sessionId);
+        const updatedAt = info ? Date.parse(info.updatedAt) : 0;
+        if (updatedAt >= cutoff) continue;
+
+        try {
+            fs.rmSync(path.join(dir, sessionId), { recursive: true, force: true });
+            pruned++;
+        } catch (error: any) {
+            log.warn('Failed to prune recording', { sessionId, error: error.message });
+        }
+    }
+
+    return pruned;
+}
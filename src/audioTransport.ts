@@ -0,0 +1,260 @@
+/**
+ * Binary Audio Transport
+ *
+ * A loopback WebSocket the extension's background worker streams raw
+ * MediaRecorder chunks to, instead of base64 strings relayed through
+ * chrome.tabs.sendMessage, window.postMessage and the Playwright bridge.
+ *
+ * Each binary frame carries a sequence number. The server acks a frame
+ * once it is stored (local recording + outbox spool), and the extension
+ * keeps at most `window` frames unacked - that is the backpressure. After
+ * a reconnect the server announces the next sequence it expects, and the
+ * extension resends everything from there.
+ *
+ * Frame layout (big-endian), keep in sync with extension/background.js:
+ *   u8 version | u32 seq | f64 timestamp (ms) | u32 duration (ms) | payload
+ */
+
+import http, { IncomingMessage } from 'http';
+import crypto from 'crypto';
+import { AddressInfo } from 'net';
+import { WebSocket, WebSocketServer } from 'ws';
+import config from './config';
+import { createLogger } from './logger';
+
+const log = createLogger('AudioTransport');
+
+export const AUDIO_FRAME_VERSION = 1;
+const HEADER_BYTES = 17;
+
+// A 10-second chunk at 64 kbps is ~80 KB; anything far bigger is not audio
+const MAX_FRAME_BYTES = 4 * 1024 * 1024;
+
+export interface AudioFrame {
+    seq: number;
+    timestamp: number;
+    durationMs: number;
+    data: Buffer;
+}
+
+/** Where and how the extension connects for one session */
+export interface AudioIngestEndpoint {
+    url: string;
+    window: number;
+}
+
+type FrameHandler = (frame: AudioFrame) => void | Promise<void>;
+
+interface IngestSession {
+    token: string;
+    handler: FrameHandler;
+    nextSeq: number;
+    // Frames are handled one at a time, in order
+    chain: Promise<void>;
+    socket: WebSocket | null;
+    // Bumped per connection; frames queued from an older one are skipped
+    connection: number;
+}
+
+export function encodeAudioFrame(frame: AudioFrame): Buffer {
+    const header = Buffer.alloc(HEADER_BYTES);
+    header.writeUInt8(AUDIO_FRAME_VERSION, 0);
+    header.writeUInt32BE(frame.seq, 1);
+    header.writeDoubleBE(frame.timestamp, 5);
+    header.writeUInt32BE(frame.durationMs, 13);
+    return Buffer.concat([header, frame.data]);
+}
+
+/**
+ * Parse a binary frame; returns null when malformed
+ */
+export function decodeAudioFrame(raw: Buffer): AudioFrame | null {
+    if (raw.length < HEADER_BYTES || raw.readUInt8(0) !== AUDIO_FRAME_VERSION) return null;
+
+    return {
+        seq: raw.readUInt32BE(1),
+        timestamp: raw.readDoubleBE(5),
+        durationMs: raw.readUInt32BE(13),
+        data: raw.subarray(HEADER_BYTES),
+    };
+}
+
+function tokensMatch(expected: string, actual: string | null): boolean {
+    if (!actual || actual.length !== expected.length) return false;
+    return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(actual));
+}
+
+export class AudioIngestServer {
+    private sessions: Map<string, IngestSession> = new Map();
+    private server: http.Server | null = null;
+    private listening: Promise<number> | null = null;
+
+    /**
+     * Accept audio for a session
+     * Starts the server on first use; the returned URL embeds a
+     * per-session token, so only that session's extension can send
+     */
+    async register(sessionId: string, handler: FrameHandler): Promise<AudioIngestEndpoint> {
+        const port = await this.listen();
+        const token = crypto.randomBytes(24).toString('hex');
+        this.sessions.set(sessionId, { token, handler, nextSeq: 0, chain: Promise.resolve(), socket: null, connection: 0 });
+
+        const query = new URLSearchParams({ session: sessionId, token });
+        return { url: `ws://127.0.0.1:${port}/audio?${query}`, window: config.audioIngestWindow };
+    }
+
+    /**
+     * Wait for the extension to finish sending: it closes its socket once
+     * every frame is acknowledged. Resolves false if it is still open
+     * after `timeoutMs`; frames already received are handled either way
+     */
+    async drain(sessionId: string, timeoutMs: number): Promise<boolean> {
+        const session = this.sessions.get(sessionId);
+        if (!session) return true;
+
+        const deadline = Date.now() + timeoutMs;
+        // A reconnect may replace the socket while we wait
+        while (session.socket && Date.now() < deadline) {
+            const socket = session.socket;
+            await new Promise<void>((resolve) => {
+                const timer = setTimeout(resolve, deadline - Date.now());
+                socket.once('close', () => {
+                    clearTimeout(timer);
+                    resolve();
+                });
+            });
+        }
+
+        await session.chain;
+        return !session.socket;
+    }
+
+    /**
+     * Stop accepting audio for a session, once frames already received
+     * have been handled
+     */
+    async unregister(sessionId: string): Promise<void> {
+        const session = this.sessions.get(sessionId);
+        if (!session) return;
+
+        this.sessions.delete(sessionId);
+        await session.chain;
+        session.socket?.close(1000, 'Session ended');
+    }
+
+    async stop(): Promise<void> {
+        const server = this.server;
+        if (!server) return;
+
+        this.server = null;
+        this.listening = null;
+        await new Promise<void>((resolve) => server.close(() => resolve()));
+    }
+
+    private listen(): Promise<number> {
+        if (!this.listening) {
+            this.listening = new Promise((resolve, reject) => {
+                const server = http.createServer((req, res) => {
+                    res.writeHead(426).end();
+                });
+                const wss = new WebSocketServer({ server, path: '/audio', maxPayload: MAX_FRAME_BYTES });
+                wss.on('connection', (ws, req) => this.accept(ws, req));
+
+                server.once('error', (error) => {
+                    this.listening = null;
+                    reject(error);
+                });
+                // Loopback only: the browser runs on this host
+                server.listen(config.audioIngestPort, '127.0.0.1', () => {
+                    const { port } = server.address() as AddressInfo;
+                    log.info('Audio ingest listening', { port });
+                    resolve(port);
+                });
+                this.server = server;
+            });
+        }
+        return this.listening;
+    }
+
+    private accept(ws: WebSocket, req: IncomingMessage): void {
+        const params = new URL(req.url || '/', 'ws://localhost').searchParams;
+        const sessionId = params.get('session') || '';
+        const session = this.sessions.get(sessionId);
+
+        if (!session || !tokensMatch(session.token, params.get('token'))) {
+            ws.close(1008, 'Unknown session');
+            return;
+        }
+
+        // A reconnect replaces the previous socket
+        session.socket?.terminate();
+        session.socket = ws;
+        const connection = ++session.connection;
+        ws.send(JSON.stringify({ type: 'ready', nextSeq: session.nextSeq, window: config.audioIngestWindow }));
+
+        ws.on('message', (raw: Buffer, isBinary: boolean) => {
+            const frame = isBinary ? decodeAudioFrame(raw) : null;
+            if (!frame) {
+                log.warn('Dropped malformed audio frame', { sessionId, bytes: raw.length });
+                return;
+            }
+            session.chain = session.chain.then(() => this.handle(sessionId, session, connection, ws, frame));
+        });
+        ws.on('close', () => {
+            if (session.socket === ws) session.socket = null;
+        });
+        ws.on('error', (error) => {
+            log.warn('Audio ingest socket error', { sessionId, error: error.message });
+        });
+    }
+
+    private async handle(
+        sessionId: string,
+        session: IngestSession,
+        connection: number,
+        ws: WebSocket,
+        frame: AudioFrame
+    ): Promise<void> {
+        // Frames still queued from a connection that was replaced or failed get resent
+        if (connection !== session.connection) return;
+
+        // Resent after a reconnect, already stored
+        if (frame.seq < session.nextSeq) {
+            this.ack(ws, frame.seq);
+            return;
+        }
+
+        if (frame.seq > session.nextSeq) {
+            log.warn('Gap in audio frames', { sessionId, expected: session.nextSeq, received: frame.seq });
+        }
+
+        try {
+            await session.handler(frame);
+            session.nextSeq = frame.seq + 1;
+            this.ack(ws, frame.seq);
+        } catch (error: any) {
+            // Unacked, so the extension resends it after reconnecting
+            log.error('Failed to handle audio frame', { sessionId, seq: frame.seq, error: error.message });
+            session.connection++;
+            ws.close(1011, 'Failed to store frame');
+        }
+    }
+
+    private ack(ws: WebSocket, seq: number): void {
+        if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify({ type: 'ack', seq }));
+        }
+    }
+}
+
+// Singleton instance
+let instance: AudioIngestServer | null = null;
+
+export function getAudioIngest(): AudioIngestServer {
+    if (!instance) {
+        instance = new AudioIngestServer();
+    }
+    return instance;
+}
+
+export default AudioIngestServer;
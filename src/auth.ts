@@ -0,0 +1,227 @@
+/**
+ * API Authentication
+ *
+ * Authenticates REST, SSE and WebSocket clients with per-tenant API keys
+ * or HS256 JWTs, scopes sessions and schedules to the caller's tenant, and
+ * signs the callbacks we send to the backend.
+ *
+ * Credentials are read from, in order:
+ *   Authorization: Bearer <jwt or api key>
+ *   X-API-Key: <api key>
+ *   ?access_token=<jwt or api key>   (EventSource/WebSocket can't set headers)
+ *
+ * A tenant of '*' is an operator credential: it sees every tenant's
+ * sessions and may manage the outbox.
+ */
+
+import crypto from 'crypto';
+import { IncomingMessage } from 'http';
+import { Request, Response, NextFunction } from 'express';
+import config from './config';
+
+export const OPERATOR_TENANT = '*';
+
+/** Allowed clock skew when checking JWT exp/nbf */
+const JWT_LEEWAY_SEC = 30;
+
+export interface AuthContext {
+    tenantId: string | null; // null when auth is disabled
+    subject: string;
+    method: 'api_key' | 'jwt' | 'none';
+    operator: boolean;
+}
+
+declare global {
+    namespace Express {
+        interface Request {
+            auth?: AuthContext;
+        }
+    }
+}
+
+export class AuthError extends Error {
+    constructor(message: string, public readonly status: 401 | 403 = 401) {
+        super(message);
+        this.name = 'AuthError';
+    }
+}
+
+/**
+ * Auth is enforced once any API key or a JWT secret is configured
+ */
+export function isAuthEnabled(): boolean {
+    return Object.keys(config.apiKeys).length > 0 || !!config.jwtSecret;
+}
+
+function safeEqual(a: string, b: string): boolean {
+    // Hash first so lengths match and timing does not leak them
+    const ha = crypto.createHash('sha256').update(a).digest();
+    const hb = crypto.createHash('sha256').update(b).digest();
+    return crypto.timingSafeEqual(ha, hb);
+}
+
+function base64UrlDecode(input: string): Buffer {
+    return Buffer.from(input.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+/**
+ * Verify an HS256 JWT and return its claims
+ */
+export function verifyJwt(token: string, secret: string): Record<string, any> {
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+        throw new AuthError('Malformed token');
+    }
+
+    const [headerPart, payloadPart, signaturePart] = parts;
+    let header: Record<string, any>;
+    let claims: Record<string, any>;
+    try {
+        header = JSON.parse(base64UrlDecode(headerPart).toString('utf8'));
+        claims = JSON.parse(base64UrlDecode(payloadPart).toString('utf8'));
+    } catch {
+        throw new AuthError('Malformed token');
+    }
+
+    if (header.alg !== 'HS256') {
+        throw new AuthError(`Unsupported token algorithm '${header.alg}'`);
+    }
+
+    const expected = crypto.createHmac('sha256', secret).update(`${headerPart}.${payloadPart}`).digest();
+    const actual = base64UrlDecode(signaturePart);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        throw new AuthError('Invalid token signature');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof claims.exp === 'number' && now > claims.exp + JWT_LEEWAY_SEC) {
+        throw new AuthError('Token expired');
+    }
+    if (typeof claims.nbf === 'number' && now < claims.nbf - JWT_LEEWAY_SEC) {
+        throw new AuthError('Token not yet valid');
+    }
+
+    if (config.jwtAudience) {
+        const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+        if (!audiences.includes(config.jwtAudience)) {
+            throw new AuthError('Token audience mismatch');
+        }
+    }
+
+    return claims;
+}
+
+/**
+ * Pull the raw credential from headers or the query string
+ */
+function extractCredential(req: IncomingMessage): string | null {
+    const authorization = req.headers.authorization;
+    if (authorization?.startsWith('Bearer ')) {
+        return authorization.slice('Bearer '.length).trim();
+    }
+
+    const apiKey = req.headers['x-api-key'];
+    if (typeof apiKey === 'string' && apiKey) {
+        return apiKey;
+    }
+
+    const url = new URL(req.url || '/', 'http://localhost');
+    return url.searchParams.get('access_token');
+}
+
+/**
+ * Resolve the caller of a request
+ * Throws AuthError when credentials are missing or invalid
+ */
+export function authenticate(req: IncomingMessage): AuthContext {
+    if (!isAuthEnabled()) {
+        return { tenantId: null, subject: 'anonymous', method: 'none', operator: true };
+    }
+
+    const credential = extractCredential(req);
+    if (!credential) {
+        throw new AuthError('Missing credentials');
+    }
+
+    for (const [key, tenantId] of Object.entries(config.apiKeys)) {
+        if (safeEqual(credential, key)) {
+            return {
+                tenantId,
+                subject: `key:${key.slice(0, 4)}…`,
+                method: 'api_key',
+                operator: tenantId === OPERATOR_TENANT,
+            };
+        }
+    }
+
+    if (config.jwtSecret && credential.split('.').length === 3) {
+        const claims = verifyJwt(credential, config.jwtSecret);
+        const tenantId = claims.tenant ?? claims.tenantId ?? claims.tid;
+        if (typeof tenantId !== 'string' || !tenantId) {
+            throw new AuthError('Token has no tenant claim');
+        }
+
+        return {
+            tenantId,
+            subject: typeof claims.sub === 'string' ? claims.sub : tenantId,
+            method: 'jwt',
+            operator: tenantId === OPERATOR_TENANT,
+        };
+    }
+
+    throw new AuthError('Invalid credentials');
+}
+
+/**
+ * Express middleware: authenticate and attach `req.auth`
+ */
+export function requireAuth(req: Request, res: Response, next: NextFunction): void {
+    try {
+        req.auth = authenticate(req);
+        next();
+    } catch (error: any) {
+        const status = error instanceof AuthError ? error.status : 401;
+        res.status(status).json({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Express middleware: only operator credentials may pass
+ * Mount after requireAuth
+ */
+export function requireOperator(req: Request, res: Response, next: NextFunction): void {
+    if (!req.auth?.operator) {
+        res.status(403).json({ success: false, error: 'Operator credentials required' });
+        return;
+    }
+    next();
+}
+
+/**
+ * Check whether a caller may see a tenant's resource
+ */
+export function canAccess(auth: AuthContext | undefined, tenantId: string | null | undefined): boolean {
+    if (!auth) return false;
+    if (auth.operator) return true;
+    return auth.tenantId === (tenantId ?? null);
+}
+
+/**
+ * Headers signing an outbound callback body
+ * The backend recomputes HMAC-SHA256(secret, `${timestamp}.${body}`) and
+ * should reject stale timestamps to prevent replays
+ */
+export function signCallback(body: string | Buffer, timestamp = Math.floor(Date.now() / 1000)): Record<string, string> {
+    if (!config.callbackSigningSecret) return {};
+
+    const signature = crypto
+        .createHmac('sha256', config.callbackSigningSecret)
+        .update(`${timestamp}.`)
+        .update(body)
+        .digest('hex');
+
+    return {
+        'X-Notu-Timestamp': String(timestamp),
+        'X-Notu-Signature': `v1=${signature}`,
+    };
+}
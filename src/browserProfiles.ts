@@ -0,0 +1,84 @@
+/**
+ * Browser Profiles
+ *
+ * Chrome locks its user data dir, so a bot never runs from a pool profile
+ * directly. Each session launches from its own copy of its leased profile,
+ * which is deleted when the session ends.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import config from './config';
+import { createLogger } from './logger';
+
+const log = createLogger('Profiles');
+
+// Chrome's per-process locks and caches; never copied between profiles
+const SKIPPED_ENTRIES = new Set([
+    'SingletonLock',
+    'SingletonCookie',
+    'SingletonSocket',
+    'lockfile',
+    'Cache',
+    'Code Cache',
+    'GPUCache',
+    'ShaderCache',
+    'GrShaderCache',
+    'Crashpad',
+]);
+
+/**
+ * Parent dir of all session profile copies
+ */
+export function sessionProfilesDir(): string {
+    return path.join(config.dataDir, 'profiles');
+}
+
+/**
+ * Copy a template profile for a session and return its path
+ * A null template gives an empty (signed-out) profile
+ */
+export function createSessionProfile(sessionId: string, templateDir: string | null): string {
+    const target = path.join(sessionProfilesDir(), sessionId);
+    fs.rmSync(target, { recursive: true, force: true });
+
+    if (!templateDir) {
+        fs.mkdirSync(target, { recursive: true });
+    } else if (fs.existsSync(templateDir)) {
+        fs.cpSync(templateDir, target, {
+            recursive: true,
+            filter: (source) => !SKIPPED_ENTRIES.has(path.basename(source)),
+        });
+    } else {
+        log.warn('Template profile not found - starting signed out', { templateDir });
+        fs.mkdirSync(target, { recursive: true });
+    }
+
+    return target;
+}
+
+/**
+ * Delete a session's profile copy
+ */
+export function removeSessionProfile(profileDir: string): void {
+    try {
+        fs.rmSync(profileDir, { recursive: true, force: true });
+    } catch (error: any) {
+        log.warn('Failed to remove session profile', { profileDir, error: error.message });
+    }
+}
+
+/**
+ * Delete profile copies left behind by a crash
+ * Call before any bot is launched
+ */
+export function clearSessionProfiles(): void {
+    const dir = sessionProfilesDir();
+    if (!fs.existsSync(dir)) return;
+
+    const stale = fs.readdirSync(dir);
+    stale.forEach((entry) => removeSessionProfile(path.join(dir, entry)));
+    if (stale.length > 0) {
+        log.info('Removed stale session profiles', { count: stale.length });
+    }
+}
@@ -165,96 +165,277 @@ export function getInjectionScript(): string {
   `;
 }
 
+/**
+ * Words of a caption, normalized for comparison (case and punctuation
+ * change as Meet revises a line, so they are ignored)
+ */
+function normalizeWords(text: string): string[] {
+    return text
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s']/gu, ' ')
+        .split(/\s+/)
+        .filter((word) => word.length > 0);
+}
+
+/**
+ * Minimum words two caption lines must share at the seam to be treated
+ * as one line scrolled by Meet
+ */
+const MIN_OVERLAP_WORDS = 3;
+
+/**
+ * Fraction of the shorter line that must match as a common prefix for a
+ * rewrite to count as a correction of the same line
+ */
+const CORRECTION_PREFIX_RATIO = 0.6;
+
+/**
+ * Merge a progressive caption update into the text it may be revising
+ *
+ * Returns the merged text when `next` continues `previous`:
+ * - prefix growth: "we should" -> "we should ship it"
+ * - correction: "we should by" -> "we should buy it" (mostly shared prefix)
+ * - scroll: Meet trims the head of long lines, so the tail of `previous`
+ *   overlaps the head of `next`
+ * Returns null when `next` is unrelated text.
+ */
+export function mergeCaptionText(previous: string, next: string): string | null {
+    const prevWords = normalizeWords(previous);
+    const nextWords = normalizeWords(next);
+
+    if (prevWords.length === 0) return next;
+    if (nextWords.length === 0) return null;
+
+    // Common prefix covers prefix growth, retractions and corrections
+    let prefix = 0;
+    while (prefix < prevWords.length && prefix < nextWords.length && prevWords[prefix] === nextWords[prefix]) {
+        prefix++;
+    }
+
+    const shorter = Math.min(prevWords.length, nextWords.length);
+    if (prefix === shorter || prefix >= Math.ceil(shorter * CORRECTION_PREFIX_RATIO)) {
+        return next;
+    }
+
+    // Scrolled line: longest tail of previous that is a head of next
+    const maxOverlap = Math.min(prevWords.length, nextWords.length);
+    for (let k = maxOverlap; k >= MIN_OVERLAP_WORDS; k--) {
+        const tail = prevWords.slice(prevWords.length - k);
+        if (tail.every((word, i) => word === nextWords[i])) {
+            // Keep previous verbatim and append only the new raw words
+            const nextRaw = next.trim().split(/\s+/);
+            return `${previous.trim()} ${nextRaw.slice(k).join(' ')}`.trim();
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Result of feeding one caption into the segment manager
+ */
+export interface CaptionUpdate {
+    interim: Segment | null; // Created or revised open segment, null if nothing changed
+    closed: Segment[]; // Segments that became stable
+}
+
+export interface SegmentManagerOptions {
+    silenceGapSec: number; // Close a speaker's segment after this much silence
+    speakerChangeGraceSec: number; // Idle time before another speaker closes a segment
+}
+
+const DEFAULT_SEGMENT_OPTIONS: SegmentManagerOptions = {
+    silenceGapSec: 3,
+    speakerChangeGraceSec: 1.5,
+};
+
 /**
  * Segment manager for buffering and managing caption segments
+ *
+ * Meet rewrites the same caption line as words arrive. Captions are merged
+ * into one open segment per speaker while they keep revising it; a segment
+ * closes (becomes final) when its text stops continuing, on a silence gap,
+ * or when someone else speaks after it went idle.
+ *
+ * Every segment gets a sequence number when created and a revision that
+ * bumps whenever it is updated in place. Flushes only carry segments whose
+ * revision is newer than the last flushed one, so the backend receives
+ * deltas it can upsert by (seq, revision) instead of the whole transcript.
  */
 export class SegmentManager {
-    private segments: Segment[] = [];
-    private activeSegments: Map<string, Segment> = new Map();
-    private segmentIndex = 0;
+    private segments: Segment[] = []; // Ordered by seq
+    private bySeq: Map<number, Segment> = new Map();
+    private activeSegments: Map<string, number> = new Map(); // speaker -> seq
+    private flushedRevisions: Map<number, number> = new Map(); // seq -> revision
+    private nextSeq = 0;
     private startTime: number;
-    private flushedCount = 0;
+    private options: SegmentManagerOptions;
 
-    constructor() {
-        this.startTime = Date.now();
+    /**
+     * @param initial Segments restored from a previous session; they are
+     *                treated as unflushed so the backend is brought up to date
+     */
+    constructor(initial: Segment[] = [], options: Partial<SegmentManagerOptions> = {}, startTime = Date.now()) {
+        this.startTime = startTime;
+        this.options = { ...DEFAULT_SEGMENT_OPTIONS, ...options };
+        for (const segment of initial) {
+            // Journals written before sequence numbers existed
+            const seq = typeof segment.seq === 'number' ? segment.seq : this.nextSeq;
+            // Nothing is still being spoken into a restored segment
+            const restored = { ...segment, seq, revision: segment.revision ?? 0, final: true };
+            this.segments.push(restored);
+            this.bySeq.set(seq, restored);
+            this.nextSeq = Math.max(this.nextSeq, seq + 1);
+        }
     }
 
     /**
-     * Process incoming caption and update segments
+     * Add a new segment, assigning its sequence number
      */
-    addCaption(speaker: string, text: string): void {
-        const now = Date.now();
-        const elapsed = (now - this.startTime) / 1000; // seconds
-
-        const activeSegment = this.activeSegments.get(speaker);
-
-        if (activeSegment) {
-            // Update existing segment for this speaker
-            activeSegment.text = text;
-            activeSegment.end = elapsed;
-        } else {
-            // Create new segment for this speaker
-            const segment: Segment = {
-                speaker,
-                text,
-                start: elapsed,
-                end: elapsed,
-            };
-            this.activeSegments.set(speaker, segment);
+    append(segment: Omit<Segment, 'seq' | 'revision' | 'final'>, final = true): Segment {
+        const created: Segment = { ...segment, seq: this.nextSeq++, revision: 0, final };
+        this.segments.push(created);
+        this.bySeq.set(created.seq, created);
+        return { ...created };
+    }
+
+    /**
+     * Update a segment in place, bumping its revision
+     */
+    update(seq: number, changes: Partial<Pick<Segment, 'speaker' | 'text' | 'start' | 'end' | 'final'>>): Segment | null {
+        const segment = this.bySeq.get(seq);
+        if (!segment) return null;
+
+        Object.assign(segment, changes);
+        segment.revision++;
+        return { ...segment };
+    }
+
+    /**
+     * Merge an incoming caption into the speaker's open segment, or open
+     * a new one, closing segments that the caption shows have ended
+     *
+     * @param timestamp Seconds since the session started
+     */
+    addCaption(speaker: string, text: string, timestamp = (Date.now() - this.startTime) / 1000): CaptionUpdate {
+        const closed: Segment[] = [];
+
+        // Speaker change: someone else talking closes idle segments
+        for (const [otherSpeaker, seq] of this.activeSegments) {
+            const other = this.bySeq.get(seq)!;
+            if (otherSpeaker !== speaker && timestamp - other.end >= this.options.speakerChangeGraceSec) {
+                closed.push(this.finalizeSegment(otherSpeaker)!);
+            }
+        }
+
+        const activeSeq = this.activeSegments.get(speaker);
+        const active = activeSeq !== undefined ? this.bySeq.get(activeSeq)! : null;
+
+        if (active) {
+            const withinGap = timestamp - active.end < this.options.silenceGapSec;
+            const merged = withinGap ? mergeCaptionText(active.text, text) : null;
+
+            if (merged !== null) {
+                // Same line revised - skip no-op rewrites to avoid noise
+                if (merged === active.text) {
+                    return { interim: null, closed };
+                }
+                return { interim: this.update(active.seq, { text: merged, end: timestamp }), closed };
+            }
+
+            // Unrelated text or silence gap - the previous line is done
+            closed.push(this.finalizeSegment(speaker)!);
+        }
+
+        const segment = this.append({ speaker, text, start: timestamp, end: timestamp }, false);
+        this.activeSegments.set(speaker, segment.seq);
+        return { interim: segment, closed };
+    }
+
+    /**
+     * Close segments that have been silent longer than the gap
+     *
+     * @param timestamp Seconds since the session started
+     */
+    closeIdle(timestamp = (Date.now() - this.startTime) / 1000): Segment[] {
+        const closed: Segment[] = [];
+        for (const [speaker, seq] of this.activeSegments) {
+            if (timestamp - this.bySeq.get(seq)!.end >= this.options.silenceGapSec) {
+                closed.push(this.finalizeSegment(speaker)!);
+            }
         }
+        return closed;
+    }
+
+    /**
+     * Close every open segment (meeting over)
+     */
+    closeAll(): Segment[] {
+        return Array.from(this.activeSegments.keys()).map((speaker) => this.finalizeSegment(speaker)!);
     }
 
     /**
      * Finalize active segment for a speaker (when they stop talking)
      */
     finalizeSegment(speaker: string): Segment | null {
-        const segment = this.activeSegments.get(speaker);
-        if (segment) {
-            this.segments.push({ ...segment });
-            this.activeSegments.delete(speaker);
-            return segment;
-        }
-        return null;
+        const activeSeq = this.activeSegments.get(speaker);
+        if (activeSeq === undefined) return null;
+
+        this.activeSegments.delete(speaker);
+        return this.update(activeSeq, { final: true });
     }
 
     /**
-     * Get segments ready for flushing (finalized + active snapshots)
+     * Get segments created or revised since they were last flushed
      */
     getSegmentsForFlush(): Segment[] {
-        const toFlush = [
-            ...this.segments.slice(this.flushedCount),
-            ...Array.from(this.activeSegments.values()),
-        ];
-        return toFlush;
+        return this.segments
+            .filter((segment) => (this.flushedRevisions.get(segment.seq) ?? -1) < segment.revision)
+            .map((segment) => ({ ...segment }));
     }
 
     /**
-     * Mark segments as flushed
+     * Mark segments as flushed at the revision they were sent with
      */
-    markFlushed(): void {
-        // Move active segments to finalized
-        for (const [speaker, segment] of this.activeSegments.entries()) {
-            this.segments.push({ ...segment });
+    markFlushed(flushed: Segment[]): void {
+        for (const segment of flushed) {
+            const previous = this.flushedRevisions.get(segment.seq) ?? -1;
+            this.flushedRevisions.set(segment.seq, Math.max(previous, segment.revision));
         }
-        this.flushedCount = this.segments.length;
-        this.activeSegments.clear();
     }
 
     /**
-     * Get all segments (finalized + active)
+     * Highest seq below which every segment is flushed at its latest revision
+     */
+    getFlushCursor(): number {
+        let cursor = -1;
+        for (const segment of this.segments) {
+            if ((this.flushedRevisions.get(segment.seq) ?? -1) < segment.revision) break;
+            cursor = segment.seq;
+        }
+        return cursor;
+    }
+
+    /**
+     * Get all segments
      */
     getAllSegments(): Segment[] {
-        return [
-            ...this.segments,
-            ...Array.from(this.activeSegments.values()),
-        ];
+        return this.segments.map((segment) => ({ ...segment }));
+    }
+
+    /**
+     * Get the most recent segment
+     */
+    getLastSegment(): Segment | undefined {
+        const last = this.segments[this.segments.length - 1];
+        return last ? { ...last } : undefined;
     }
 
     /**
      * Get total segment count
      */
     getCount(): number {
-        return this.segments.length + this.activeSegments.size;
+        return this.segments.length;
     }
 
     /**
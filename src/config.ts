@@ -1,8 +1,34 @@
 import dotenv from 'dotenv';
-import { BotConfig } from './types';
+import path from 'path';
+import os from 'os';
+import { BotConfig, LogLevel } from './types';
 
 dotenv.config();
 
+/**
+ * Parse API_KEYS ("tenant:key,tenant:key") into a key -> tenant map
+ */
+function parseApiKeys(value: string | undefined): Record<string, string> {
+    const keys: Record<string, string> = {};
+    for (const entry of (value || '').split(',')) {
+        const separator = entry.indexOf(':');
+        if (separator <= 0) continue;
+
+        const tenantId = entry.slice(0, separator).trim();
+        const key = entry.slice(separator + 1).trim();
+        if (tenantId && key) keys[key] = tenantId;
+    }
+    return keys;
+}
+
+function parseLogLevel(value: string | undefined, fallback: LogLevel): LogLevel {
+    return value && ['debug', 'info', 'warn', 'error'].includes(value) ? value as LogLevel : fallback;
+}
+
+function parseList(value: string | undefined): string[] {
+    return (value || '').split(',').map((item) => item.trim()).filter((item) => item.length > 0);
+}
+
 export const config: BotConfig = {
     port: parseInt(process.env.PORT || '3001', 10),
     backendUrl: process.env.BACKEND_URL || 'http://localhost:4000',
@@ -10,9 +36,116 @@ export const config: BotConfig = {
     backendWsUrl: process.env.BACKEND_WS_URL || process.env.BACKEND_URL || 'http://localhost:4000',
     botName: process.env.BOT_NAME || 'Notu.AI Bot',
     maxDurationMinutes: parseInt(process.env.MAX_MEETING_DURATION_MINUTES || '120', 10),
+    captionLanguage: process.env.CAPTION_LANGUAGE || '', // e.g. 'id' or 'en-US'
+    introMessage: process.env.INTRO_MESSAGE ?? '📝 Notu.AI Bot sedang merekam meeting ini untuk transkripsi.',
     flushIntervalMs: parseInt(process.env.FLUSH_INTERVAL_MS || '30000', 10),
+    // Caption merging: a segment closes after this much silence...
+    captionSilenceGapMs: parseInt(process.env.CAPTION_SILENCE_GAP_MS || '3000', 10),
+    // ...or once it has been idle this long while someone else speaks
+    captionSpeakerChangeGraceMs: parseInt(process.env.CAPTION_SPEAKER_CHANGE_GRACE_MS || '1500', 10),
+    // Local state (schedules, etc.) that must survive restarts
+    dataDir: path.resolve(process.env.DATA_DIR || path.join(__dirname, '..', '.data')),
+    // Start scheduled bots this long before the meeting start time
+    scheduleLeadTimeMs: parseInt(process.env.SCHEDULE_LEAD_TIME_MS || '60000', 10),
+    scheduleTickMs: parseInt(process.env.SCHEDULE_TICK_MS || '5000', 10),
+    // Scheduled joins older than this (e.g. after downtime) are marked missed
+    scheduleMissedGraceMinutes: parseInt(process.env.SCHEDULE_MISSED_GRACE_MINUTES || '15', 10),
+    // Session journal backend: 'file' survives restarts, 'memory' does not
+    sessionStore: process.env.SESSION_STORE === 'memory' ? 'memory' : 'file',
+    // What to do with sessions interrupted by a restart: finalize them as-is or rejoin the meeting
+    sessionRecovery: process.env.SESSION_RECOVERY === 'resume' ? 'resume' : 'finalize',
+    sessionRetentionHours: parseInt(process.env.SESSION_RETENTION_HOURS || '168', 10),
+    // Outbound delivery queue (segments, audio chunks, finalize)
+    outboxTickMs: parseInt(process.env.OUTBOX_TICK_MS || '1000', 10),
+    outboxConcurrency: parseInt(process.env.OUTBOX_CONCURRENCY || '4', 10),
+    outboxRequestTimeoutMs: parseInt(process.env.OUTBOX_REQUEST_TIMEOUT_MS || '30000', 10),
+    outboxMaxAttempts: parseInt(process.env.OUTBOX_MAX_ATTEMPTS || '12', 10),
+    outboxRetryBaseMs: parseInt(process.env.OUTBOX_RETRY_BASE_MS || '1000', 10),
+    outboxRetryMaxMs: parseInt(process.env.OUTBOX_RETRY_MAX_MS || '300000', 10),
+    // Live caption feed (SSE / WebSocket): events kept per meeting for resuming
+    liveFeedBufferSize: parseInt(process.env.LIVE_FEED_BUFFER_SIZE || '1000', 10),
+    // How long a finished meeting's feed stays available to late subscribers
+    liveFeedRetentionMinutes: parseInt(process.env.LIVE_FEED_RETENTION_MINUTES || '30', 10),
+    liveFeedHeartbeatMs: parseInt(process.env.LIVE_FEED_HEARTBEAT_MS || '15000', 10),
+    // API auth: enforced once API keys or a JWT secret are set
+    apiKeys: parseApiKeys(process.env.API_KEYS),
+    jwtSecret: process.env.JWT_SECRET || '',
+    jwtAudience: process.env.JWT_AUDIENCE || '',
+    // HMAC secret for signing callbacks to the backend (X-Notu-Signature)
+    callbackSigningSecret: process.env.CALLBACK_SIGNING_SECRET || '',
+    // Browser origins allowed to call the API; '*' allows any
+    corsOrigins: parseList(process.env.CORS_ORIGINS || '*'),
+    // Browsers running at once; further joins wait in the admission queue
+    maxConcurrentBots: parseInt(process.env.MAX_CONCURRENT_BOTS || '3', 10),
+    maxQueuedJoins: parseInt(process.env.MAX_QUEUED_JOINS || '20', 10),
+    // Refuse new bots below this much free memory (0 disables)
+    minFreeMemoryMb: parseInt(process.env.MIN_FREE_MEMORY_MB || '1024', 10),
+    // ...or above this 1-minute load average per core (0 disables)
+    maxCpuLoad: parseFloat(process.env.MAX_CPU_LOAD || '0.9'),
+    // Pre-pool signed-in profile, adopted into the pool as 'default'
+    chromeProfileDir: path.resolve(process.env.CHROME_PROFILE_DIR || path.join(__dirname, '..', '.chrome-profile')),
+    // Profile pool: one signed-in Google account per directory
+    profilesDir: path.resolve(process.env.PROFILES_DIR || path.join(__dirname, '..', '.chrome-profiles')),
+    // Rate-limited profiles are not leased again for this long
+    profileCooldownMinutes: parseInt(process.env.PROFILE_COOLDOWN_MINUTES || '60', 10),
+    // Worker registry: 'memory' for a single instance, 'redis' to share meetings across workers
+    registryStore: process.env.REGISTRY_STORE === 'redis' ? 'redis' : 'memory',
+    redisUrl: process.env.REDIS_URL || 'redis://localhost:6379',
+    workerId: process.env.WORKER_ID || `${os.hostname()}-${process.pid}`,
+    // URL other workers use to reach this one
+    workerUrl: process.env.WORKER_URL || `http://${os.hostname()}:${process.env.PORT || '3001'}`,
+    workerHeartbeatMs: parseInt(process.env.WORKER_HEARTBEAT_MS || '5000', 10),
+    // A worker silent for this long is dead and its meetings are taken over
+    workerTtlMs: parseInt(process.env.WORKER_TTL_MS || '15000', 10),
+    // Structured logs: one JSON object per line, or 'pretty' for local development
+    logLevel: parseLogLevel(process.env.LOG_LEVEL, process.env.DEBUG === 'true' ? 'debug' : 'info'),
+    logFormat: process.env.LOG_FORMAT === 'pretty' ? 'pretty' : 'json',
+    // Log lines kept per meeting for GET /api/bot/:meetingId/logs
+    logBufferSize: parseInt(process.env.LOG_BUFFER_SIZE || '1000', 10),
+    // Screenshots, DOM and log snapshots at join milestones and failures
+    diagnosticsEnabled: process.env.DIAGNOSTICS !== 'false',
+    // Also keep a Playwright trace / HAR of failed joins (both hold the bot account's cookies)
+    diagnosticsTrace: process.env.DIAGNOSTICS_TRACE === 'true',
+    diagnosticsHar: process.env.DIAGNOSTICS_HAR === 'true',
+    diagnosticsConsoleLines: parseInt(process.env.DIAGNOSTICS_CONSOLE_LINES || '200', 10),
+    // How audio gets from the extension to this service: raw frames over a
+    // loopback WebSocket, or the legacy base64-over-postMessage relay
+    audioTransport: process.env.AUDIO_TRANSPORT === 'postmessage' ? 'postmessage' : 'websocket',
+    // 0 picks a free port; the extension is told which
+    audioIngestPort: parseInt(process.env.AUDIO_INGEST_PORT || '0', 10),
+    // Chunks the extension may send before they are acknowledged
+    audioIngestWindow: parseInt(process.env.AUDIO_INGEST_WINDOW || '4', 10),
+    // Audio chunk uploads to the backend: raw bytes, or the legacy base64 JSON body
+    audioUploadEncoding: process.env.AUDIO_UPLOAD_ENCODING === 'json' ? 'json' : 'binary',
+    // Assemble each session's audio chunks into a local recording
+    audioRecordingEnabled: process.env.AUDIO_RECORDING !== 'false',
+    audioRetentionHours: parseInt(process.env.AUDIO_RETENTION_HOURS || '168', 10),
+    // Optional; remuxes recordings and converts them to wav/mp3/flac
+    ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg',
+    // Chat messages posted when recording is paused / resumed; empty disables
+    pauseMessage: process.env.PAUSE_MESSAGE ?? '⏸️ Notu.AI Bot menjeda perekaman.',
+    resumeMessage: process.env.RESUME_MESSAGE ?? '▶️ Notu.AI Bot melanjutkan perekaman.',
+    // Read the meeting chat into the session (Meet and Teams)
+    chatCaptureEnabled: process.env.CHAT_CAPTURE !== 'false',
+    // Chat messages starting with this are reported to the backend as commands
+    chatCommandPrefix: process.env.CHAT_COMMAND_PREFIX || '/notu',
+    // Leave policy defaults, overridable per join request (see src/leavePolicy.ts)
+    // Leave once no one else has been in the call this long; 0 stays until the meeting ends
+    aloneTimeoutMinutes: parseInt(process.env.ALONE_TIMEOUT_MINUTES || '5', 10),
+    // Leave after this long without captions; 0 disables
+    silenceTimeoutMinutes: parseInt(process.env.SILENCE_TIMEOUT_MINUTES || '15', 10),
+    // Leave this long after the organizer (leavePolicy.organizerNames) leaves
+    organizerLeftGraceMinutes: parseInt(process.env.ORGANIZER_LEFT_GRACE_MINUTES || '2', 10),
+    // Stay this long past the calendar end time (leavePolicy.endsAt)
+    calendarEndGraceMinutes: parseInt(process.env.CALENDAR_END_GRACE_MINUTES || '10', 10),
+    // Spoken commands (leave, pause, resume, action item, bookmark); per-session overrides in the join request
+    voiceCommandsEnabled: process.env.VOICE_COMMANDS !== 'false',
+    voiceCommandsHostOnly: process.env.VOICE_COMMANDS_HOST_ONLY === 'true',
+    // How closely a caption must match a phrase (0-1); lower tolerates more caption errors
+    voiceCommandThreshold: parseFloat(process.env.VOICE_COMMAND_THRESHOLD || '0.8'),
     headless: process.env.HEADLESS !== 'false',
-    debug: process.env.DEBUG !== 'false', // Default to true
+    // Shorthand for LOG_LEVEL=debug
+    debug: process.env.DEBUG === 'true',
 };
 
 export default config;
@@ -0,0 +1,259 @@
+/**
+ * Failure Diagnostics
+ *
+ * Captures what the bot's browser looked like at key join milestones and
+ * when joining fails: a screenshot, the page HTML, its accessibility
+ * snapshot and the recent browser console / bot log lines. Optionally a
+ * Playwright trace and a HAR of the join are kept too, but only when the
+ * join fails.
+ *
+ * Bundles live in `<dataDir>/diagnostics/<sessionId>/` with a
+ * manifest.json, and are served by GET /api/bot/:meetingId/diagnostics.
+ */
+
+import path from 'path';
+import fs from 'fs';
+import { BrowserContext, Page } from 'playwright';
+import config from './config';
+import { createLogger, getMeetingLogs } from './logger';
+import { DiagnosticCapture, DiagnosticsBundle } from './types';
+
+const log = createLogger('Diagnostics');
+
+// Don't let a wedged page hold up failure handling
+const CAPTURE_TIMEOUT_MS = 5000;
+
+const TRACE_FILE = 'trace.zip';
+const HAR_FILE = 'join.har';
+
+// Traces and HARs carry the bot account's cookies
+const OPERATOR_ONLY_FILES = new Set([TRACE_FILE, HAR_FILE]);
+
+function diagnosticsDir(): string {
+    return path.join(config.dataDir, 'diagnostics');
+}
+
+function bundleDir(sessionId: string): string {
+    return path.join(diagnosticsDir(), sessionId);
+}
+
+function readBundle(sessionId: string): DiagnosticsBundle | null {
+    if (!/^[\w-]+$/.test(sessionId)) return null;
+
+    try {
+        return JSON.parse(fs.readFileSync(path.join(bundleDir(sessionId), 'manifest.json'), 'utf8'));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Records the diagnostics bundle of one bot session
+ */
+export class DiagnosticsRecorder {
+    private consoleLines: string[] = [];
+    private bundle: DiagnosticsBundle;
+    private tracing: BrowserContext | null = null;
+
+    constructor(sessionId: string, meetingId: string, tenantId: string | null) {
+        this.bundle = { sessionId, meetingId, tenantId, captures: [], files: [], updatedAt: new Date().toISOString() };
+    }
+
+    /**
+     * Options for launchPersistentContext to record a HAR of the join
+     */
+    harOptions(): { path: string; content: 'omit' } | undefined {
+        if (!config.diagnosticsEnabled || !config.diagnosticsHar) return undefined;
+        fs.mkdirSync(this.dir(), { recursive: true });
+        return { path: this.filePath(HAR_FILE), content: 'omit' };
+    }
+
+    /**
+     * Keep the last few browser console lines for the next capture
+     */
+    recordConsole(type: string, text: string): void {
+        this.consoleLines.push(`[${new Date().toISOString()}] ${type}: ${text}`);
+        if (this.consoleLines.length > config.diagnosticsConsoleLines) {
+            this.consoleLines.shift();
+        }
+    }
+
+    async startTrace(context: BrowserContext): Promise<void> {
+        if (!config.diagnosticsEnabled || !config.diagnosticsTrace) return;
+
+        try {
+            await context.tracing.start({ screenshots: true, snapshots: true });
+            this.tracing = context;
+        } catch (error: any) {
+            log.warn('Failed to start trace', { ...this.context(), error: error.message });
+        }
+    }
+
+    /**
+     * Stop tracing, saving the trace only when `keep` is set
+     */
+    async stopTrace(keep: boolean): Promise<void> {
+        const context = this.tracing;
+        if (!context) return;
+        this.tracing = null;
+
+        try {
+            if (keep) {
+                fs.mkdirSync(this.dir(), { recursive: true });
+                await context.tracing.stop({ path: this.filePath(TRACE_FILE) });
+                this.addFile(TRACE_FILE);
+            } else {
+                await context.tracing.stop();
+            }
+        } catch (error: any) {
+            log.warn('Failed to stop trace', { ...this.context(), error: error.message });
+        }
+    }
+
+    /**
+     * Capture the page as it is now
+     * Every part is best-effort; a failed capture never throws
+     */
+    async capture(label: string, page: Page | null, message?: string): Promise<void> {
+        if (!config.diagnosticsEnabled) return;
+
+        const prefix = `${String(this.bundle.captures.length + 1).padStart(2, '0')}-${label}`;
+        const capture: DiagnosticCapture = { label, at: new Date().toISOString(), url: null, message, files: [] };
+
+        try {
+            fs.mkdirSync(this.dir(), { recursive: true });
+
+            if (page && !page.isClosed()) {
+                capture.url = page.url();
+                await this.tryWrite(capture, `${prefix}.png`, () => page.screenshot({ timeout: CAPTURE_TIMEOUT_MS }));
+                await this.tryWrite(capture, `${prefix}.html`, async () => page.content());
+                await this.tryWrite(capture, `${prefix}.aria.yml`, () =>
+                    page.locator('body').ariaSnapshot({ timeout: CAPTURE_TIMEOUT_MS })
+                );
+            }
+
+            const logs = {
+                console: this.consoleLines,
+                bot: getMeetingLogs(this.bundle.meetingId, {
+                    sessionId: this.bundle.sessionId,
+                    limit: config.diagnosticsConsoleLines,
+                }),
+            };
+            await this.tryWrite(capture, `${prefix}.logs.json`, async () => JSON.stringify(logs, null, 2));
+
+            this.bundle.captures.push(capture);
+            this.persist();
+            log.info('Captured diagnostics', { ...this.context(), label, files: capture.files.length });
+        } catch (error: any) {
+            log.warn('Failed to capture diagnostics', { ...this.context(), label, error: error.message });
+        }
+    }
+
+    /**
+     * Once the browser has closed: keep the HAR if the join failed,
+     * otherwise delete it
+     */
+    finish(joinFailed: boolean): void {
+        const harPath = this.filePath(HAR_FILE);
+        if (!fs.existsSync(harPath)) return;
+
+        if (joinFailed) {
+            this.addFile(HAR_FILE);
+        } else {
+            fs.rmSync(harPath, { force: true });
+        }
+    }
+
+    private async tryWrite(
+        capture: DiagnosticCapture,
+        file: string,
+        produce: () => Promise<string | Buffer>
+    ): Promise<void> {
+        try {
+            fs.writeFileSync(this.filePath(file), await produce());
+            capture.files.push(file);
+        } catch (error: any) {
+            log.debug('Diagnostic capture step failed', { ...this.context(), file, error: error.message });
+        }
+    }
+
+    private addFile(file: string): void {
+        if (!this.bundle.files.includes(file)) {
+            this.bundle.files.push(file);
+            this.persist();
+        }
+    }
+
+    private persist(): void {
+        this.bundle.updatedAt = new Date().toISOString();
+        const manifestPath = this.filePath('manifest.json');
+        const tmpPath = `${manifestPath}.tmp`;
+        fs.mkdirSync(this.dir(), { recursive: true });
+        fs.writeFileSync(tmpPath, JSON.stringify(this.bundle, null, 2));
+        fs.renameSync(tmpPath, manifestPath);
+    }
+
+    private dir(): string {
+        return bundleDir(this.bundle.sessionId);
+    }
+
+    private filePath(file: string): string {
+        return path.join(this.dir(), file);
+    }
+
+    private context() {
+        return { sessionId: this.bundle.sessionId, meetingId: this.bundle.meetingId };
+    }
+}
+
+/**
+ * Diagnostics bundle of a session, if anything was captured
+ */
+export function getDiagnostics(sessionId: string): DiagnosticsBundle | null {
+    return readBundle(sessionId);
+}
+
+/**
+ * Absolute path of a file in a session's bundle
+ * Only files listed in the manifest are served, which also rules out
+ * path traversal
+ */
+export function getDiagnosticsFile(sessionId: string, file: string): string | null {
+    const bundle = readBundle(sessionId);
+    if (!bundle) return null;
+
+    const listed = bundle.files.includes(file) || bundle.captures.some((capture) => capture.files.includes(file));
+    return listed ? path.join(bundleDir(sessionId), file) : null;
+}
+
+/**
+ * Whether a diagnostics file may only be downloaded by operators
+ */
+export function isOperatorOnlyFile(file: string): boolean {
+    return OPERATOR_ONLY_FILES.has(file);
+}
+
+/**
+ * Delete bundles not touched within the retention period
+ * Returns how many were deleted
+ */
+export function pruneDiagnostics(retentionHours: number): number {
+    const dir = diagnosticsDir();
+    if (!fs.existsSync(dir)) return 0;
+
+    const cutoff = Date.now() - retentionHours * 60 * 60 * 1000;
+    let pruned = 0;
+
+    for (const sessionId of fs.readdirSync(dir)) {
+        try {
+            if (fs.statSync(path.join(dir, sessionId)).mtimeMs < cutoff) {
+                fs.rmSync(path.join(dir, sessionId), { recursive: true, force: true });
+                pruned++;
+            }
+        } catch (error: any) {
+            log.warn('Failed to prune diagnostics', { sessionId, error: error.message });
+        }
+    }
+
+    return pruned;
+}
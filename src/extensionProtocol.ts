@@ -0,0 +1,180 @@
+/**
+ * Extension Protocol
+ *
+ * Typed, versioned messages between the Chrome extension and the Node
+ * orchestrator. The extension posts envelopes with window.postMessage; an
+ * init script relays them to Node through a Playwright exposeFunction
+ * bridge, where they are validated before MeetBot acts on them.
+ */
+
+import { isVoiceCommand } from './voiceCommands';
+import { VoiceCommand } from './types';
+import { RosterEntry } from './participants';
+
+export const PROTOCOL_VERSION = 1;
+
+/** Envelope source for extension -> orchestrator messages */
+export const EXTENSION_SOURCE = 'notu-bot-extension';
+
+/** Envelope source for orchestrator -> extension commands */
+export const CONTROLLER_SOURCE = 'notu-bot-controller';
+
+/** Name of the exposed function the init script relays messages to */
+export const BRIDGE_FUNCTION = '__notuBotMessage';
+
+export type ExtensionStatus =
+    | 'starting'
+    | 'disabling_media'
+    | 'joining'
+    | 'waiting_admission'
+    | 'in_meeting'
+    | 'enabling_captions'
+    | 'recording'
+    | 'leaving'
+    | 'failed';
+
+const EXTENSION_STATUSES: ExtensionStatus[] = [
+    'starting',
+    'disabling_media',
+    'joining',
+    'waiting_admission',
+    'in_meeting',
+    'enabling_captions',
+    'recording',
+    'leaving',
+    'failed',
+];
+
+export interface ExtensionSegment {
+    speaker: string;
+    text: string;
+    start: number;
+    end: number;
+}
+
+/**
+ * Message payloads by type
+ */
+export interface ExtensionMessageMap {
+    loaded: { url: string };
+    status: { status: ExtensionStatus; message?: string; reason?: string; error?: string };
+    caption: { speaker: string; text: string; start?: number; end?: number; index?: number };
+    flush: { count: number; duration: number; segments?: ExtensionSegment[] };
+    completed: { reason: string; segments: ExtensionSegment[]; segmentCount: number; duration: number };
+    error: { message: string; fatal?: boolean; stack?: string };
+    audio_chunk: { audioData: string; timestamp: number; duration: number; mimeType?: string };
+    voice_command: { command: VoiceCommand; phrase: string; speaker: string; text: string; score: number };
+    chat: { sender: string; text: string; messageId?: string };
+    chat_sent: { requestId: string; ok: boolean; error?: string };
+    // Everyone but the bot; count can exceed the list when the UI hides some
+    participants: { participants: RosterEntry[]; count: number };
+}
+
+export type ExtensionMessageType = keyof ExtensionMessageMap;
+
+export type ExtensionMessage = {
+    [T in ExtensionMessageType]: {
+        source: typeof EXTENSION_SOURCE;
+        version: number;
+        type: T;
+        data: ExtensionMessageMap[T];
+        timestamp: number;
+    };
+}[ExtensionMessageType];
+
+export type ParseResult =
+    | { ok: true; message: ExtensionMessage }
+    | { ok: false; error: string };
+
+/**
+ * Field type specs; a trailing '?' marks the field optional
+ */
+type FieldSpec = 'string' | 'number' | 'boolean' | 'array' | 'string?' | 'number?' | 'boolean?' | 'array?';
+
+const SCHEMAS: { [T in ExtensionMessageType]: Record<keyof ExtensionMessageMap[T], FieldSpec> } = {
+    loaded: { url: 'string' },
+    status: { status: 'string', message: 'string?', reason: 'string?', error: 'string?' },
+    caption: { speaker: 'string', text: 'string', start: 'number?', end: 'number?', index: 'number?' },
+    flush: { count: 'number', duration: 'number', segments: 'array?' },
+    completed: { reason: 'string', segments: 'array', segmentCount: 'number', duration: 'number' },
+    error: { message: 'string', fatal: 'boolean?', stack: 'string?' },
+    audio_chunk: { audioData: 'string', timestamp: 'number', duration: 'number', mimeType: 'string?' },
+    voice_command: { command: 'string', phrase: 'string', speaker: 'string', text: 'string', score: 'number' },
+    chat: { sender: 'string', text: 'string', messageId: 'string?' },
+    chat_sent: { requestId: 'string', ok: 'boolean', error: 'string?' },
+    participants: { participants: 'array', count: 'number' },
+};
+
+/**
+ * Check a value against a field spec
+ */
+function matchesSpec(value: unknown, spec: FieldSpec): boolean {
+    const optional = spec.endsWith('?');
+    if (value === undefined || value === null) return optional;
+
+    const type = spec.replace('?', '');
+    if (type === 'array') return Array.isArray(value);
+    if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+    return typeof value === type;
+}
+
+function isRosterEntry(value: unknown): value is RosterEntry {
+    const entry = value as Record<string, unknown> | null;
+    return !!entry && typeof entry.id === 'string' && typeof entry.name === 'string';
+}
+
+/**
+ * Validate a raw message from the bridge
+ */
+export function parseExtensionMessage(raw: unknown): ParseResult {
+    if (!raw || typeof raw !== 'object') {
+        return { ok: false, error: 'message is not an object' };
+    }
+
+    const envelope = raw as Record<string, unknown>;
+
+    if (envelope.source !== EXTENSION_SOURCE) {
+        return { ok: false, error: `unexpected source '${envelope.source}'` };
+    }
+
+    if (envelope.version !== PROTOCOL_VERSION) {
+        return { ok: false, error: `unsupported protocol version ${envelope.version} (expected ${PROTOCOL_VERSION})` };
+    }
+
+    const type = envelope.type as ExtensionMessageType;
+    const schema = Object.prototype.hasOwnProperty.call(SCHEMAS, type)
+        ? SCHEMAS[type] as Record<string, FieldSpec>
+        : undefined;
+    if (!schema) {
+        return { ok: false, error: `unknown message type '${envelope.type}'` };
+    }
+
+    if (typeof envelope.timestamp !== 'number') {
+        return { ok: false, error: `${type}: timestamp must be a number` };
+    }
+
+    const data = envelope.data as Record<string, unknown> | undefined;
+    if (!data || typeof data !== 'object') {
+        return { ok: false, error: `${type}: data must be an object` };
+    }
+
+    for (const [field, spec] of Object.entries(schema)) {
+        if (!matchesSpec(data[field], spec)) {
+            return { ok: false, error: `${type}: '${field}' must be ${spec}` };
+        }
+    }
+
+    if (type === 'status' && !EXTENSION_STATUSES.includes(data.status as ExtensionStatus)) {
+        return { ok: false, error: `status: unknown status '${data.status}'` };
+    }
+
+    if (type === 'voice_command' && !isVoiceCommand(data.command)) {
+        return { ok: false, error: `voice_command: unknown command '${data.command}'` };
+    }
+
+    if (type === 'participants' && !(data.participants as unknown[]).every(isRosterEntry)) {
+        return { ok: false, error: 'participants: entries must have a string id and name' };
+    }
+
+    return { ok: true, message: envelope as unknown as ExtensionMessage };
+}
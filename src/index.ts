@@ -8,59 +8,267 @@ import express, { Request, Response, NextFunction } from 'express';
 import cors from 'cors';
 import config from './config';
 import { getSessionManager } from './sessionManager';
-import { JoinRequest, JoinResponse, StopRequest, StopResponse, BotStatusResponse } from './types';
+import { SessionStateError } from './meetBot';
+import { getScheduler } from './scheduler';
+import { getOutbox } from './outbox';
+import { getLiveFeed, parseSince } from './liveFeed';
+import { detectPlatform, SUPPORTED_PLATFORMS } from './platforms';
+import { AdmissionError } from './admission';
+import { AuthRequiredError, getProfilePool } from './profilePool';
+import { getWorkerRegistry, MeetingOwnedError } from './workerRegistry';
+import { registry as metricsRegistry } from './metrics';
+import { createLogger, getMeetingLogs, isLogLevel } from './logger';
+import { getDiagnostics, getDiagnosticsFile, isOperatorOnlyFile } from './diagnostics';
+import { AUDIO_CONTENT_TYPES, AUDIO_FORMATS, AudioExportError, exportRecording, getAudioRecording, isAudioFormat } from './audioRecorder';
+import { FORWARDED_HEADER, proxyToWorker, proxyUpgrade } from './workerProxy';
+import { getAudioIngest } from './audioTransport';
+import { AuthContext, authenticate, canAccess, isAuthEnabled, requireAuth, requireOperator } from './auth';
+import { resolveVoiceCommands, validateVoiceCommandRequest } from './voiceCommands';
+import { resolveLeavePolicy, validateLeavePolicyRequest } from './leavePolicy';
+import { formatTranscript, isTranscriptFormat, TRANSCRIPT_FORMATS } from './transcriptFormatter';
+import { summarizeParticipants } from './participants';
+import {
+    BotOptions,
+    BotSession,
+    ChatRequest,
+    ChatResponse,
+    JoinRequest,
+    JoinResponse,
+    PauseResponse,
+    StopRequest,
+    StopResponse,
+    BotStatusResponse,
+    ScheduleRequest,
+    ScheduleStatus,
+} from './types';
 
 const app = express();
+const log = createLogger('API');
+
+// Meet caps chat messages at 500 characters, Teams at far more
+const MAX_CHAT_MESSAGE_LENGTH = 500;
+
+/**
+ * Validate a chat message from a request body
+ * Returns an error message, or null when valid
+ */
+function validateChatText(field: string, value: unknown): string | null {
+    if (typeof value !== 'string' || value.trim().length === 0) {
+        return `${field} must be a non-empty string`;
+    }
+    if (value.length > MAX_CHAT_MESSAGE_LENGTH) {
+        return `${field} must be at most ${MAX_CHAT_MESSAGE_LENGTH} characters`;
+    }
+    return null;
+}
+
+/**
+ * Validate the per-session bot options of a join request
+ * Returns an error message, or null when valid
+ */
+function validateBotOptions(body: Partial<JoinRequest>, auth: AuthContext | undefined): string | null {
+    const { duration, botName, captionLanguage, introMessage, priority } = body;
+
+    if (duration !== undefined && (typeof duration !== 'number' || duration <= 0)) {
+        return 'duration must be a positive number of minutes';
+    }
+
+    if ([botName, captionLanguage, introMessage].some((v) => v !== undefined && typeof v !== 'string')) {
+        return 'botName, captionLanguage and introMessage must be strings';
+    }
+
+    if (priority !== undefined && !Number.isInteger(priority)) {
+        return 'priority must be an integer';
+    }
+
+    // Priority jumps every tenant's queued joins, so only operators set it
+    if (priority !== undefined && !auth?.operator) {
+        return 'priority requires operator credentials';
+    }
+
+    return validateVoiceCommandRequest(body.voiceCommands) ?? validateLeavePolicyRequest(body.leavePolicy);
+}
+
+/**
+ * Validate a join request
+ * Returns an error message, or null when valid
+ */
+function validateJoinRequest(body: Partial<JoinRequest>, auth: AuthContext | undefined): string | null {
+    const { meetingUrl, meetingId } = body;
+
+    if (!meetingUrl || !meetingId) {
+        return 'meetingUrl and meetingId are required';
+    }
+
+    if (typeof meetingUrl !== 'string' || typeof meetingId !== 'string') {
+        return 'meetingUrl and meetingId must be strings';
+    }
+
+    if (!detectPlatform(meetingUrl)) {
+        return `Unsupported meeting URL; supported platforms: ${SUPPORTED_PLATFORMS}`;
+    }
+
+    return validateBotOptions(body, auth);
+}
+
+/**
+ * Map join request fields to bot options, omitting fields not provided
+ */
+function toBotOptions(body: Partial<JoinRequest>): Partial<BotOptions> {
+    const { duration, botName, captionLanguage, introMessage, priority, voiceCommands, leavePolicy } = body;
+    const options: Partial<BotOptions> = {
+        botName,
+        maxDurationMinutes: duration,
+        captionLanguage,
+        introMessage,
+        priority,
+        voiceCommands: voiceCommands ? resolveVoiceCommands(voiceCommands) : undefined,
+        leavePolicy: leavePolicy ? resolveLeavePolicy(leavePolicy) : undefined,
+    };
+
+    (Object.keys(options) as (keyof BotOptions)[]).forEach((key) => {
+        if (options[key] === undefined) delete options[key];
+    });
+
+    return options;
+}
+
+/**
+ * The caller's session for a meeting, active or stored
+ * Other tenants' sessions are reported as not found
+ */
+function findAccessibleSession(req: Request, meetingId: string, activeOnly = false): BotSession | null {
+    const sessionManager = getSessionManager();
+    const session = activeOnly ? sessionManager.getSession(meetingId) : sessionManager.getLatestSession(meetingId);
+    return session && canAccess(req.auth, session.tenantId) ? session : null;
+}
+
+/**
+ * Forward requests for a meeting run by another worker to that worker
+ * Sessions that already ended are served from this worker's own store
+ */
+async function routeToOwner(req: Request, res: Response, next: NextFunction): Promise<void> {
+    const bodyMeetingId = typeof req.body?.meetingId === 'string' ? req.body.meetingId : undefined;
+    const meetingId = req.params.meetingId || bodyMeetingId;
+    if (!meetingId || req.header(FORWARDED_HEADER) || getSessionManager().getSession(meetingId)) {
+        return next();
+    }
+
+    try {
+        const owner = await getWorkerRegistry().findRemoteOwner(meetingId);
+        if (!owner) return next();
+
+        log.debug('Forwarding request to owning worker', { meetingId, method: req.method, path: req.path, workerId: owner.workerId });
+        proxyToWorker(req, res, owner);
+    } catch (error: any) {
+        log.error('Worker lookup failed', { meetingId, error: error.message });
+        next();
+    }
+}
 
 // Middleware
-app.use(cors());
+app.use(cors({
+    origin: config.corsOrigins.includes('*') ? true : config.corsOrigins,
+}));
 app.use(express.json());
 
+// Everything under /api requires credentials once auth is configured
+app.use('/api', requireAuth);
+
 // Health check
 app.get('/health', (req: Request, res: Response) => {
     res.json({
         status: 'healthy',
         service: 'notu-bot-service',
         activeSessions: getSessionManager().getAllSessions().length,
+        queuedSessions: getSessionManager().getAllSessions().filter((s) => s.status === 'queued').length,
     });
 });
 
+/**
+ * GET /metrics
+ * Prometheus scrape endpoint; public like /health, so keep it off the
+ * public internet
+ */
+app.get('/metrics', async (req: Request, res: Response) => {
+    try {
+        res.set('Content-Type', metricsRegistry.contentType);
+        res.end(await metricsRegistry.metrics());
+    } catch (error: any) {
+        log.error('Metrics error', { error });
+        res.status(500).end(error.message);
+    }
+});
+
 /**
  * POST /api/bot/join
  * Start a bot to join a meeting
  */
-app.post('/api/bot/join', async (req: Request, res: Response, next: NextFunction) => {
+app.post('/api/bot/join', routeToOwner, async (req: Request, res: Response, next: NextFunction) => {
     try {
-        const { meetingUrl, meetingId, duration, botName } = req.body as JoinRequest;
+        const { meetingUrl, meetingId } = req.body as JoinRequest;
 
-        if (!meetingUrl || !meetingId) {
+        const validationError = validateJoinRequest(req.body, req.auth);
+        if (validationError) {
             return res.status(400).json({
                 success: false,
-                error: 'meetingUrl and meetingId are required',
+                error: validationError,
             } as JoinResponse);
         }
 
-        // Validate URL is Google Meet
-        if (!meetingUrl.includes('meet.google.com')) {
-            return res.status(400).json({
+        const sessionManager = getSessionManager();
+        const existing = sessionManager.getSession(meetingId);
+        if (existing && !canAccess(req.auth, existing.tenantId)) {
+            return res.status(409).json({
                 success: false,
-                error: 'Only Google Meet URLs are supported',
+                error: 'meetingId is already in use',
             } as JoinResponse);
         }
 
-        console.log(`[API] Starting bot for meeting ${meetingId}: ${meetingUrl}`);
+        log.info('Starting bot', { meetingId, url: meetingUrl, tenantId: req.auth?.tenantId });
 
-        const sessionManager = getSessionManager();
-        const session = await sessionManager.startSession(meetingId, meetingUrl);
+        const session = await sessionManager.startSession(
+            meetingId,
+            meetingUrl,
+            toBotOptions(req.body),
+            req.auth?.tenantId ?? null
+        );
 
-        res.json({
+        const queued = session.status === 'queued';
+        res.status(queued ? 202 : 200).json({
             success: true,
             sessionId: session.sessionId,
             meetingId: session.meetingId,
-            message: 'Bot started successfully',
+            status: session.status,
+            queuePosition: queued ? sessionManager.getQueuePosition(meetingId) : undefined,
+            message: queued ? 'Bot queued until a slot is free' : 'Bot started successfully',
         } as JoinResponse);
     } catch (error: any) {
-        console.error('[API] Join error:', error);
+        if (error instanceof AdmissionError) {
+            log.warn('Join refused', { meetingId: req.body?.meetingId, error: error.message });
+            return res.status(error.status).json({
+                success: false,
+                error: error.message,
+            } as JoinResponse);
+        }
+
+        if (error instanceof MeetingOwnedError) {
+            // Lost the claim race to another worker
+            return res.status(409).json({
+                success: false,
+                error: error.message,
+            } as JoinResponse);
+        }
+
+        if (error instanceof AuthRequiredError) {
+            return res.status(503).json({
+                success: false,
+                status: 'auth_required',
+                error: error.message,
+            } as JoinResponse);
+        }
+
+        log.error('Join error', { meetingId: req.body?.meetingId, error });
         res.status(500).json({
             success: false,
             error: error.message,
@@ -72,15 +280,30 @@ app.post('/api/bot/join', async (req: Request, res: Response, next: NextFunction
  * POST /api/bot/:meetingId/stop
  * Stop a bot session
  */
-app.post('/api/bot/:meetingId/stop', async (req: Request, res: Response) => {
+app.post('/api/bot/:meetingId/stop', routeToOwner, async (req: Request, res: Response) => {
     try {
         const { meetingId } = req.params;
-        const { reason } = req.body as StopRequest;
+        const { reason, message } = req.body as StopRequest;
 
-        console.log(`[API] Stopping bot for meeting ${meetingId}`);
+        const messageError = message === undefined ? null : validateChatText('message', message);
+        if (messageError) {
+            return res.status(400).json({
+                success: false,
+                error: messageError,
+            } as StopResponse);
+        }
+
+        if (!findAccessibleSession(req, meetingId, true)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Session not found',
+            } as StopResponse);
+        }
+
+        log.info('Stopping bot', { meetingId, reason: reason || 'user_requested' });
 
         const sessionManager = getSessionManager();
-        const session = await sessionManager.stopSession(meetingId, reason || 'user_requested');
+        const session = await sessionManager.stopSession(meetingId, reason || 'user_requested', message?.trim());
 
         if (!session) {
             return res.status(404).json({
@@ -105,7 +328,7 @@ app.post('/api/bot/:meetingId/stop', async (req: Request, res: Response) => {
             duration,
         } as StopResponse);
     } catch (error: any) {
-        console.error('[API] Stop error:', error);
+        log.error('Stop error', { meetingId: req.params.meetingId, error });
         res.status(500).json({
             success: false,
             error: error.message,
@@ -113,16 +336,221 @@ app.post('/api/bot/:meetingId/stop', async (req: Request, res: Response) => {
     }
 });
 
+/**
+ * Shared handler of the pause and resume routes
+ */
+async function setPaused(req: Request, res: Response, paused: boolean): Promise<void> {
+    const { meetingId } = req.params;
+
+    try {
+        if (!findAccessibleSession(req, meetingId, true)) {
+            res.status(404).json({
+                success: false,
+                error: 'Session not found',
+            } as PauseResponse);
+            return;
+        }
+
+        log.info(paused ? 'Pausing bot' : 'Resuming bot', { meetingId });
+
+        const sessionManager = getSessionManager();
+        const session = paused
+            ? await sessionManager.pauseSession(meetingId)
+            : await sessionManager.resumeSession(meetingId);
+
+        if (!session) {
+            res.status(404).json({
+                success: false,
+                error: 'Session not found',
+            } as PauseResponse);
+            return;
+        }
+
+        res.json({
+            success: true,
+            status: session.status,
+            pauses: session.pauses,
+        } as PauseResponse);
+    } catch (error: any) {
+        if (error instanceof SessionStateError) {
+            res.status(error.status).json({
+                success: false,
+                error: error.message,
+            } as PauseResponse);
+            return;
+        }
+
+        log.error(paused ? 'Pause error' : 'Resume error', { meetingId, error });
+        res.status(500).json({
+            success: false,
+            error: error.message,
+        } as PauseResponse);
+    }
+}
+
+/**
+ * POST /api/bot/:meetingId/pause
+ * Stop capturing captions and audio while the bot stays in the meeting
+ */
+app.post('/api/bot/:meetingId/pause', routeToOwner, (req: Request, res: Response) =>
+    setPaused(req, res, true)
+);
+
+/**
+ * POST /api/bot/:meetingId/resume
+ * Resume capturing after a pause
+ */
+app.post('/api/bot/:meetingId/resume', routeToOwner, (req: Request, res: Response) =>
+    setPaused(req, res, false)
+);
+
+/**
+ * POST /api/bot/:meetingId/chat
+ * Post a message in the meeting chat as the bot
+ */
+app.post('/api/bot/:meetingId/chat', routeToOwner, async (req: Request, res: Response) => {
+    const { meetingId } = req.params;
+
+    try {
+        const { text } = req.body as ChatRequest;
+
+        const textError = validateChatText('text', text);
+        if (textError) {
+            return res.status(400).json({
+                success: false,
+                error: textError,
+            } as ChatResponse);
+        }
+
+        if (!findAccessibleSession(req, meetingId, true)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Session not found',
+            } as ChatResponse);
+        }
+
+        const message = await getSessionManager().postChat(meetingId, text.trim());
+
+        if (message === undefined) {
+            return res.status(404).json({
+                success: false,
+                error: 'Session not found',
+            } as ChatResponse);
+        }
+
+        if (!message) {
+            return res.status(502).json({
+                success: false,
+                error: 'The message could not be posted in the meeting chat',
+            } as ChatResponse);
+        }
+
+        res.json({
+            success: true,
+            message,
+        } as ChatResponse);
+    } catch (error: any) {
+        if (error instanceof SessionStateError) {
+            return res.status(error.status).json({
+                success: false,
+                error: error.message,
+            } as ChatResponse);
+        }
+
+        log.error('Chat error', { meetingId, error });
+        res.status(500).json({
+            success: false,
+            error: error.message,
+        } as ChatResponse);
+    }
+});
+
+/**
+ * GET /api/bot/:meetingId/chat
+ * Get the chat messages of the latest session
+ */
+app.get('/api/bot/:meetingId/chat', routeToOwner, (req: Request, res: Response) => {
+    const { meetingId } = req.params;
+    const session = findAccessibleSession(req, meetingId);
+
+    if (!session) {
+        return res.status(404).json({
+            success: false,
+            error: 'Session not found',
+        });
+    }
+
+    res.json({
+        sessionId: session.sessionId,
+        meetingId: session.meetingId,
+        messages: session.chat || [],
+    });
+});
+
+/**
+ * GET /api/bot/:meetingId/participants
+ * Get the attendance and join/leave timeline of the latest session
+ */
+app.get('/api/bot/:meetingId/participants', routeToOwner, (req: Request, res: Response) => {
+    const { meetingId } = req.params;
+    const session = findAccessibleSession(req, meetingId);
+
+    if (!session) {
+        return res.status(404).json({
+            success: false,
+            error: 'Session not found',
+        });
+    }
+
+    const timeline = session.participants || [];
+    const participants = summarizeParticipants(timeline, session.completedAt || new Date());
+
+    res.json({
+        sessionId: session.sessionId,
+        meetingId: session.meetingId,
+        count: participants.filter((participant) => participant.present).length,
+        participants,
+        timeline,
+    });
+});
+
+/**
+ * GET /api/bot/auth/status?verify=false
+ * Check every bot profile is still signed in to Google
+ * Launches a browser per profile unless verify=false, which returns the
+ * last known health. Registered before /:meetingId/status so "auth" is
+ * not taken for a meeting ID.
+ */
+app.get('/api/bot/auth/status', requireOperator, async (req: Request, res: Response) => {
+    try {
+        const pool = getProfilePool();
+        const profiles = req.query.verify === 'false' ? pool.list() : await pool.verifyAll();
+        const active = profiles.filter((profile) => !profile.retired);
+
+        res.json({
+            success: true,
+            healthy: active.filter((profile) => profile.health === 'healthy').length,
+            total: active.length,
+            profiles,
+        });
+    } catch (error: any) {
+        log.error('Auth status error', { error });
+        res.status(500).json({
+            success: false,
+            error: error.message,
+        });
+    }
+});
+
 /**
  * GET /api/bot/:meetingId/status
  * Get bot session status
  */
-app.get('/api/bot/:meetingId/status', (req: Request, res: Response) => {
+app.get('/api/bot/:meetingId/status', routeToOwner, (req: Request, res: Response) => {
     try {
         const { meetingId } = req.params;
 
-        const sessionManager = getSessionManager();
-        const session = sessionManager.getSession(meetingId);
+        const session = findAccessibleSession(req, meetingId, true);
 
         if (!session) {
             return res.status(404).json({
@@ -138,7 +566,11 @@ app.get('/api/bot/:meetingId/status', (req: Request, res: Response) => {
         res.json({
             sessionId: session.sessionId,
             meetingId: session.meetingId,
+            platform: session.platform,
             status: session.status,
+            queuePosition: session.status === 'queued'
+                ? getSessionManager().getQueuePosition(meetingId)
+                : undefined,
             segmentCount: session.segments.length,
             duration,
             lastSegment: session.segments.length > 0
@@ -146,7 +578,233 @@ app.get('/api/bot/:meetingId/status', (req: Request, res: Response) => {
                 : undefined,
         } as BotStatusResponse);
     } catch (error: any) {
-        console.error('[API] Status error:', error);
+        log.error('Status error', { meetingId: req.params.meetingId, error });
+        res.status(500).json({
+            success: false,
+            error: error.message,
+        });
+    }
+});
+
+/**
+ * GET /api/bot/:meetingId/transcript?format=srt|vtt|json|md|txt
+ * Export the transcript, live while the meeting runs or from the
+ * stored session afterwards
+ */
+app.get('/api/bot/:meetingId/transcript', routeToOwner, (req: Request, res: Response) => {
+    try {
+        const { meetingId } = req.params;
+        const format = typeof req.query.format === 'string' ? req.query.format : 'json';
+
+        if (!isTranscriptFormat(format)) {
+            return res.status(400).json({
+                success: false,
+                error: `format must be one of: ${Object.keys(TRANSCRIPT_FORMATS).join(', ')}`,
+            });
+        }
+
+        const session = findAccessibleSession(req, meetingId);
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                error: 'Session not found',
+            });
+        }
+
+        const { contentType, extension } = TRANSCRIPT_FORMATS[format];
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Disposition', `inline; filename="transcript-${meetingId.replace(/[^\w-]/g, '_')}.${extension}"`);
+        res.send(formatTranscript(session, format));
+    } catch (error: any) {
+        log.error('Transcript error', { meetingId: req.params.meetingId, error });
+        res.status(500).json({
+            success: false,
+            error: error.message,
+        });
+    }
+});
+
+/**
+ * GET /api/bot/:meetingId/live?since=<id>
+ * Stream status changes and interim/final segments as Server-Sent Events
+ * Reconnecting clients resume via Last-Event-ID (or ?since=); the same
+ * path serves a WebSocket feed on upgrade
+ */
+app.get('/api/bot/:meetingId/live', routeToOwner, (req: Request, res: Response) => {
+    const { meetingId } = req.params;
+    const liveFeed = getLiveFeed();
+
+    // Authorize before looking at the feed, so other tenants learn nothing
+    if (!findAccessibleSession(req, meetingId) || !liveFeed.has(meetingId)) {
+        return res.status(404).json({
+            success: false,
+            error: 'Session not found',
+        });
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no', // Disable proxy buffering (nginx)
+    });
+    res.write(`retry: 3000\n\n`);
+
+    const since = parseSince(req.header('Last-Event-ID') ?? req.query.since);
+    const unsubscribe = liveFeed.subscribe(meetingId, since, (event) => {
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    });
+
+    // Comment lines keep idle connections open through proxies
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), config.liveFeedHeartbeatMs);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
+/**
+ * GET /api/bot/:meetingId/logs?level=info&sessionId=<id>&limit=200
+ * Recent log lines for a meeting from this worker's in-memory buffer
+ */
+app.get('/api/bot/:meetingId/logs', routeToOwner, (req: Request, res: Response) => {
+    const { meetingId } = req.params;
+    const { level, sessionId, limit } = req.query;
+
+    if (!findAccessibleSession(req, meetingId)) {
+        return res.status(404).json({
+            success: false,
+            error: 'Session not found',
+        });
+    }
+
+    if (level !== undefined && !isLogLevel(level)) {
+        return res.status(400).json({
+            success: false,
+            error: 'level must be one of: debug, info, warn, error',
+        });
+    }
+
+    const maxLines = limit === undefined ? undefined : Number(limit);
+    if (maxLines !== undefined && (!Number.isInteger(maxLines) || maxLines <= 0)) {
+        return res.status(400).json({
+            success: false,
+            error: 'limit must be a positive integer',
+        });
+    }
+
+    res.json({
+        success: true,
+        meetingId,
+        logs: getMeetingLogs(meetingId, {
+            level,
+            sessionId: typeof sessionId === 'string' ? sessionId : undefined,
+            limit: maxLines,
+        }),
+    });
+});
+
+/**
+ * GET /api/bot/:meetingId/diagnostics?sessionId=<id>
+ * Screenshots, DOM/accessibility snapshots and log excerpts captured at
+ * join milestones and on failure; defaults to the latest session
+ */
+app.get('/api/bot/:meetingId/diagnostics', routeToOwner, (req: Request, res: Response) => {
+    const { meetingId } = req.params;
+    const sessionId = typeof req.query.sessionId === 'string'
+        ? req.query.sessionId
+        : findAccessibleSession(req, meetingId)?.sessionId;
+    const bundle = sessionId ? getDiagnostics(sessionId) : null;
+
+    if (!bundle || bundle.meetingId !== meetingId || !canAccess(req.auth, bundle.tenantId)) {
+        return res.status(404).json({
+            success: false,
+            error: 'Diagnostics not found',
+        });
+    }
+
+    // Only operators see the files only they may download
+    const listFiles = (names: string[]) => names
+        .filter((name) => req.auth?.operator || !isOperatorOnlyFile(name))
+        .map((name) => ({
+            name,
+            url: `/api/bot/${encodeURIComponent(meetingId)}/diagnostics/${bundle.sessionId}/${name}`,
+        }));
+
+    res.json({
+        success: true,
+        meetingId,
+        sessionId: bundle.sessionId,
+        updatedAt: bundle.updatedAt,
+        captures: bundle.captures.map((capture) => ({ ...capture, files: listFiles(capture.files) })),
+        files: listFiles(bundle.files),
+    });
+});
+
+/**
+ * GET /api/bot/:meetingId/diagnostics/:sessionId/:file
+ * Download one file of a diagnostics bundle
+ * Traces and HARs hold the bot account's cookies and need operator credentials
+ */
+app.get('/api/bot/:meetingId/diagnostics/:sessionId/:file', routeToOwner, (req: Request, res: Response) => {
+    const { meetingId, sessionId, file } = req.params;
+    const bundle = getDiagnostics(sessionId);
+    const filePath = getDiagnosticsFile(sessionId, file);
+
+    if (!bundle || !filePath || bundle.meetingId !== meetingId || !canAccess(req.auth, bundle.tenantId)) {
+        return res.status(404).json({
+            success: false,
+            error: 'Diagnostics file not found',
+        });
+    }
+
+    if (isOperatorOnlyFile(file) && !req.auth?.operator) {
+        return res.status(403).json({ success: false, error: 'Operator credentials required' });
+    }
+
+    res.sendFile(filePath);
+});
+
+/**
+ * GET /api/bot/:meetingId/audio?format=webm|wav|mp3|flac&sessionId=<id>
+ * Download the meeting's assembled audio recording; defaults to the latest
+ * session as WebM. WebM is available while the bot is still recording.
+ */
+app.get('/api/bot/:meetingId/audio', routeToOwner, async (req: Request, res: Response) => {
+    const { meetingId } = req.params;
+    const format = req.query.format ?? 'webm';
+
+    if (!isAudioFormat(format)) {
+        return res.status(400).json({
+            success: false,
+            error: `format must be one of: ${AUDIO_FORMATS.join(', ')}`,
+        });
+    }
+
+    const sessionId = typeof req.query.sessionId === 'string'
+        ? req.query.sessionId
+        : findAccessibleSession(req, meetingId)?.sessionId;
+    const recording = sessionId ? getAudioRecording(sessionId) : null;
+
+    if (!recording || recording.meetingId !== meetingId || !canAccess(req.auth, recording.tenantId)) {
+        return res.status(404).json({
+            success: false,
+            error: 'Recording not found',
+        });
+    }
+
+    try {
+        const filePath = await exportRecording(recording.sessionId, format);
+        res.attachment(`${meetingId}-${recording.sessionId}.${format}`);
+        res.type(AUDIO_CONTENT_TYPES[format]);
+        res.sendFile(filePath);
+    } catch (error: any) {
+        if (error instanceof AudioExportError) {
+            return res.status(error.status).json({ success: false, error: error.message });
+        }
+
+        log.error('Audio export error', { meetingId, sessionId: recording.sessionId, error });
         res.status(500).json({
             success: false,
             error: error.message,
@@ -160,9 +818,10 @@ app.get('/api/bot/:meetingId/status', (req: Request, res: Response) => {
  */
 app.get('/api/bot/sessions', (req: Request, res: Response) => {
     const sessionManager = getSessionManager();
-    const sessions = sessionManager.getAllSessions().map((s) => ({
+    const sessions = sessionManager.getAllSessions().filter((s) => canAccess(req.auth, s.tenantId)).map((s) => ({
         sessionId: s.sessionId,
         meetingId: s.meetingId,
+        platform: s.platform,
         status: s.status,
         segmentCount: s.segments.length,
         startedAt: s.startedAt,
@@ -175,9 +834,231 @@ app.get('/api/bot/sessions', (req: Request, res: Response) => {
     });
 });
 
+/**
+ * POST /api/bot/schedule
+ * Schedule a bot to join a meeting at a future time
+ */
+app.post('/api/bot/schedule', (req: Request, res: Response) => {
+    try {
+        const { meetingUrl, meetingId, startAt } = req.body as ScheduleRequest;
+
+        const validationError = validateJoinRequest(req.body, req.auth);
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+
+        const startDate = new Date(startAt);
+        if (!startAt || isNaN(startDate.getTime())) {
+            return res.status(400).json({ success: false, error: 'startAt must be an ISO 8601 date' });
+        }
+
+        if (startDate.getTime() < Date.now() - config.scheduleMissedGraceMinutes * 60 * 1000) {
+            return res.status(400).json({ success: false, error: 'startAt is in the past' });
+        }
+
+        const scheduler = getScheduler();
+        const existing = scheduler.findPending(meetingId);
+        if (existing) {
+            // Only reveal the schedule ID to its own tenant
+            if (!canAccess(req.auth, existing.tenantId)) {
+                return res.status(409).json({ success: false, error: 'meetingId is already in use' });
+            }
+
+            return res.status(409).json({
+                success: false,
+                error: 'Meeting already has a pending schedule',
+                scheduleId: existing.scheduleId,
+            });
+        }
+
+        const schedule = scheduler.schedule(
+            meetingId,
+            meetingUrl,
+            startDate,
+            toBotOptions(req.body),
+            req.auth?.tenantId ?? null
+        );
+
+        res.status(201).json({ success: true, schedule });
+    } catch (error: any) {
+        log.error('Schedule error', { meetingId: req.body?.meetingId, error });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/bot/schedules
+ * List schedules, optionally filtered by ?status= and ?meetingId=
+ */
+app.get('/api/bot/schedules', (req: Request, res: Response) => {
+    const schedules = getScheduler().list({
+        status: req.query.status as ScheduleStatus | undefined,
+        meetingId: req.query.meetingId as string | undefined,
+    }).filter((schedule) => canAccess(req.auth, schedule.tenantId));
+
+    res.json({
+        success: true,
+        schedules,
+        count: schedules.length,
+    });
+});
+
+/**
+ * GET /api/bot/schedule/:scheduleId
+ * Get a single schedule
+ */
+app.get('/api/bot/schedule/:scheduleId', (req: Request, res: Response) => {
+    const schedule = getScheduler().get(req.params.scheduleId);
+
+    if (!schedule || !canAccess(req.auth, schedule.tenantId)) {
+        return res.status(404).json({ success: false, error: 'Schedule not found' });
+    }
+
+    res.json({ success: true, schedule });
+});
+
+/**
+ * PATCH /api/bot/schedule/:scheduleId
+ * Reschedule a pending join, optionally updating its bot options
+ */
+app.patch('/api/bot/schedule/:scheduleId', (req: Request, res: Response) => {
+    try {
+        const { startAt } = req.body as Partial<ScheduleRequest>;
+        const scheduler = getScheduler();
+        const schedule = scheduler.get(req.params.scheduleId);
+
+        if (!schedule || !canAccess(req.auth, schedule.tenantId)) {
+            return res.status(404).json({ success: false, error: 'Schedule not found' });
+        }
+
+        const validationError = validateBotOptions(req.body, req.auth);
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+
+        const startDate = startAt ? new Date(startAt) : new Date(schedule.startAt);
+        if (isNaN(startDate.getTime())) {
+            return res.status(400).json({ success: false, error: 'startAt must be an ISO 8601 date' });
+        }
+
+        // As when scheduling: the next tick would mark it missed at once
+        if (startAt && startDate.getTime() < Date.now() - config.scheduleMissedGraceMinutes * 60 * 1000) {
+            return res.status(400).json({ success: false, error: 'startAt is in the past' });
+        }
+
+        if (schedule.status !== 'scheduled') {
+            return res.status(409).json({
+                success: false,
+                error: `Cannot reschedule a schedule with status '${schedule.status}'`,
+            });
+        }
+
+        const updated = scheduler.reschedule(schedule.scheduleId, startDate, toBotOptions(req.body));
+
+        res.json({ success: true, schedule: updated });
+    } catch (error: any) {
+        log.error('Reschedule error', { scheduleId: req.params.scheduleId, error });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * DELETE /api/bot/schedule/:scheduleId
+ * Cancel a pending schedule
+ */
+app.delete('/api/bot/schedule/:scheduleId', (req: Request, res: Response) => {
+    const scheduler = getScheduler();
+    const schedule = scheduler.get(req.params.scheduleId);
+
+    if (!schedule || !canAccess(req.auth, schedule.tenantId)) {
+        return res.status(404).json({ success: false, error: 'Schedule not found' });
+    }
+
+    if (schedule.status !== 'scheduled') {
+        return res.status(409).json({
+            success: false,
+            error: `Cannot cancel a schedule with status '${schedule.status}'`,
+        });
+    }
+
+    res.json({ success: true, schedule: scheduler.cancel(schedule.scheduleId) });
+});
+
+/**
+ * GET /api/bot/workers
+ * Live workers and which meetings each one runs
+ */
+app.get('/api/bot/workers', requireOperator, async (req: Request, res: Response) => {
+    try {
+        const registry = getWorkerRegistry();
+        const [workers, meetings] = await Promise.all([registry.listWorkers(), registry.listMeetings()]);
+
+        res.json({
+            success: true,
+            workerId: registry.workerId,
+            workers: workers.map((worker) => ({
+                ...worker,
+                meetings: meetings.filter((m) => m.workerId === worker.workerId).map((m) => m.meetingId),
+            })),
+            orphanedMeetings: meetings
+                .filter((m) => !workers.some((worker) => worker.workerId === m.workerId))
+                .map((m) => m.meetingId),
+        });
+    } catch (error: any) {
+        log.error('Workers error', { error });
+        res.status(500).json({
+            success: false,
+            error: error.message,
+        });
+    }
+});
+
+/**
+ * GET /api/bot/outbox
+ * Outbound delivery queue depth and dead letters
+ */
+app.get('/api/bot/outbox', requireOperator, (req: Request, res: Response) => {
+    const outbox = getOutbox();
+
+    // Payloads can be large (audio), so only list what is needed to triage
+    const deadLetters = outbox.listDeadLetters().map(({ payload, ...job }) => job);
+
+    res.json({
+        success: true,
+        ...outbox.getStats(),
+        deadLetters,
+    });
+});
+
+/**
+ * POST /api/bot/outbox/dead/:jobId/retry
+ * Requeue a dead-lettered delivery
+ */
+app.post('/api/bot/outbox/dead/:jobId/retry', requireOperator, (req: Request, res: Response) => {
+    const job = getOutbox().retryDeadLetter(req.params.jobId);
+
+    if (!job) {
+        return res.status(404).json({ success: false, error: 'Dead letter not found' });
+    }
+
+    res.json({ success: true, jobId: job.id });
+});
+
+/**
+ * DELETE /api/bot/outbox/dead/:jobId
+ * Discard a dead-lettered delivery
+ */
+app.delete('/api/bot/outbox/dead/:jobId', requireOperator, (req: Request, res: Response) => {
+    if (!getOutbox().discardDeadLetter(req.params.jobId)) {
+        return res.status(404).json({ success: false, error: 'Dead letter not found' });
+    }
+
+    res.json({ success: true });
+});
+
 // Error handler
 app.use((err: Error, req: Request, res: Response, next: NextFunction) => {
-    console.error('[API] Unhandled error:', err);
+    log.error('Unhandled error', { method: req.method, path: req.path, error: err });
     res.status(500).json({
         success: false,
         error: 'Internal server error',
@@ -185,24 +1066,75 @@ app.use((err: Error, req: Request, res: Response, next: NextFunction) => {
 });
 
 // Graceful shutdown
-process.on('SIGINT', async () => {
-    console.log('\n[API] Received SIGINT, shutting down...');
+async function shutdown(signal: string): Promise<void> {
+    log.info('Shutting down', { signal });
+    getScheduler().stop();
     await getSessionManager().shutdown();
-    process.exit(0);
-});
+    await getWorkerRegistry().stop();
+    await getAudioIngest().stop();
+
+    // Give final deliveries a moment; anything left stays spooled on disk
+    const outbox = getOutbox();
+    const remaining = await outbox.drain(10000);
+    outbox.stop();
+    if (remaining > 0) {
+        log.info('Outbound deliveries spooled for next start', { count: remaining });
+    }
 
-process.on('SIGTERM', async () => {
-    console.log('\n[API] Received SIGTERM, shutting down...');
-    await getSessionManager().shutdown();
     process.exit(0);
-});
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
 
 // Start server
-app.listen(config.port, () => {
-    console.log(`\n🤖 Bot Service running on port ${config.port}`);
-    console.log(`   Backend URL: ${config.backendUrl}`);
-    console.log(`   Headless: ${config.headless}`);
-    console.log(`   Max Duration: ${config.maxDurationMinutes} minutes\n`);
+const server = app.listen(config.port, () => {
+    log.info('Bot Service running', {
+        port: config.port,
+        backendUrl: config.backendUrl,
+        headless: config.headless,
+        maxDurationMinutes: config.maxDurationMinutes,
+        workerId: config.workerId,
+    });
+
+    if (!isAuthEnabled()) {
+        log.warn('API auth is disabled - set API_KEYS or JWT_SECRET before exposing this service');
+    }
+
+    getOutbox().start();
+
+    getWorkerRegistry().start()
+        .catch((error) => log.error('Worker registration failed', { error: error.message }));
+
+    getSessionManager().recoverSessions()
+        .catch((error) => log.error('Session recovery failed', { error }));
+
+    // Independent of recovery: rejoining orphans can take minutes, and
+    // joins coming due meanwhile would be marked missed
+    getScheduler().start();
+});
+
+getLiveFeed().attachWebSocket(server, (req, meetingId) => {
+    let auth;
+    try {
+        auth = authenticate(req);
+    } catch {
+        return 401;
+    }
+
+    // Another tenant's meeting looks the same as no meeting; ones this
+    // worker has never stored are checked again by their owner
+    const session = getSessionManager().getLatestSession(meetingId);
+    return session && !canAccess(auth, session.tenantId) ? 404 : null;
+}, async (req, socket, head, meetingId) => {
+    // The meeting runs on another worker
+    if (req.headers[FORWARDED_HEADER]) return false;
+
+    const owner = await getWorkerRegistry().findRemoteOwner(meetingId);
+    if (!owner) return false;
+
+    proxyUpgrade(req, socket, head, owner);
+    return true;
 });
 
 export default app;
@@ -0,0 +1,225 @@
+/**
+ * Leave Policy
+ *
+ * Decides when a bot leaves a meeting that did not end by itself: max
+ * duration, alone in the call, no captions for a while, the organizer
+ * leaving, or the calendar end time plus grace. Each trigger leaves with
+ * its own reason code, reported to the backend with the meeting end.
+ * Policies are resolved per session (config defaults, overridable per
+ * join request); ending the meeting by DOM text or a spoken command
+ * stays with the extension.
+ */
+
+import config from './config';
+import { Logger } from './logger';
+import { autoLeaves } from './metrics';
+import { LeavePolicyOptions, LeavePolicyRequest, LeaveReason } from './types';
+
+const MAX_ORGANIZER_NAMES = 20;
+const MAX_NAME_LENGTH = 100;
+
+// setTimeout fires at once for longer delays
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+function isMinutes(value: unknown): boolean {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * Validate the leavePolicy field of a join request
+ * Returns an error message, or null when valid
+ */
+export function validateLeavePolicyRequest(value: unknown): string | null {
+    if (value === undefined) return null;
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return 'leavePolicy must be an object';
+    }
+
+    const { aloneMinutes, silenceMinutes, organizerNames, organizerLeftGraceMinutes, endsAt, endGraceMinutes } = value as Record<string, unknown>;
+
+    if ([aloneMinutes, silenceMinutes, organizerLeftGraceMinutes, endGraceMinutes].some((v) => v !== undefined && !isMinutes(v))) {
+        return 'leavePolicy minutes must be non-negative numbers';
+    }
+
+    if (organizerNames !== undefined && !(
+        Array.isArray(organizerNames)
+        && organizerNames.length <= MAX_ORGANIZER_NAMES
+        && organizerNames.every((name) => typeof name === 'string' && name.trim().length > 0 && name.length <= MAX_NAME_LENGTH)
+    )) {
+        return 'leavePolicy.organizerNames must be a list of names';
+    }
+
+    if (endsAt !== undefined && endsAt !== null && (typeof endsAt !== 'string' || Number.isNaN(Date.parse(endsAt)))) {
+        return 'leavePolicy.endsAt must be an ISO 8601 date';
+    }
+
+    return null;
+}
+
+/**
+ * Resolve a session's leave policy, config filling any gaps
+ */
+export function resolveLeavePolicy(request: Partial<LeavePolicyRequest> = {}): LeavePolicyOptions {
+    return {
+        aloneMinutes: request.aloneMinutes ?? config.aloneTimeoutMinutes,
+        silenceMinutes: request.silenceMinutes ?? config.silenceTimeoutMinutes,
+        organizerNames: (request.organizerNames ?? []).map((name) => name.trim()),
+        organizerLeftGraceMinutes: request.organizerLeftGraceMinutes ?? config.organizerLeftGraceMinutes,
+        endsAt: request.endsAt ? new Date(request.endsAt).toISOString() : null,
+        endGraceMinutes: request.endGraceMinutes ?? config.calendarEndGraceMinutes,
+    };
+}
+
+function normalizeName(name: string): string {
+    return name.trim().toLowerCase();
+}
+
+/**
+ * Per-session leave triggers, fed by MeetBot as the meeting goes on
+ * Calls `onLeave` once, with the first trigger that fires
+ */
+export class LeavePolicy {
+    private timers: Map<LeaveReason, NodeJS.Timeout> = new Map();
+    private organizers: Set<string>;
+    private organizerSeen = false;
+    private lastCaptionAt = 0;
+    private paused = false;
+    private stopped = false;
+
+    constructor(
+        private options: LeavePolicyOptions,
+        private maxDurationMinutes: number,
+        private log: Logger,
+        private onLeave: (reason: LeaveReason, message: string) => void
+    ) {
+        this.organizers = new Set(options.organizerNames.map(normalizeName));
+    }
+
+    /**
+     * Arm the clock-based triggers once the bot is in the meeting
+     * `startedAt` is the original join for a session resumed after a restart
+     */
+    start(startedAt: Date): void {
+        const maxMs = this.maxDurationMinutes * 60 * 1000;
+        this.arm('max_duration_reached', startedAt.getTime() + maxMs - Date.now(),
+            `Reached the max duration of ${this.maxDurationMinutes} minutes`);
+
+        if (this.options.endsAt) {
+            const leaveAt = Date.parse(this.options.endsAt) + this.options.endGraceMinutes * 60 * 1000;
+            this.arm('calendar_end', leaveAt - Date.now(),
+                `Meeting was scheduled to end at ${this.options.endsAt}`);
+        }
+
+        this.lastCaptionAt = Date.now();
+        this.armSilence();
+    }
+
+    /**
+     * A caption arrived; someone is talking
+     */
+    onCaption(): void {
+        this.lastCaptionAt = Date.now();
+    }
+
+    /**
+     * Silence while paused is expected, so the no-captions trigger waits
+     */
+    setPaused(paused: boolean): void {
+        this.paused = paused;
+        if (paused) {
+            this.disarm('no_captions');
+        } else {
+            this.lastCaptionAt = Date.now();
+            this.armSilence();
+        }
+    }
+
+    /**
+     * The roster changed: `names` of everyone else present, `count` of
+     * everyone else in the call (some may have no visible name)
+     */
+    onParticipants(names: string[], count: number): void {
+        if (count > 0) {
+            if (this.timers.has('alone_in_meeting')) this.log.info('No longer alone in the meeting');
+            this.disarm('alone_in_meeting');
+        } else if (this.options.aloneMinutes > 0 && !this.timers.has('alone_in_meeting')) {
+            this.log.info('Alone in the meeting', { leavingInMinutes: this.options.aloneMinutes });
+            this.armAlone(Date.now());
+        }
+
+        if (this.organizers.size === 0) return;
+
+        const organizerPresent = names.some((name) => this.organizers.has(normalizeName(name)));
+        if (organizerPresent) {
+            this.organizerSeen = true;
+            this.disarm('organizer_left');
+        } else if (this.organizerSeen && !this.timers.has('organizer_left')) {
+            // Only once they were here: the organizer may join after the bot
+            this.log.info('Organizer left the meeting', { leavingInMinutes: this.options.organizerLeftGraceMinutes });
+            this.arm('organizer_left', this.options.organizerLeftGraceMinutes * 60 * 1000, 'The organizer left the meeting');
+        }
+    }
+
+    /**
+     * Disarm every trigger
+     */
+    stop(): void {
+        this.stopped = true;
+        this.timers.forEach((timer) => clearTimeout(timer));
+        this.timers.clear();
+    }
+
+    private armAlone(since: number): void {
+        this.arm('alone_in_meeting', this.options.aloneMinutes * 60 * 1000, 'No one else has been in the meeting', () => {
+            // Someone is talking, so the roster missed them (e.g. a tile
+            // the page does not render); check again later
+            if (this.lastCaptionAt > since) {
+                this.log.warn('Captions heard while the roster is empty, staying');
+                this.armAlone(Date.now());
+                return false;
+            }
+            return true;
+        });
+    }
+
+    private armSilence(): void {
+        if (this.options.silenceMinutes <= 0 || this.paused) return;
+
+        const timeoutMs = this.options.silenceMinutes * 60 * 1000;
+        this.arm('no_captions', this.lastCaptionAt + timeoutMs - Date.now(), `No captions for ${this.options.silenceMinutes} minutes`, () => {
+            // Captions arrived since arming; wait out the rest from the last one
+            if (Date.now() - this.lastCaptionAt < timeoutMs) {
+                this.armSilence();
+                return false;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Fire `reason` after `delayMs` unless disarmed first; `confirm` can
+     * veto a firing (and re-arm) when the condition no longer holds
+     */
+    private arm(reason: LeaveReason, delayMs: number, message: string, confirm: () => boolean = () => true): void {
+        if (this.stopped) return;
+        this.disarm(reason);
+
+        this.timers.set(reason, setTimeout(() => {
+            this.timers.delete(reason);
+            if (this.stopped || !confirm()) return;
+
+            this.log.info('Leave policy triggered', { reason, message });
+            autoLeaves.inc({ reason });
+            this.stop();
+            this.onLeave(reason, message);
+        }, Math.min(MAX_TIMER_MS, Math.max(0, delayMs))));
+    }
+
+    private disarm(reason: LeaveReason): void {
+        const timer = this.timers.get(reason);
+        if (timer) {
+            clearTimeout(timer);
+            this.timers.delete(reason);
+        }
+    }
+}
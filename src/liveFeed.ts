@@ -0,0 +1,226 @@
+/**
+ * Live Caption Feed
+ *
+ * Streams status changes and interim/final segments for a meeting over
+ * Server-Sent Events and WebSocket, so dashboards and local tools can tail
+ * a meeting without going through the backend. Each meeting keeps a ring
+ * buffer of recent events with increasing IDs; subscribers pass the last
+ * ID they saw to resume after a dropped connection.
+ */
+
+import { EventEmitter } from 'events';
+import { IncomingMessage, Server } from 'http';
+import { Duplex } from 'stream';
+import { WebSocket, WebSocketServer } from 'ws';
+import config from './config';
+import { createLogger } from './logger';
+import { LiveEvent, LiveEventType } from './types';
+
+const log = createLogger('LiveFeed');
+
+interface Feed {
+    nextId: number;
+    events: LiveEvent[];
+    lastStatus: LiveEvent | null;
+    expiryTimer: NodeJS.Timeout | null;
+}
+
+const LIVE_PATH = /^\/api\/bot\/([^/]+)\/live\/?$/;
+
+export class LiveFeed extends EventEmitter {
+    private feeds: Map<string, Feed> = new Map();
+
+    constructor() {
+        super();
+        this.setMaxListeners(0); // One listener per subscriber
+    }
+
+    /**
+     * Make a meeting's feed available, e.g. when its bot starts
+     * Reopening a finished feed keeps its event IDs increasing
+     */
+    open(meetingId: string): void {
+        const feed = this.feeds.get(meetingId);
+        if (!feed) {
+            this.feeds.set(meetingId, { nextId: 1, events: [], lastStatus: null, expiryTimer: null });
+        } else if (feed.expiryTimer) {
+            clearTimeout(feed.expiryTimer);
+            feed.expiryTimer = null;
+        }
+    }
+
+    /**
+     * Check whether a meeting has a feed to subscribe to
+     */
+    has(meetingId: string): boolean {
+        return this.feeds.has(meetingId);
+    }
+
+    /**
+     * Append an event to a meeting's feed and deliver it to subscribers
+     */
+    publish(meetingId: string, type: LiveEventType, data: any): LiveEvent {
+        this.open(meetingId);
+        const feed = this.feeds.get(meetingId)!;
+
+        const event: LiveEvent = {
+            id: feed.nextId++,
+            meetingId,
+            type,
+            data,
+            timestamp: new Date().toISOString(),
+        };
+
+        feed.events.push(event);
+        if (feed.events.length > config.liveFeedBufferSize) {
+            feed.events.splice(0, feed.events.length - config.liveFeedBufferSize);
+        }
+        if (type === 'status') feed.lastStatus = event;
+
+        this.emit(`event:${meetingId}`, event);
+        return event;
+    }
+
+    /**
+     * Mark a meeting's feed finished; it stays available to late or
+     * reconnecting subscribers for the retention window
+     */
+    end(meetingId: string, reason: string): void {
+        const feed = this.feeds.get(meetingId);
+        if (!feed || feed.expiryTimer) return;
+
+        this.publish(meetingId, 'ended', { reason });
+
+        feed.expiryTimer = setTimeout(() => {
+            this.feeds.delete(meetingId);
+        }, config.liveFeedRetentionMinutes * 60 * 1000);
+        feed.expiryTimer.unref();
+    }
+
+    /**
+     * Subscribe to a meeting's events
+     * With `since`, buffered events after that ID are replayed first
+     * (the whole buffer if the ID is unknown, e.g. after a service
+     * restart); without it, only the latest status is replayed
+     * Returns an unsubscribe function
+     */
+    subscribe(meetingId: string, since: number | null, listener: (event: LiveEvent) => void): () => void {
+        const feed = this.feeds.get(meetingId);
+        if (feed) {
+            if (since === null) {
+                if (feed.lastStatus) listener(feed.lastStatus);
+            } else {
+                const resumeFrom = since >= feed.nextId ? 0 : since;
+                feed.events.filter((event) => event.id > resumeFrom).forEach(listener);
+            }
+        }
+
+        const channel = `event:${meetingId}`;
+        this.on(channel, listener);
+        return () => {
+            this.off(channel, listener);
+        };
+    }
+
+    /**
+     * Serve the WebSocket flavour of the feed on the HTTP server
+     * Clients connect to /api/bot/:meetingId/live?since=<id> and receive
+     * each event as a JSON text frame; `authorize` vets the upgrade request
+     * before anything about the meeting is revealed, returning the status
+     * to refuse with (or null), and `forward` may hand off meetings this
+     * process has no feed for
+     */
+    attachWebSocket(
+        server: Server,
+        authorize: (req: IncomingMessage, meetingId: string) => 401 | 404 | null = () => null,
+        forward: (req: IncomingMessage, socket: Duplex, head: Buffer, meetingId: string) => Promise<boolean> =
+            async () => false
+    ): WebSocketServer {
+        const wss = new WebSocketServer({ noServer: true });
+
+        server.on('upgrade', async (req: IncomingMessage, socket: Duplex, head: Buffer) => {
+            const url = new URL(req.url || '/', 'http://localhost');
+            const match = LIVE_PATH.exec(url.pathname);
+            if (!match) {
+                socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+                return;
+            }
+
+            const meetingId = decodeURIComponent(match[1]);
+            const refusal = authorize(req, meetingId);
+            if (refusal === 401) {
+                socket.end('HTTP/1.1 401 Unauthorized\r\n\r\n');
+                return;
+            }
+            if (refusal === 404) {
+                socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+                return;
+            }
+
+            if (!this.has(meetingId)) {
+                if (!await forward(req, socket, head, meetingId).catch(() => false)) {
+                    socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+                }
+                return;
+            }
+
+            wss.handleUpgrade(req, socket, head, (ws) => {
+                this.serveWebSocket(ws, meetingId, parseSince(url.searchParams.get('since')));
+            });
+        });
+
+        return wss;
+    }
+
+    private serveWebSocket(ws: WebSocket, meetingId: string, since: number | null): void {
+        let alive = true;
+        ws.on('pong', () => {
+            alive = true;
+        });
+
+        const unsubscribe = this.subscribe(meetingId, since, (event) => {
+            if (ws.readyState === WebSocket.OPEN) {
+                ws.send(JSON.stringify(event));
+            }
+        });
+
+        // Drop clients that stop answering pings
+        const heartbeat = setInterval(() => {
+            if (!alive) {
+                ws.terminate();
+                return;
+            }
+            alive = false;
+            ws.ping();
+        }, config.liveFeedHeartbeatMs);
+
+        ws.on('close', () => {
+            clearInterval(heartbeat);
+            unsubscribe();
+        });
+        ws.on('error', (error) => {
+            log.warn('WebSocket error', { meetingId, error: error.message });
+        });
+    }
+}
+
+/**
+ * Parse a resume ID from a query parameter or Last-Event-ID header
+ */
+export function parseSince(value: unknown): number | null {
+    if (typeof value !== 'string' || value.trim() === '') return null;
+    const id = parseInt(value, 10);
+    return Number.isFinite(id) && id >= 0 ? id : null;
+}
+
+// Singleton instance
+let instance: LiveFeed | null = null;
+
+export function getLiveFeed(): LiveFeed {
+    if (!instance) {
+        instance = new LiveFeed();
+    }
+    return instance;
+}
+
+export default LiveFeed;
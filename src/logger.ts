@@ -0,0 +1,149 @@
+/**
+ * Structured Logger
+ *
+ * One JSON object per line with a level, component and message, plus any
+ * context bound to the logger (sessionId, meetingId) and per-call fields.
+ * Entries carrying a meetingId are also kept in a per-meeting ring buffer
+ * served by GET /api/bot/:meetingId/logs.
+ *
+ * Transcript text (fields named text, transcript, segments) is redacted
+ * from everything above debug level; credentials are always redacted.
+ */
+
+import config from './config';
+import { LogEntry, LogLevel } from './types';
+
+const LEVELS: Record<LogLevel, number> = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const SECRET_KEYS = /^(authorization|cookie|password|secret|token|access_token|api[-_]?key)$/i;
+const TRANSCRIPT_KEYS = new Set(['text', 'transcript', 'segments']);
+
+// Keep buffers for the most recent meetings only
+const MAX_BUFFERED_MEETINGS = 200;
+
+export type LogFields = Record<string, unknown>;
+
+export interface LogContext {
+    sessionId?: string;
+    meetingId?: string;
+    [key: string]: unknown;
+}
+
+const buffers: Map<string, LogEntry[]> = new Map();
+
+export function isLogLevel(value: unknown): value is LogLevel {
+    return typeof value === 'string' && Object.prototype.hasOwnProperty.call(LEVELS, value);
+}
+
+function redact(key: string, value: unknown, level: LogLevel): unknown {
+    if (SECRET_KEYS.test(key)) return '[redacted]';
+
+    if (level !== 'debug' && TRANSCRIPT_KEYS.has(key)) {
+        if (typeof value === 'string') return `[redacted: ${value.length} chars]`;
+        if (Array.isArray(value)) return `[redacted: ${value.length} items]`;
+    }
+
+    if (value instanceof Error) {
+        return level === 'error' ? { message: value.message, stack: value.stack } : value.message;
+    }
+
+    return value;
+}
+
+function bufferEntry(entry: LogEntry): void {
+    const meetingId = entry.meetingId;
+    if (typeof meetingId !== 'string') return;
+
+    let buffer = buffers.get(meetingId);
+    if (!buffer) {
+        buffer = [];
+        buffers.set(meetingId, buffer);
+        if (buffers.size > MAX_BUFFERED_MEETINGS) {
+            // Maps iterate in insertion order, so the first key is the oldest
+            buffers.delete(buffers.keys().next().value as string);
+        }
+    }
+
+    buffer.push(entry);
+    if (buffer.length > config.logBufferSize) {
+        buffer.splice(0, buffer.length - config.logBufferSize);
+    }
+}
+
+function write(entry: LogEntry): void {
+    const stream = entry.level === 'error' || entry.level === 'warn' ? process.stderr : process.stdout;
+
+    if (config.logFormat === 'pretty') {
+        const { time, level, component, msg, ...fields } = entry;
+        const extra = Object.entries(fields)
+            .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+            .join(' ');
+        stream.write(`${time} ${level.toUpperCase().padEnd(5)} [${component}] ${msg}${extra ? ` ${extra}` : ''}\n`);
+        return;
+    }
+
+    stream.write(JSON.stringify(entry) + '\n');
+}
+
+export class Logger {
+    constructor(private readonly component: string, private readonly context: LogContext = {}) {}
+
+    /**
+     * Logger with extra context bound to every line
+     */
+    child(context: LogContext): Logger {
+        return new Logger(this.component, { ...this.context, ...context });
+    }
+
+    isEnabled(level: LogLevel): boolean {
+        return LEVELS[level] >= LEVELS[config.logLevel];
+    }
+
+    debug(msg: string, fields?: LogFields): void {
+        this.log('debug', msg, fields);
+    }
+
+    info(msg: string, fields?: LogFields): void {
+        this.log('info', msg, fields);
+    }
+
+    warn(msg: string, fields?: LogFields): void {
+        this.log('warn', msg, fields);
+    }
+
+    error(msg: string, fields?: LogFields): void {
+        this.log('error', msg, fields);
+    }
+
+    private log(level: LogLevel, msg: string, fields: LogFields = {}): void {
+        if (!this.isEnabled(level)) return;
+
+        const entry: LogEntry = { time: new Date().toISOString(), level, component: this.component, msg };
+        for (const [key, value] of Object.entries({ ...this.context, ...fields })) {
+            if (value !== undefined) entry[key] = redact(key, value, level);
+        }
+
+        write(entry);
+        bufferEntry(entry);
+    }
+}
+
+export function createLogger(component: string, context: LogContext = {}): Logger {
+    return new Logger(component, context);
+}
+
+/**
+ * Buffered log lines for a meeting, oldest first
+ */
+export function getMeetingLogs(
+    meetingId: string,
+    filter: { level?: LogLevel; sessionId?: string; limit?: number } = {}
+): LogEntry[] {
+    const minLevel = LEVELS[filter.level || 'debug'];
+    const entries = (buffers.get(meetingId) || []).filter((entry) =>
+        LEVELS[entry.level] >= minLevel && (!filter.sessionId || entry.sessionId === filter.sessionId)
+    );
+    return filter.limit ? entries.slice(-filter.limit) : entries;
+}
+
+export default createLogger;
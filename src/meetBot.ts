@@ -1,51 +1,133 @@
 /**
- * Google Meet Bot - Hybrid Architecture
+ * Meeting Bot - Hybrid Architecture
  * 
  * Uses Playwright as orchestrator with Chrome Extension for DOM interaction.
  * This approach bypasses bot detection by having the extension (native resident)
  * handle all DOM manipulation while Playwright only manages the browser lifecycle.
+ * The extension picks the platform adapter (Meet, Teams, Zoom) for the page.
  */
 
 import { chromium, BrowserContext, Page } from 'playwright';
 import { EventEmitter } from 'events';
 import path from 'path';
 import fs from 'fs';
-import axios from 'axios';
+import crypto from 'crypto';
 import config from './config';
-import { BotSession, BotStatus, Segment } from './types';
-
-// Extension message types
-interface ExtensionMessage {
-    source: string;
-    type: string;
-    data: any;
-    timestamp: number;
+import { getOutbox } from './outbox';
+import { SegmentManager } from './captionScraper';
+import { detectPlatform, normalizeMeetingUrl } from './platforms';
+import { captions, joinAttempts, joinFailures, joinSuccesses, timeToAdmission, voiceCommands } from './metrics';
+import { createLogger, Logger } from './logger';
+import { DiagnosticsRecorder } from './diagnostics';
+import { AudioRecording } from './audioRecorder';
+import { AudioFrame, AudioIngestEndpoint, getAudioIngest } from './audioTransport';
+import { resolveVoiceCommands } from './voiceCommands';
+import { LeavePolicy, resolveLeavePolicy } from './leavePolicy';
+import { diffRoster, presentParticipants } from './participants';
+import { AuthRequiredError, classifyGooglePage, getProfilePool, inspectGoogleSession, ProfileLease } from './profilePool';
+import {
+    BRIDGE_FUNCTION,
+    CONTROLLER_SOURCE,
+    EXTENSION_SOURCE,
+    ExtensionMessage,
+    ExtensionMessageMap,
+    parseExtensionMessage,
+    PROTOCOL_VERSION,
+} from './extensionProtocol';
+import { BotOptions, BotSession, BotStatus, ChatCommand, ChatMessage, ParticipantEvent, PauseInterval, Segment, VoiceCommandEvent } from './types';
+
+// Look for sign-in/captcha walls every this many join checks (1s apart)
+const AUTH_WALL_CHECK_EVERY = 5;
+
+// The extension types chat messages like a person and sends them one at a time
+const CHAT_SEND_TIMEOUT_MS = 60000;
+
+// On leave the extension stops audio capture, sending its last chunk
+// (the uplink drains for up to 10s), then leaves and reports completion
+const EXTENSION_STOP_TIMEOUT_MS = 20000;
+const AUDIO_DRAIN_TIMEOUT_MS = 15000;
+
+// Statuses in which the bot is in the call and can use the chat
+const IN_CALL_STATUSES: BotStatus[] = ['in_meeting', 'recording', 'paused'];
+
+/**
+ * A control request the session is not in a state to honour, e.g.
+ * pausing a bot that is not recording
+ */
+export class SessionStateError extends Error {
+    constructor(message: string, public readonly status = 409) {
+        super(message);
+        this.name = 'SessionStateError';
+    }
 }
 
 export class MeetBot extends EventEmitter {
     private context: BrowserContext | null = null;
     private page: Page | null = null;
     private session: BotSession;
-    private segments: Segment[] = [];
+    private segmentManager = new SegmentManager([], MeetBot.segmentOptions());
+    private flushIndex = 0;
     private isLeaving = false;
     private cleanupDone = false;  // Prevent double cleanup
     private flushInterval: NodeJS.Timeout | null = null;
+    private segmentSweepInterval: NodeJS.Timeout | null = null;
     private audioChunkIndex = 0;
-    private timeoutTimer: NodeJS.Timeout | null = null;
-    private messageHandler: ((msg: ExtensionMessage) => void) | null = null;
-
-    constructor(meetingId: string, url: string) {
+    private resumedStartedAt: Date | null = null;
+    private startCommandSent = false;
+    private profileLease: ProfileLease | null = null;
+    private authFailure: AuthRequiredError | null = null;
+    private log: Logger;
+    private diagnostics: DiagnosticsRecorder;
+    private audio: AudioRecording;
+    private audioIngest: AudioIngestEndpoint | null = null;
+    private joinFailed = false;
+    private pendingChats: Map<string, (ok: boolean) => void> = new Map();
+    private extensionStopped: (() => void) | null = null;
+    private pauseChanging = false; // A pause or resume is waiting on the extension
+    private participants: Map<string, string> = new Map(); // Present now, ID -> name
+    private leavePolicy: LeavePolicy;
+
+    constructor(meetingId: string, url: string, options: Partial<BotOptions> = {}, tenantId: string | null = null) {
         super();
         this.session = {
             sessionId: `bot_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
             meetingId,
             url,
+            platform: detectPlatform(url) || 'meet',
+            tenantId,
+            profile: null,
+            options: {
+                botName: options.botName || config.botName,
+                maxDurationMinutes: options.maxDurationMinutes || config.maxDurationMinutes,
+                captionLanguage: options.captionLanguage ?? config.captionLanguage,
+                introMessage: options.introMessage ?? config.introMessage,
+                priority: options.priority ?? 0,
+                voiceCommands: resolveVoiceCommands(options.voiceCommands),
+                leavePolicy: resolveLeavePolicy(options.leavePolicy),
+            },
             status: 'pending',
             segments: [],
+            commands: [],
+            pauses: [],
+            chat: [],
+            participants: [],
             startedAt: null,
             completedAt: null,
             error: null,
         };
+        this.log = createLogger('MeetBot', { sessionId: this.session.sessionId, meetingId });
+        this.diagnostics = new DiagnosticsRecorder(this.session.sessionId, meetingId, tenantId);
+        this.audio = new AudioRecording(this.session.sessionId, meetingId, tenantId);
+        this.leavePolicy = new LeavePolicy(
+            this.session.options.leavePolicy,
+            this.session.options.maxDurationMinutes,
+            this.log,
+            (reason) => {
+                this.leave(reason).catch((error) =>
+                    this.log.error('Failed to leave', { reason, error })
+                );
+            }
+        );
     }
 
     /**
@@ -54,27 +136,297 @@ export class MeetBot extends EventEmitter {
     getSession(): BotSession {
         return {
             ...this.session,
-            segments: this.segments,
+            segments: this.segmentManager.getAllSegments(),
+            commands: [...this.session.commands],
+            pauses: this.session.pauses.map((pause) => ({ ...pause })),
+            chat: [...this.session.chat],
+            participants: [...this.session.participants],
+        };
+    }
+
+    /**
+     * Seed state from a session interrupted by a service restart, so
+     * segment timing and the max duration carry on from the original join
+     */
+    restore(previous: BotSession): void {
+        this.segmentManager = new SegmentManager(previous.segments, MeetBot.segmentOptions());
+        this.session.commands = [...(previous.commands || [])];
+        this.session.pauses = (previous.pauses || []).map((pause) => ({ ...pause }));
+        this.session.chat = [...(previous.chat || [])];
+        this.session.participants = [...(previous.participants || [])];
+        this.participants = presentParticipants(this.session.participants);
+        this.resumedStartedAt = previous.startedAt;
+        // The rejoined bot records again, ending a pause the restart interrupted
+        this.endPause(previous.startedAt);
+    }
+
+    /**
+     * Caption merging thresholds from config
+     */
+    private static segmentOptions() {
+        return {
+            silenceGapSec: config.captionSilenceGapMs / 1000,
+            speakerChangeGraceSec: config.captionSpeakerChangeGraceMs / 1000,
         };
     }
 
     /**
-     * Handle incoming audio chunk from extension
+     * Seconds since the session started
      */
-    private async handleAudioChunk(data: any): Promise<void> {
+    private elapsedSeconds(): number {
+        return (Date.now() - (this.session.startedAt?.getTime() || Date.now())) / 1000;
+    }
+
+    /**
+     * Handle an audio chunk relayed as base64 over postMessage (legacy transport)
+     */
+    private handleAudioChunk(data: ExtensionMessageMap['audio_chunk']): void {
+        const index = this.audioChunkIndex++;
         try {
-            // console.log(`[MeetBot] 🎵 Received audio chunk ${this.audioChunkIndex} (${data.duration}s)`);
-
-            // Send to backend
-            await axios.post(`${config.backendUrl}/api/meetings/${this.session.meetingId}/audio-chunk`, {
-                audioData: data.audioData, // Base64 string
-                timestamp: data.timestamp,
-                duration: data.duration,
-                index: this.audioChunkIndex++,
-            });
+            this.storeAudioChunk(index, Buffer.from(data.audioData, 'base64'), data.timestamp, data.duration, data.mimeType);
         } catch (error: any) {
-            console.error(`[MeetBot] ❌ Failed to upload audio chunk: ${error.message}`);
+            this.log.error('Failed to queue audio chunk', { index, error: error.message });
+        }
+    }
+
+    /**
+     * Handle a binary frame from the audio ingest WebSocket
+     * Throws when the chunk cannot be stored, so it is not acknowledged
+     * and the extension resends it
+     */
+    private handleAudioFrame(frame: AudioFrame): void {
+        this.storeAudioChunk(frame.seq, frame.data, frame.timestamp, frame.durationMs / 1000);
+    }
+
+    /**
+     * Append a chunk to the local recording and queue it for the backend
+     * through the outbox so a backend blip does not drop audio
+     */
+    private storeAudioChunk(index: number, bytes: Buffer, timestamp: number, duration: number, mimeType?: string): void {
+        const { meetingId, sessionId } = this.session;
+        const idempotencyKey = `${meetingId}:${sessionId}:audio:${index}`;
+        const url = `${config.backendUrl}/api/meetings/${meetingId}/audio-chunk`;
+
+        this.audio.append(index, bytes, duration, mimeType);
+
+        if (config.audioUploadEncoding === 'binary') {
+            getOutbox().enqueue(
+                'audio_chunk',
+                meetingId,
+                idempotencyKey,
+                url,
+                { sessionId, timestamp, duration, index },
+                { data: bytes, contentType: mimeType || 'audio/webm' }
+            );
+            return;
+        }
+
+        getOutbox().enqueue('audio_chunk', meetingId, idempotencyKey, url, {
+            audioData: bytes.toString('base64'),
+            timestamp,
+            duration,
+            index,
+        });
+    }
+
+    /**
+     * Stop capturing captions and audio while staying in the meeting
+     * Throws SessionStateError unless the bot is recording
+     */
+    async pause(source: PauseInterval['source'] = 'api'): Promise<BotSession> {
+        if (this.session.status !== 'recording' || this.isLeaving) {
+            throw new SessionStateError(`Cannot pause while ${this.session.status}`);
         }
+        // The status only changes once the extension has the command, so
+        // a second request (e.g. API and voice command) would pass the check
+        if (this.pauseChanging) {
+            throw new SessionStateError('A pause or resume is already in progress');
+        }
+
+        this.pauseChanging = true;
+        try {
+            await this.sendExtensionCommand('pause', { announcement: config.pauseMessage });
+        } finally {
+            this.pauseChanging = false;
+        }
+        if (this.isLeaving) return this.getSession();
+
+        // Close the segment in progress so none spans the pause
+        this.segmentManager.closeAll().forEach((s) => this.emitCaption(s));
+        this.session.pauses.push({
+            start: this.elapsedSeconds(),
+            end: null,
+            startedAt: new Date().toISOString(),
+            endedAt: null,
+            source,
+        });
+        this.emitPauses();
+        this.leavePolicy.setPaused(true);
+        this.setStatus('paused', source === 'voice_command' ? 'Paused by voice command' : undefined);
+
+        return this.getSession();
+    }
+
+    /**
+     * Resume capturing after pause()
+     * Throws SessionStateError unless the bot is paused
+     */
+    async resume(source: PauseInterval['source'] = 'api'): Promise<BotSession> {
+        if (this.session.status !== 'paused' || this.isLeaving) {
+            throw new SessionStateError(`Cannot resume while ${this.session.status}`);
+        }
+        if (this.pauseChanging) {
+            throw new SessionStateError('A pause or resume is already in progress');
+        }
+
+        this.pauseChanging = true;
+        try {
+            await this.sendExtensionCommand('resume', { announcement: config.resumeMessage });
+        } finally {
+            this.pauseChanging = false;
+        }
+        if (this.isLeaving) return this.getSession();
+
+        this.endPause();
+        this.leavePolicy.setPaused(false);
+        this.setStatus('recording', source === 'voice_command' ? 'Resumed by voice command' : undefined);
+
+        return this.getSession();
+    }
+
+    /**
+     * Close the open pause interval, if any
+     */
+    private endPause(startedAt = this.session.startedAt): void {
+        const open = this.session.pauses.find((pause) => pause.end === null);
+        if (!open) return;
+
+        open.end = startedAt ? (Date.now() - startedAt.getTime()) / 1000 : open.start;
+        open.endedAt = new Date().toISOString();
+        this.emitPauses();
+    }
+
+    private emitPauses(): void {
+        this.emit('pauses', {
+            meetingId: this.session.meetingId,
+            pauses: this.session.pauses.map((pause) => ({ ...pause })),
+        });
+    }
+
+    /**
+     * Post a message in the meeting chat
+     * Resolves with the posted message, or null when the extension could
+     * not send it; throws SessionStateError when the bot is not in the call
+     */
+    async postChat(text: string): Promise<ChatMessage | null> {
+        if (!IN_CALL_STATUSES.includes(this.session.status) || this.isLeaving) {
+            throw new SessionStateError(`Cannot post to chat while ${this.session.status}`);
+        }
+
+        const requestId = crypto.randomUUID();
+        const sent = new Promise<boolean>((resolve) => {
+            const timer = setTimeout(() => settle(false), CHAT_SEND_TIMEOUT_MS);
+            const settle = (ok: boolean) => {
+                clearTimeout(timer);
+                this.pendingChats.delete(requestId);
+                resolve(ok);
+            };
+            this.pendingChats.set(requestId, settle);
+        });
+
+        await this.sendExtensionCommand('send_chat', { requestId, text });
+        if (!await sent) {
+            this.log.warn('Failed to post chat message', { requestId });
+            return null;
+        }
+
+        return this.recordChat(this.session.options.botName, text, Date.now(), true);
+    }
+
+    /**
+     * Add a chat message to the session and report it
+     */
+    private recordChat(sender: string, text: string, sentAt: number, fromBot: boolean): ChatMessage {
+        const message: ChatMessage = {
+            sender,
+            text,
+            fromBot,
+            offset: this.session.startedAt ? Math.max(0, (sentAt - this.session.startedAt.getTime()) / 1000) : 0,
+            at: new Date(sentAt).toISOString(),
+        };
+
+        this.session.chat.push(message);
+        this.emit('chat', {
+            meetingId: this.session.meetingId,
+            message,
+        });
+        return message;
+    }
+
+    /**
+     * Handle an incoming chat message read by the extension
+     * Messages addressed to the bot are reported as commands too; while
+     * paused, only those are kept
+     */
+    private handleChat(data: ExtensionMessageMap['chat'], sentAt: number): void {
+        const command = this.parseChatCommand(data.text);
+        if (this.session.status === 'paused' && !command) return;
+
+        this.recordChat(data.sender, data.text, sentAt, false);
+        if (!command) return;
+
+        const chatCommand: ChatCommand = {
+            ...command,
+            sender: data.sender,
+            at: new Date(sentAt).toISOString(),
+        };
+        this.log.info('Chat command', { command: chatCommand.command, sender: chatCommand.sender });
+        this.emit('chat_command', {
+            meetingId: this.session.meetingId,
+            command: chatCommand,
+        });
+    }
+
+    /**
+     * Split "/notu summary last 10 minutes" into command and arguments
+     */
+    private parseChatCommand(text: string): { command: string; args: string } | null {
+        const prefix = config.chatCommandPrefix.toLowerCase();
+        const trimmed = text.trim();
+        if (!prefix || !trimmed.toLowerCase().startsWith(prefix)) return null;
+
+        const rest = trimmed.slice(prefix.length);
+        if (rest && !/^\s/.test(rest)) return null; // "/notufoo" is not addressed to us
+
+        const [command = '', ...args] = rest.trim().split(/\s+/);
+        return { command: command.toLowerCase() || 'help', args: args.join(' ') };
+    }
+
+    /**
+     * Mark the bot as waiting for a free slot before join()
+     */
+    markQueued(position: number): void {
+        this.setStatus('queued', `Waiting for a free bot slot (position ${position})`);
+    }
+
+    /**
+     * Hand over the profile leased for this session at admission
+     * Released with the session's other resources in cleanup
+     */
+    assignProfile(lease: ProfileLease): void {
+        this.profileLease = lease;
+    }
+
+    /**
+     * End a session that is still waiting in the admission queue
+     * It never joined, so there is nothing to leave or finalize
+     */
+    cancelQueued(reason: string): BotSession {
+        this.isLeaving = true;
+        this.session.completedAt = new Date();
+        this.leavePolicy.stop();
+        this.setStatus('completed', `Stopped before joining (${reason})`);
+        return this.getSession();
     }
 
     /**
@@ -82,37 +434,44 @@ export class MeetBot extends EventEmitter {
      */
     private setStatus(status: BotStatus, message?: string): void {
         this.session.status = status;
-        if (status === 'failed' && message) {
+        if ((status === 'failed' || status === 'auth_required') && message) {
             this.session.error = message;
         }
         this.emit('status', { status, message, session: this.getSession() });
-        console.log(`[MeetBot] Status: ${status}${message ? ` - ${message}` : ''}`);
+        this.log.info(`Status: ${status}`, { status, detail: message });
     }
 
     /**
      * Join meeting using hybrid architecture
      */
     async join(): Promise<void> {
+        const { platform } = this.session;
+        const joinStartedAt = Date.now();
+        let failureReason = 'error';
+        joinAttempts.inc({ platform });
+
         try {
             this.setStatus('joining');
 
             // Paths
             const extensionPath = path.resolve(__dirname, '..', 'extension');
-            const userDataDir = path.resolve(__dirname, '..', '.chrome-profile');
-
-            // Ensure user data dir exists
-            if (!fs.existsSync(userDataDir)) {
-                fs.mkdirSync(userDataDir, { recursive: true });
-            }
 
             // Check extension exists
             if (!fs.existsSync(path.join(extensionPath, 'manifest.json'))) {
                 throw new Error(`Extension not found at ${extensionPath}`);
             }
 
-            console.log('[MeetBot] Launching persistent browser with extension...');
-            console.log(`[MeetBot] Extension path: ${extensionPath}`);
-            console.log(`[MeetBot] User data dir: ${userDataDir}`);
+            // Run from a private copy of a signed-in identity, leased at
+            // admission or here
+            this.profileLease = this.profileLease || getProfilePool().lease(this.session.sessionId);
+            if (!this.profileLease) {
+                failureReason = 'no_profile';
+                throw new Error('No healthy bot profile is free');
+            }
+            this.session.profile = this.profileLease.name;
+            const userDataDir = this.profileLease.dir!;
+
+            this.log.info('Launching persistent browser with extension', { extensionPath, userDataDir, profile: this.session.profile });
 
             // Launch persistent context with extension
             // This uses a real Chrome profile, not incognito
@@ -135,14 +494,17 @@ export class MeetBot extends EventEmitter {
                 timezoneId: 'America/New_York',
                 permissions: ['microphone', 'camera'],
                 userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+                recordHar: this.diagnostics.harOptions(),
 
                 // Video recording disabled
                 // recordVideo: { ... },
             });
 
+            await this.diagnostics.startTrace(this.context);
+
             // Handle manual browser close
             this.context.on('close', async () => {
-                console.log('[MeetBot] ⚠️ Browser context closed externally');
+                this.log.warn('Browser context closed externally');
                 // Only trigger if NOT already leaving/completed
                 if (!this.isLeaving && !this.cleanupDone) {
                     await this.handleMeetingEnd();
@@ -153,38 +515,40 @@ export class MeetBot extends EventEmitter {
             const pages = this.context.pages();
             this.page = pages.length > 0 ? pages[0] : await this.context.newPage();
 
-            // BRIDGE: Expose function to receive audio chunks from browser
-            await this.page.exposeFunction('submitAudioChunk', async (data: any) => {
-                await this.handleAudioChunk(data);
-            });
+            // BRIDGE: Expose function to receive protocol messages from the extension
+            await this.page.exposeFunction(BRIDGE_FUNCTION, (raw: unknown) => this.receiveExtensionMessage(raw));
 
             // BRIDGE: Inject script to relay window messages to exposed function
-            await this.page.addInitScript(() => {
+            await this.page.addInitScript(({ source, bridge }) => {
                 window.addEventListener('message', (event) => {
                     // Only accept messages from our extension
-                    if (event.data && event.data.source === 'notu-bot-extension' && event.data.type === 'audio_chunk') {
-                        // @ts-ignore
-                        window.submitAudioChunk(event.data);
+                    if (event.data && event.data.source === source) {
+                        (window as any)[bridge](event.data);
                     }
                 });
+            }, { source: EXTENSION_SOURCE, bridge: BRIDGE_FUNCTION });
+
+            // Keep recent console output for diagnostics, and log it when debugging
+            this.page.on('console', (msg) => {
+                this.diagnostics.recordConsole(msg.type(), msg.text());
+                this.log.debug('Browser console', { type: msg.type(), text: msg.text() });
             });
 
-            // Enable console logging for debugging
-            if (config.debug) {
-                this.page.on('console', (msg) => console.log(`[Browser] ${msg.type()}: ${msg.text()}`));
-            }
+            // Catch an expired Google session before it strands us on a sign-in page
+            await this.preflightAuthCheck();
 
-            // Set up message listener for extension communication
-            this.setupExtensionMessageListener();
+            await this.openAudioIngest();
 
             // Navigate to meeting URL
-            console.log(`[MeetBot] Navigating to: ${this.session.url}`);
-            await this.page.goto(this.session.url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+            const meetingUrl = normalizeMeetingUrl(this.session.url, this.session.platform);
+            this.log.info('Navigating to meeting', { platform: this.session.platform, url: meetingUrl });
+            await this.page.goto(meetingUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
 
             // Wait for page to stabilize
             await this.page.waitForTimeout(3000);
+            await this.diagnostics.capture('navigated', this.page);
 
-            // Trigger extension auto-start
+            // Start the extension with this session's config
             await this.triggerExtensionStart();
 
             // Wait for extension to report status
@@ -192,11 +556,17 @@ export class MeetBot extends EventEmitter {
             const joined = await this.waitForExtensionJoin(120000);
 
             if (!joined) {
-                throw new Error('Extension failed to join meeting');
+                // The extension reports denials as 'failed'; anything else ran out the clock
+                failureReason = this.session.status === 'failed' ? 'rejected' : 'timeout';
+                throw this.authFailure || new Error('Extension failed to join meeting');
             }
 
+            this.session.startedAt = this.resumedStartedAt || new Date();
             this.setStatus('in_meeting');
-            this.session.startedAt = new Date();
+            joinSuccesses.inc({ platform });
+            timeToAdmission.observe({ platform }, (Date.now() - joinStartedAt) / 1000);
+            await this.diagnostics.capture('joined', this.page);
+            await this.diagnostics.stopTrace(false);
 
             // Start caption collection
             this.setStatus('recording');
@@ -204,91 +574,37 @@ export class MeetBot extends EventEmitter {
             // Setup flush interval
             this.flushInterval = setInterval(() => this.flushSegments(), config.flushIntervalMs);
 
-            // Setup max duration timeout
-            this.timeoutTimer = setTimeout(
-                () => this.leave('max_duration_reached'),
-                config.maxDurationMinutes * 60 * 1000
+            // Close segments once their speaker goes quiet
+            this.segmentSweepInterval = setInterval(
+                () => this.segmentManager.closeIdle(this.elapsedSeconds()).forEach((s) => this.emitCaption(s)),
+                1000
             );
 
-            console.log('[MeetBot] Bot is now recording via extension');
+            // Max duration, silence and calendar end; roster triggers follow participant reports
+            this.leavePolicy.start(this.session.startedAt);
+
+            this.log.info('Bot is now recording via extension');
 
         } catch (error: any) {
-            console.error('[MeetBot] Join error:', error);
-            this.setStatus('failed', error.message);
+            this.log.error('Join error', { error });
+            if (error instanceof AuthRequiredError) failureReason = 'auth_required';
+            joinFailures.inc({ platform, reason: failureReason });
+            this.joinFailed = true;
+            await this.diagnostics.capture('join_failed', this.page, error.message);
+            await this.diagnostics.stopTrace(true);
+            this.setStatus(error instanceof AuthRequiredError ? 'auth_required' : 'failed', error.message);
             await this.cleanup();
             throw error;
         }
     }
 
-    /**
-     * Set up listener for messages from the extension via console.log parsing
-     * This is more reliable than postMessage as it works regardless of timing
-     */
-    private setupExtensionMessageListener(): void {
-        if (!this.page) return;
-
-        // Parse console logs from the extension
-        this.page.on('console', (msg) => {
-            const text = msg.text();
-
-            // Log all browser console messages in debug mode
-            if (config.debug) {
-                console.log(`[Browser] ${msg.type()}: ${text}`);
-            }
-
-            // Parse extension messages from log format
-            if (text.includes('[Notu.AI Bot]')) {
-                this.parseExtensionLog(text);
-            }
-        });
-    }
-
-    /**
-     * Parse extension log messages for status and caption updates
-     */
-    private parseExtensionLog(text: string): void {
-        // Status updates
-        if (text.includes('IN_MEETING status sent')) {
-            console.log('[MeetBot] 🎉 Extension confirmed: IN_MEETING');
-            this.setStatus('in_meeting');
-        } else if (text.includes('Successfully joined meeting')) {
-            console.log('[MeetBot] 🎉 Extension confirmed: JOINED');
-            this.setStatus('in_meeting');
-        } else if (text.includes('Bot is now recording')) {
-            console.log('[MeetBot] 🎤 Extension confirmed: RECORDING');
-            this.setStatus('recording');
-        } else if (text.includes('Captions enabled')) {
-            console.log('[MeetBot] 📝 Captions enabled');
-        } else if (text.includes('Meeting ended detected') || text.includes('Leaving meeting')) {
-            console.log('[MeetBot] 🔚 Meeting ended, cleaning up');
-            this.handleMeetingEnd();
-        } else if (text.includes('Could not join meeting') || text.includes('Blocked from joining')) {
-            console.log('[MeetBot] ❌ Failed to join');
-            this.setStatus('failed', 'Could not join meeting');
-        }
-
-        // Caption parsing: look for [Caption] format (may have emoji prefix)
-        const captionMatch = text.match(/\[Caption\]\s*(.+?):\s*(.+)/);
-        if (captionMatch) {
-            const speaker = captionMatch[1].trim();
-            const captionText = captionMatch[2].trim();
-            console.log(`[MeetBot] 📝 Parsed caption - ${speaker}: ${captionText.substring(0, 50)}...`);
-            this.handleCaption({
-                speaker,
-                text: captionText,
-                index: this.segments.length,
-                timestamp: Date.now() - (this.session.startedAt?.getTime() || Date.now()),
-            });
-        }
-    }
-
     /**
      * Handle meeting end from extension
      */
-    private async handleMeetingEnd(): Promise<void> {
+    private async handleMeetingEnd(reason = 'meeting_ended'): Promise<void> {
         if (this.isLeaving) return; // Prevent double execution
         this.isLeaving = true;
-        console.log('[MeetBot] Handling meeting end...');
+        this.log.info('Handling meeting end', { reason });
 
         // Calculate duration
         const duration = this.session.startedAt
@@ -296,18 +612,21 @@ export class MeetBot extends EventEmitter {
             : 0;
 
         // Final flush of segments
+        this.segmentManager.closeAll().forEach((s) => this.emitCaption(s));
         this.flushSegments();
 
         // Update session data
+        this.endPause();
+        const segments = this.segmentManager.getAllSegments();
         this.session.completedAt = new Date();
-        this.session.segments = this.segments;
+        this.session.segments = segments;
 
         // EMIT COMPLETED EVENT with all segments - this triggers SessionManager.finalizeMeeting()
-        console.log(`[MeetBot] Emitting completed event with ${this.segments.length} segments`);
+        this.log.info('Emitting completed event', { segmentCount: segments.length, reason });
         this.emit('completed', {
             meetingId: this.session.meetingId,
-            reason: 'meeting_ended',
-            segments: this.segments,
+            reason,
+            segments,
             duration: duration,
         });
 
@@ -318,49 +637,111 @@ export class MeetBot extends EventEmitter {
         this.setStatus('completed');
     }
 
+    /**
+     * Validate a raw message from the bridge and dispatch it
+     */
+    private receiveExtensionMessage(raw: unknown): void {
+        const result = parseExtensionMessage(raw);
+        if (!result.ok) {
+            this.log.warn('Dropped invalid extension message', { error: result.error });
+            return;
+        }
+
+        this.handleExtensionMessage(result.message);
+    }
+
     /**
      * Handle messages from the extension
      */
     private handleExtensionMessage(message: ExtensionMessage): void {
-        console.log(`[MeetBot] Extension message: ${message.type}`, message.data);
+        if (message.type !== 'caption' && message.type !== 'audio_chunk' && message.type !== 'chat') {
+            this.log.debug(`Extension message: ${message.type}`, { data: message.data });
+        }
 
         switch (message.type) {
-            case 'status':
-                const extStatus = message.data.status;
-                if (extStatus === 'in_meeting') {
+            case 'status': {
+                const { status, message: statusMessage, error, reason } = message.data;
+                if (status === 'in_meeting') {
                     this.setStatus('in_meeting');
-                } else if (extStatus === 'recording') {
+                } else if (status === 'recording') {
                     this.setStatus('recording');
-                } else if (extStatus === 'waiting_admission') {
-                    this.setStatus('waiting_admission', message.data.message);
-                } else if (extStatus === 'failed') {
-                    this.setStatus('failed', message.data.error);
-                } else if (extStatus === 'joining') {
+                } else if (status === 'waiting_admission') {
+                    this.setStatus('waiting_admission', statusMessage);
+                } else if (status === 'failed') {
+                    this.setStatus('failed', error || 'Could not join meeting');
+                } else if (status === 'joining') {
                     this.setStatus('joining');
-                } else if (extStatus === 'enabling_captions') {
-                    console.log('[MeetBot] Extension enabling captions...');
-                } else if (extStatus === 'leaving') {
-                    console.log('[MeetBot] Extension leaving meeting:', message.data.reason);
+                } else if (status === 'enabling_captions') {
+                    this.log.info('Extension enabling captions');
+                } else if (status === 'leaving') {
+                    // 'completed' follows with the final state
+                    this.log.info('Extension leaving meeting', { reason });
                 }
                 break;
+            }
 
             case 'caption':
-                this.handleCaption(message.data);
+                // Time captions by when the extension saw them, not when they arrived
+                this.handleCaption({
+                    speaker: message.data.speaker,
+                    text: message.data.text,
+                    index: message.data.index ?? this.segmentManager.getCount(),
+                    timestamp: message.timestamp - (this.session.startedAt?.getTime() || message.timestamp),
+                });
                 break;
 
             case 'flush':
                 // Handle periodic flush from extension
-                console.log(`[MeetBot] Extension flush: ${message.data.count} segments`);
+                this.log.debug('Extension flush', { count: message.data.count });
                 break;
 
             case 'completed':
                 // Meeting ended - cleanup and emit completion
-                console.log('[MeetBot] Meeting completed:', message.data.reason);
+                this.log.info('Meeting completed', { reason: message.data.reason });
                 this.handleCompletion(message.data);
+                this.extensionStopped?.();
+                break;
+
+            case 'error':
+                this.log.error('Extension error', { fatal: !!message.data.fatal, error: message.data.message });
+                if (message.data.fatal && !this.session.startedAt) {
+                    this.setStatus('failed', message.data.message);
+                }
+                break;
+
+            case 'audio_chunk':
+                this.handleAudioChunk(message.data);
+                break;
+
+            case 'voice_command':
+                this.handleVoiceCommand(message.data, message.timestamp);
+                break;
+
+            case 'chat':
+                this.handleChat(message.data, message.timestamp);
+                break;
+
+            case 'participants':
+                this.handleParticipants(message.data, message.timestamp);
+                break;
+
+            case 'chat_sent':
+                if (!message.data.ok) {
+                    this.log.warn('Extension could not post chat message', { error: message.data.error });
+                }
+                this.pendingChats.get(message.data.requestId)?.(message.data.ok);
                 break;
 
             case 'loaded':
-                console.log('[MeetBot] Extension loaded on page');
+                this.log.info('Extension loaded on page');
+                // Pre-join pages can navigate (e.g. the Teams launcher), which
+                // reloads the extension and drops the start command
+                if (this.startCommandSent && !this.session.startedAt && !this.isLeaving && this.session.status !== 'failed') {
+                    this.log.info('Page reloaded before joining, re-sending start');
+                    this.triggerExtensionStart().catch((error) =>
+                        this.log.error('Failed to re-send start', { error })
+                    );
+                }
                 break;
         }
     }
@@ -368,12 +749,12 @@ export class MeetBot extends EventEmitter {
     /**
      * Handle meeting completion from extension
      */
-    private async handleCompletion(data: { reason: string; segments: any[]; segmentCount: number; duration: number }): Promise<void> {
-        console.log(`[MeetBot] Handling completion: ${data.reason}, ${data.segmentCount} segments`);
+    private async handleCompletion(data: ExtensionMessageMap['completed']): Promise<void> {
+        this.log.info('Handling completion', { reason: data.reason, segmentCount: data.segmentCount });
 
-        // Update segments if provided
-        if (data.segments && data.segments.length > 0) {
-            this.segments = data.segments.map(s => ({
+        // Fall back to the extension's segments if none reached us
+        if (this.segmentManager.getCount() === 0 && data.segments.length > 0) {
+            data.segments.forEach((s) => this.segmentManager.append({
                 speaker: s.speaker,
                 text: s.text,
                 start: s.start,
@@ -381,34 +762,103 @@ export class MeetBot extends EventEmitter {
             }));
         }
 
-        // Emit completion
-        this.emit('completed', {
-            meetingId: this.session.meetingId,
-            reason: data.reason,
-            segments: this.segments,
-            duration: data.duration,
-        });
-
-        // Leave and cleanup
-        await this.leave(data.reason);
+        // Emits completion and cleans up (no-op if we initiated the leave)
+        await this.handleMeetingEnd(data.reason);
     }
 
     /**
      * Handle caption from extension
+     * Progressive updates are merged into stable segments
      */
     private handleCaption(data: { speaker: string; text: string; index: number; timestamp: number }): void {
-        console.log(`[Caption] ${data.speaker}: ${data.text}`);
+        // Sent before the extension saw the pause command
+        if (this.session.status === 'paused') return;
+        this.leavePolicy.onCaption();
 
-        const segment: Segment = {
+        const { interim, closed } = this.segmentManager.addCaption(data.speaker, data.text, data.timestamp / 1000);
+
+        closed.forEach((segment) => this.emitCaption(segment));
+        if (interim) {
+            this.emitCaption(interim);
+        }
+    }
+
+    /**
+     * Record a voice command the extension heard in the captions
+     * The extension leaves the meeting by itself on 'leave', and pause /
+     * resume are carried out here; every command is reported so the
+     * backend can act on action items and bookmarks
+     */
+    private handleVoiceCommand(data: ExtensionMessageMap['voice_command'], heardAt: number): void {
+        const event: VoiceCommandEvent = {
+            command: data.command,
+            phrase: data.phrase,
             speaker: data.speaker,
             text: data.text,
-            start: data.timestamp / 1000,
-            end: data.timestamp / 1000,
+            score: data.score,
+            offset: this.session.startedAt ? Math.max(0, (heardAt - this.session.startedAt.getTime()) / 1000) : 0,
+            at: new Date(heardAt).toISOString(),
         };
 
-        this.segments.push(segment);
+        this.session.commands.push(event);
+        voiceCommands.inc({ command: event.command });
+        this.log.info('Voice command', { command: event.command, speaker: event.speaker, score: event.score });
+
+        this.emit('voice_command', {
+            meetingId: this.session.meetingId,
+            command: event,
+        });
+
+        if (event.command === 'pause' || event.command === 'resume') {
+            const action = event.command === 'pause' ? this.pause('voice_command') : this.resume('voice_command');
+            action.catch((error) => this.log.info('Voice command not applied', { command: event.command, reason: error.message }));
+        }
+    }
+
+    /**
+     * Record who joined and left since the extension's last roster
+     * snapshot, and pass the roster on to the leave policy
+     */
+    private handleParticipants(data: ExtensionMessageMap['participants'], seenAt: number): void {
+        const { joined, left } = diffRoster(this.participants, data.participants);
+        const offset = this.session.startedAt ? Math.max(0, (seenAt - this.session.startedAt.getTime()) / 1000) : 0;
+        const at = new Date(seenAt).toISOString();
+
+        const events: ParticipantEvent[] = [
+            ...left.map((entry) => ({ ...entry, action: 'left' as const })),
+            ...joined.map((entry) => ({ ...entry, action: 'joined' as const })),
+        ].map((entry) => ({ ...entry, count: data.count, offset, at }));
+
+        left.forEach((entry) => this.participants.delete(entry.id));
+        joined.forEach((entry) => this.participants.set(entry.id, entry.name));
+
+        if (events.length > 0) {
+            this.session.participants.push(...events);
+            this.log.info('Participants changed', {
+                joined: joined.map((entry) => entry.name),
+                left: left.map((entry) => entry.name),
+                count: data.count,
+            });
+            this.emit('participants', {
+                meetingId: this.session.meetingId,
+                events,
+                count: data.count,
+            });
+        }
+
+        this.leavePolicy.onParticipants([...this.participants.values()], data.count);
+    }
+
+    /**
+     * Emit caption event for real-time updates
+     * `segment.final` tells stable segments apart from interim revisions
+     */
+    private emitCaption(segment: Segment): void {
+        if (segment.final) {
+            this.log.info('Caption', { seq: segment.seq, speaker: segment.speaker, text: segment.text });
+            captions.inc({ platform: this.session.platform });
+        }
 
-        // Emit caption event for real-time updates
         this.emit('caption', {
             meetingId: this.session.meetingId,
             segment,
@@ -416,20 +866,95 @@ export class MeetBot extends EventEmitter {
     }
 
     /**
-     * Trigger extension to start
+     * Trigger extension to start with this session's options
      */
     private async triggerExtensionStart(): Promise<void> {
         if (!this.page) return;
 
+        const { botName, captionLanguage, introMessage, voiceCommands } = this.session.options;
+
         // Send start command to extension via window.postMessage
-        await this.page.evaluate(() => {
-            window.postMessage({
-                source: 'notu-bot-controller',
-                type: 'start',
-            }, '*');
+        this.startCommandSent = true;
+        await this.sendExtensionCommand('start', {
+            config: {
+                platform: this.session.platform,
+                botName,
+                captionLanguage,
+                introMessage,
+                voiceCommands: { ...voiceCommands, threshold: config.voiceCommandThreshold },
+                chatCapture: config.chatCaptureEnabled,
+                // Null makes the extension fall back to the postMessage relay
+                audioIngest: this.audioIngest,
+            },
         });
 
-        console.log('[MeetBot] Triggered extension start');
+        this.log.info('Triggered extension start');
+    }
+
+    /**
+     * Give the extension a binary WebSocket to stream audio to
+     * Falls back to the postMessage relay when the ingest cannot start
+     */
+    private async openAudioIngest(): Promise<void> {
+        if (config.audioTransport !== 'websocket') return;
+
+        try {
+            this.audioIngest = await getAudioIngest().register(
+                this.session.sessionId,
+                (frame) => this.handleAudioFrame(frame)
+            );
+        } catch (error: any) {
+            this.log.warn('Audio ingest unavailable, using postMessage relay', { error: error.message });
+        }
+    }
+
+    /**
+     * Post a versioned controller command to the extension
+     */
+    private async sendExtensionCommand(type: string, payload: Record<string, unknown> = {}): Promise<void> {
+        if (!this.page) return;
+
+        await this.page.evaluate((command) => {
+            window.postMessage(command, '*');
+        }, { ...payload, source: CONTROLLER_SOURCE, version: PROTOCOL_VERSION, type });
+    }
+
+    /**
+     * Pre-flight: check the leased Google profile is still signed in
+     * Only Meet needs a Google account; Teams and Zoom join as guests
+     */
+    private async preflightAuthCheck(): Promise<void> {
+        const { profile, platform } = this.session;
+        if (!this.page || !profile || platform !== 'meet') return;
+
+        this.log.info('Checking Google session', { profile });
+        const { health, message } = await inspectGoogleSession(this.page);
+        getProfilePool().reportHealth(profile, health, message);
+
+        if (health !== 'healthy') {
+            throw new AuthRequiredError(`Profile '${profile}': ${message}`, profile, health);
+        }
+    }
+
+    /**
+     * Check whether the page has landed on a Google sign-in, captcha or
+     * verification wall while joining
+     */
+    private async detectAuthWall(): Promise<AuthRequiredError | null> {
+        const { profile, platform } = this.session;
+        if (!this.page || platform !== 'meet') return null;
+
+        try {
+            const bodyText = await this.page.innerText('body');
+            const { health, message } = classifyGooglePage(this.page.url(), bodyText);
+            if (health === 'healthy') return null;
+
+            if (profile) getProfilePool().reportHealth(profile, health, message);
+            return new AuthRequiredError(profile ? `Profile '${profile}': ${message}` : message, profile, health);
+        } catch {
+            // Page navigating or closed; the regular checks handle it
+            return null;
+        }
     }
 
     /**
@@ -438,6 +963,7 @@ export class MeetBot extends EventEmitter {
     private async waitForExtensionJoin(timeout: number): Promise<boolean> {
         return new Promise((resolve) => {
             const startTime = Date.now();
+            let checks = 0;
 
             const checkStatus = () => {
                 if (this.session.status === 'in_meeting' || this.session.status === 'recording') {
@@ -451,11 +977,24 @@ export class MeetBot extends EventEmitter {
                 }
 
                 if (Date.now() - startTime >= timeout) {
-                    console.log('[MeetBot] Timeout waiting for extension to join');
+                    this.log.warn('Timeout waiting for extension to join', { timeoutMs: timeout });
                     resolve(false);
                     return;
                 }
 
+                // Bail out as soon as Google bounces us to sign-in or a captcha
+                if (++checks % AUTH_WALL_CHECK_EVERY === 0) {
+                    this.detectAuthWall().then((failure) => {
+                        if (failure) {
+                            this.authFailure = failure;
+                            resolve(false);
+                        } else {
+                            setTimeout(checkStatus, 1000);
+                        }
+                    });
+                    return;
+                }
+
                 setTimeout(checkStatus, 1000);
             };
 
@@ -464,21 +1003,31 @@ export class MeetBot extends EventEmitter {
     }
 
     /**
-     * Flush segments to backend
+     * Flush new and revised segments to backend
+     * Listeners hand the batch to the durable outbox, so it counts as
+     * acknowledged once emitted
      */
     private flushSegments(): void {
-        if (this.segments.length === 0) return;
+        const segmentsToFlush = this.segmentManager.getSegmentsForFlush();
+        if (segmentsToFlush.length === 0) return;
 
-        const segmentsToFlush = [...this.segments];
+        const flushIndex = this.flushIndex++;
 
         this.emit('flush', {
             meetingId: this.session.meetingId,
             segments: segmentsToFlush,
+            flushIndex,
             count: segmentsToFlush.length,
             duration: (Date.now() - (this.session.startedAt?.getTime() || Date.now())) / 1000,
         });
 
-        console.log(`[MeetBot] Flushed ${segmentsToFlush.length} segments`);
+        this.segmentManager.markFlushed(segmentsToFlush);
+
+        this.log.info('Flushed segments', {
+            count: segmentsToFlush.length,
+            flushIndex,
+            cursor: this.segmentManager.getFlushCursor(),
+        });
     }
 
     /**
@@ -486,29 +1035,40 @@ export class MeetBot extends EventEmitter {
      */
     async leave(reason = 'user_requested'): Promise<BotSession> {
         if (this.isLeaving) {
-            console.log('[MeetBot] Already leaving, skipping');
+            this.log.debug('Already leaving, skipping');
             return this.getSession();
         }
         this.isLeaving = true;
 
-        console.log(`[MeetBot] Leaving meeting: ${reason}`);
+        this.log.info('Leaving meeting', { reason });
         this.setStatus('leaving');
 
-        // Tell extension to stop
+        // Tell extension to stop, and wait for its last audio and segments
         if (this.page) {
+            const stopped = new Promise<void>((resolve) => {
+                const timer = setTimeout(() => {
+                    this.log.warn('Extension did not confirm leaving', { timeoutMs: EXTENSION_STOP_TIMEOUT_MS });
+                    settle();
+                }, EXTENSION_STOP_TIMEOUT_MS);
+                const settle = () => {
+                    clearTimeout(timer);
+                    this.extensionStopped = null;
+                    resolve();
+                };
+                this.extensionStopped = settle;
+            });
+
             try {
-                await this.page.evaluate(() => {
-                    window.postMessage({
-                        source: 'notu-bot-controller',
-                        type: 'stop',
-                    }, '*');
-                });
+                await this.sendExtensionCommand('stop');
             } catch (e) {
                 // Page may be closed
+                this.extensionStopped?.();
             }
+            await stopped;
         }
 
         // Final flush
+        this.segmentManager.closeAll().forEach((s) => this.emitCaption(s));
         this.flushSegments();
 
         // Calculate duration
@@ -516,15 +1076,17 @@ export class MeetBot extends EventEmitter {
             ? (Date.now() - this.session.startedAt.getTime()) / 1000
             : 0;
 
+        this.endPause();
+        const segments = this.segmentManager.getAllSegments();
         this.session.completedAt = new Date();
-        this.session.segments = this.segments;
+        this.session.segments = segments;
 
         // EMIT COMPLETED EVENT - SessionManager listens to this for finalization
-        console.log(`[MeetBot] Emitting completed event with ${this.segments.length} segments (reason: ${reason})`);
+        this.log.info('Emitting completed event', { segmentCount: segments.length, reason });
         this.emit('completed', {
             meetingId: this.session.meetingId,
             reason: reason,
-            segments: this.segments,
+            segments,
             duration: duration,
         });
 
@@ -542,7 +1104,7 @@ export class MeetBot extends EventEmitter {
     private async cleanup(): Promise<void> {
         // Prevent double cleanup
         if (this.cleanupDone) {
-            console.log('[MeetBot] Cleanup already done, skipping');
+            this.log.debug('Cleanup already done, skipping');
             return;
         }
         this.cleanupDone = true;
@@ -552,18 +1114,38 @@ export class MeetBot extends EventEmitter {
             this.flushInterval = null;
         }
 
-        if (this.timeoutTimer) {
-            clearTimeout(this.timeoutTimer);
-            this.timeoutTimer = null;
+        if (this.segmentSweepInterval) {
+            clearInterval(this.segmentSweepInterval);
+            this.segmentSweepInterval = null;
+        }
+
+        this.leavePolicy.stop();
+
+        // Nothing is left to confirm chat messages still being typed
+        this.pendingChats.forEach((settle) => settle(false));
+
+        // The extension's last audio frames are still in flight until its
+        // uplink closes; the browser must stay up until then
+        if (!await getAudioIngest().drain(this.session.sessionId, AUDIO_DRAIN_TIMEOUT_MS)) {
+            this.log.warn('Audio uplink still open, closing anyway', { timeoutMs: AUDIO_DRAIN_TIMEOUT_MS });
         }
 
         if (this.context) {
             await this.context.close().catch(() => { });
             this.context = null;
         }
+        this.diagnostics.finish(this.joinFailed);
+        await getAudioIngest().unregister(this.session.sessionId);
+        // Only now has the final chunk been appended
+        await this.audio.complete();
+
+        if (this.profileLease) {
+            getProfilePool().release(this.session.sessionId, this.profileLease);
+            this.profileLease = null;
+        }
 
         this.page = null;
-        console.log('[MeetBot] Cleanup complete');
+        this.log.info('Cleanup complete');
     }
 }
 
@@ -0,0 +1,178 @@
+/**
+ * Prometheus Metrics
+ *
+ * Fleet metrics served at GET /metrics. Counters and histograms are
+ * updated where things happen (MeetBot, BotSessionManager, Outbox);
+ * gauges describing current state are sampled at scrape time.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import client from 'prom-client';
+import { sessionProfilesDir } from './browserProfiles';
+import { BotSession } from './types';
+
+export const registry = new client.Registry();
+
+client.collectDefaultMetrics({ register: registry, prefix: 'notu_bot_process_' });
+
+export const joinAttempts = new client.Counter({
+    name: 'notu_bot_join_attempts_total',
+    help: 'Bots that started joining a meeting',
+    labelNames: ['platform'],
+    registers: [registry],
+});
+
+export const joinSuccesses = new client.Counter({
+    name: 'notu_bot_join_successes_total',
+    help: 'Bots admitted to a meeting',
+    labelNames: ['platform'],
+    registers: [registry],
+});
+
+export const joinFailures = new client.Counter({
+    name: 'notu_bot_join_failures_total',
+    help: 'Bots that failed to join, by reason',
+    labelNames: ['platform', 'reason'],
+    registers: [registry],
+});
+
+export const admissionRejections = new client.Counter({
+    name: 'notu_bot_admission_rejections_total',
+    help: 'Join requests refused before a browser was launched, by reason',
+    labelNames: ['reason'],
+    registers: [registry],
+});
+
+export const timeToAdmission = new client.Histogram({
+    name: 'notu_bot_time_to_admission_seconds',
+    help: 'Time from starting to join until admitted to the meeting',
+    labelNames: ['platform'],
+    buckets: [5, 10, 20, 30, 45, 60, 90, 120, 180],
+    registers: [registry],
+});
+
+export const captions = new client.Counter({
+    name: 'notu_bot_captions_total',
+    help: 'Final caption segments captured; use rate() for captions per minute',
+    labelNames: ['platform'],
+    registers: [registry],
+});
+
+export const voiceCommands = new client.Counter({
+    name: 'notu_bot_voice_commands_total',
+    help: 'Voice commands heard in meetings, by command',
+    labelNames: ['command'],
+    registers: [registry],
+});
+
+export const autoLeaves = new client.Counter({
+    name: 'notu_bot_auto_leaves_total',
+    help: 'Bots that left a meeting on their own, by leave policy reason',
+    labelNames: ['reason'],
+    registers: [registry],
+});
+
+export const outboxDeliveries = new client.Counter({
+    name: 'notu_bot_outbox_deliveries_total',
+    help: 'Outbound backend calls (segments, audio chunks, finalize) by outcome',
+    labelNames: ['kind', 'outcome'],
+    registers: [registry],
+});
+
+export const outboxRequestDuration = new client.Histogram({
+    name: 'notu_bot_outbox_request_duration_seconds',
+    help: 'Duration of outbound backend HTTP calls',
+    labelNames: ['kind', 'outcome'],
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+    registers: [registry],
+});
+
+export const flushLatency = new client.Histogram({
+    name: 'notu_bot_flush_latency_seconds',
+    help: 'Time from a segment flush being queued until the backend accepted it, retries included',
+    buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 300],
+    registers: [registry],
+});
+
+export const backendSocketConnected = new client.Gauge({
+    name: 'notu_bot_backend_socket_connected',
+    help: '1 while the Socket.IO connection to the backend is up',
+    registers: [registry],
+});
+
+let sessionSource: () => BotSession[] = () => [];
+
+/**
+ * Where the scrape-time session gauges read active sessions from
+ */
+export function setSessionSource(source: () => BotSession[]): void {
+    sessionSource = source;
+}
+
+new client.Gauge({
+    name: 'notu_bot_sessions',
+    help: 'Active sessions by status',
+    labelNames: ['status'],
+    registers: [registry],
+    collect() {
+        this.reset();
+        for (const session of sessionSource()) {
+            this.inc({ status: session.status });
+        }
+    },
+});
+
+new client.Gauge({
+    name: 'notu_bot_browser_memory_bytes',
+    help: 'Resident memory of each bot\'s Chromium processes (Linux only)',
+    labelNames: ['meeting_id'],
+    registers: [registry],
+    collect() {
+        this.reset();
+        const bySession = browserMemoryBySession();
+        for (const session of sessionSource()) {
+            const bytes = bySession.get(session.sessionId);
+            if (bytes !== undefined) {
+                this.set({ meeting_id: session.meetingId }, bytes);
+            }
+        }
+    },
+});
+
+/**
+ * Sum RSS of Chromium processes per session, matched on the session
+ * profile dir in their command line
+ */
+function browserMemoryBySession(): Map<string, number> {
+    const totals = new Map<string, number>();
+    if (process.platform !== 'linux') return totals;
+
+    const marker = `--user-data-dir=${sessionProfilesDir()}${path.sep}`;
+    let pids: string[];
+    try {
+        pids = fs.readdirSync('/proc').filter((entry) => /^\d+$/.test(entry));
+    } catch {
+        return totals;
+    }
+
+    for (const pid of pids) {
+        try {
+            const cmdline = fs.readFileSync(`/proc/${pid}/cmdline`, 'utf8');
+            const start = cmdline.indexOf(marker);
+            if (start === -1) continue;
+
+            const sessionId = cmdline.slice(start + marker.length).split(/[\0/]/)[0];
+            const rssKb = fs.readFileSync(`/proc/${pid}/status`, 'utf8').match(/^VmRSS:\s+(\d+)/m);
+            if (rssKb) {
+                totals.set(sessionId, (totals.get(sessionId) || 0) + parseInt(rssKb[1], 10) * 1024);
+            }
+        } catch {
+            // Process exited mid-scan
+        }
+    }
+
+    return totals;
+}
+
+export default registry;
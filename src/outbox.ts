@@ -0,0 +1,376 @@
+/**
+ * Outbound Delivery Queue
+ *
+ * Every HTTP call to the backend (segments, audio chunks, finalize) goes
+ * through this outbox. Jobs are spooled to disk before delivery, retried
+ * with exponential backoff, and moved to a dead-letter folder once they
+ * exhaust their attempts, so a backend blip never silently drops data.
+ *
+ * Most jobs POST a JSON payload. Raw-body jobs (binary audio) keep their
+ * bytes in a sidecar file so they never sit in memory or get base64'd.
+ */
+
+import { EventEmitter } from 'events';
+import path from 'path';
+import fs from 'fs';
+import axios from 'axios';
+import config from './config';
+import { signCallback } from './auth';
+import { flushLatency, outboxDeliveries, outboxRequestDuration } from './metrics';
+import { createLogger } from './logger';
+import { OutboxJob, OutboxJobKind, OutboxStats } from './types';
+
+const log = createLogger('Outbox');
+
+export class Outbox extends EventEmitter {
+    private pending: Map<string, OutboxJob> = new Map();
+    private inFlight: Set<string> = new Set(); // Job IDs
+    private busyMeetings: Set<string> = new Set();
+    private tickTimer: NodeJS.Timeout | null = null;
+    private counter = 0;
+    private readonly pendingDir = path.join(config.dataDir, 'outbox', 'pending');
+    private readonly deadDir = path.join(config.dataDir, 'outbox', 'dead');
+
+    constructor() {
+        super();
+        fs.mkdirSync(this.pendingDir, { recursive: true });
+        fs.mkdirSync(this.deadDir, { recursive: true });
+        this.load();
+    }
+
+    /**
+     * Start delivering queued jobs
+     */
+    start(): void {
+        if (this.tickTimer) return;
+        this.tickTimer = setInterval(() => this.tick(), config.outboxTickMs);
+        this.tick();
+    }
+
+    /**
+     * Stop delivering - pending jobs stay spooled for the next start
+     */
+    stop(): void {
+        if (this.tickTimer) {
+            clearInterval(this.tickTimer);
+            this.tickTimer = null;
+        }
+    }
+
+    /**
+     * Queue a POST to the backend
+     * A pending job with the same idempotency key is replaced, so the
+     * newest payload wins and the backend receives it only once.
+     * With `body`, the bytes are POSTed as-is and the payload is sent as
+     * JSON in the X-Notu-Metadata header
+     */
+    enqueue(
+        kind: OutboxJobKind,
+        meetingId: string,
+        idempotencyKey: string,
+        url: string,
+        payload: any,
+        body?: { data: Buffer; contentType: string }
+    ): OutboxJob {
+        const existing = Array.from(this.pending.values()).find(
+            (job) => job.idempotencyKey === idempotencyKey && !this.inFlight.has(job.id)
+        );
+
+        const now = new Date().toISOString();
+        const job: OutboxJob = existing
+            ? { ...existing, payload }
+            : {
+                id: `${Date.now()}_${String(this.counter++).padStart(6, '0')}`,
+                kind,
+                meetingId,
+                idempotencyKey,
+                url,
+                payload,
+                attempts: 0,
+                createdAt: now,
+                nextAttemptAt: now,
+                lastError: null,
+            };
+
+        job.contentType = body?.contentType;
+        if (body) {
+            this.writeBody(this.bodyPath(this.pendingDir, job.id), body.data);
+        }
+
+        this.pending.set(job.id, job);
+        this.spool(job);
+
+        // Deliver promptly rather than waiting for the next tick
+        if (this.tickTimer) setImmediate(() => this.tick());
+
+        return job;
+    }
+
+    /**
+     * Keep delivering until the queue is empty or the timeout passes
+     * Returns the number of jobs left spooled for the next start
+     */
+    async drain(timeoutMs: number): Promise<number> {
+        const deadline = Date.now() + timeoutMs;
+        while (this.pending.size > 0 && Date.now() < deadline) {
+            this.tick();
+            await new Promise((resolve) => setTimeout(resolve, 250));
+        }
+        return this.pending.size;
+    }
+
+    /**
+     * Queue depth and dead letters
+     */
+    getStats(): OutboxStats {
+        const jobs = Array.from(this.pending.values());
+        const byKind: Record<string, number> = {};
+        jobs.forEach((job) => {
+            byKind[job.kind] = (byKind[job.kind] || 0) + 1;
+        });
+
+        return {
+            depth: jobs.length,
+            inFlight: this.inFlight.size,
+            byKind,
+            oldestCreatedAt: jobs.length > 0
+                ? jobs.reduce((a, b) => (a.createdAt < b.createdAt ? a : b)).createdAt
+                : null,
+            deadLetterCount: this.listDeadLetters().length,
+        };
+    }
+
+    /**
+     * List dead-lettered jobs
+     */
+    listDeadLetters(): OutboxJob[] {
+        return fs.readdirSync(this.deadDir)
+            .filter((file) => file.endsWith('.json'))
+            .sort()
+            .map((file) => this.readJob(path.join(this.deadDir, file)))
+            .filter((job): job is OutboxJob => job !== null);
+    }
+
+    /**
+     * Move a dead-lettered job back into the queue
+     */
+    retryDeadLetter(jobId: string): OutboxJob | null {
+        const deadPath = this.deadLetterPath(jobId);
+        const job = deadPath && this.readJob(deadPath);
+        if (!deadPath || !job) return null;
+
+        job.attempts = 0;
+        job.nextAttemptAt = new Date().toISOString();
+        this.pending.set(job.id, job);
+        this.moveBody(job, this.deadDir, this.pendingDir);
+        this.spool(job);
+        fs.rmSync(deadPath, { force: true });
+
+        log.info('Requeued dead letter', { jobId: job.id, idempotencyKey: job.idempotencyKey, meetingId: job.meetingId });
+        return job;
+    }
+
+    /**
+     * Permanently drop a dead-lettered job
+     */
+    discardDeadLetter(jobId: string): boolean {
+        const deadPath = this.deadLetterPath(jobId);
+        if (!deadPath || !fs.existsSync(deadPath)) return false;
+        fs.rmSync(deadPath, { force: true });
+        fs.rmSync(this.bodyPath(this.deadDir, jobId), { force: true });
+        return true;
+    }
+
+    /**
+     * File of a dead-lettered job; null for IDs that could escape the
+     * directory (they come from the URL)
+     */
+    private deadLetterPath(jobId: string): string | null {
+        if (!/^[\w-]+$/.test(jobId)) return null;
+        return path.join(this.deadDir, `${jobId}.json`);
+    }
+
+    /**
+     * Deliver every due job whose meeting has nothing earlier in flight
+     * Jobs for one meeting are delivered in order, so finalize never
+     * overtakes that meeting's segments
+     */
+    private tick(): void {
+        const now = Date.now();
+        const jobs = Array.from(this.pending.values()).sort((a, b) => a.id.localeCompare(b.id));
+        const blockedMeetings = new Set(this.busyMeetings);
+
+        for (const job of jobs) {
+            if (this.inFlight.size >= config.outboxConcurrency) break;
+            if (blockedMeetings.has(job.meetingId)) continue;
+
+            // Head of this meeting's queue - later jobs wait behind it
+            blockedMeetings.add(job.meetingId);
+
+            if (Date.parse(job.nextAttemptAt) <= now) {
+                this.deliver(job);
+            }
+        }
+    }
+
+    /**
+     * Attempt delivery of a single job
+     */
+    private async deliver(job: OutboxJob): Promise<void> {
+        this.inFlight.add(job.id);
+        this.busyMeetings.add(job.meetingId);
+        job.attempts++;
+        const endTimer = outboxRequestDuration.startTimer({ kind: job.kind });
+
+        try {
+            // Serialize once so the signature covers the exact bytes sent
+            const body = job.contentType
+                ? fs.readFileSync(this.bodyPath(this.pendingDir, job.id))
+                : JSON.stringify(job.payload);
+            const contentHeaders: Record<string, string> = job.contentType
+                ? { 'Content-Type': job.contentType, 'X-Notu-Metadata': JSON.stringify(job.payload) }
+                : { 'Content-Type': 'application/json' };
+
+            await axios.post(job.url, body, {
+                headers: {
+                    ...contentHeaders,
+                    'Idempotency-Key': job.idempotencyKey,
+                    ...signCallback(body),
+                },
+                timeout: config.outboxRequestTimeoutMs,
+            });
+
+            endTimer({ outcome: 'delivered' });
+            outboxDeliveries.inc({ kind: job.kind, outcome: 'delivered' });
+            if (job.kind === 'segments') {
+                flushLatency.observe((Date.now() - new Date(job.createdAt).getTime()) / 1000);
+            }
+
+            this.pending.delete(job.id);
+            fs.rmSync(this.spoolPath(job.id), { force: true });
+            fs.rmSync(this.bodyPath(this.pendingDir, job.id), { force: true });
+            this.emit('delivered', job);
+        } catch (error: any) {
+            const status: number | undefined = error.response?.status;
+            endTimer({ outcome: 'failed' });
+            job.lastError = status ? `HTTP ${status}: ${error.message}` : error.message;
+
+            // Client errors won't succeed on retry (except timeouts and rate limits)
+            const retryable = !status || status >= 500 || status === 408 || status === 429;
+
+            if (!retryable || job.attempts >= config.outboxMaxAttempts) {
+                outboxDeliveries.inc({ kind: job.kind, outcome: 'dead' });
+                this.deadLetter(job);
+            } else {
+                outboxDeliveries.inc({ kind: job.kind, outcome: 'retry' });
+                const delay = Math.min(
+                    config.outboxRetryBaseMs * 2 ** (job.attempts - 1),
+                    config.outboxRetryMaxMs
+                );
+                job.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+                this.spool(job);
+                log.warn('Delivery failed, retrying', {
+                    meetingId: job.meetingId,
+                    kind: job.kind,
+                    attempt: job.attempts,
+                    delayMs: delay,
+                    error: job.lastError,
+                });
+            }
+        } finally {
+            this.inFlight.delete(job.id);
+            this.busyMeetings.delete(job.meetingId);
+        }
+    }
+
+    /**
+     * Give up on a job and keep it for inspection
+     */
+    private deadLetter(job: OutboxJob): void {
+        this.pending.delete(job.id);
+        this.writeJob(path.join(this.deadDir, `${job.id}.json`), job);
+        this.moveBody(job, this.pendingDir, this.deadDir);
+        fs.rmSync(this.spoolPath(job.id), { force: true });
+
+        log.error('Dead-lettered delivery', {
+            meetingId: job.meetingId,
+            kind: job.kind,
+            attempts: job.attempts,
+            error: job.lastError,
+        });
+        this.emit('dead_letter', job);
+    }
+
+    /**
+     * Load spooled jobs left from a previous run
+     */
+    private load(): void {
+        const files = fs.readdirSync(this.pendingDir).filter((file) => file.endsWith('.json'));
+        for (const file of files) {
+            const job = this.readJob(path.join(this.pendingDir, file));
+            if (job) this.pending.set(job.id, job);
+        }
+
+        if (this.pending.size > 0) {
+            log.info('Loaded spooled jobs', { count: this.pending.size });
+        }
+    }
+
+    private spool(job: OutboxJob): void {
+        this.writeJob(this.spoolPath(job.id), job);
+    }
+
+    private spoolPath(jobId: string): string {
+        return path.join(this.pendingDir, `${jobId}.json`);
+    }
+
+    private bodyPath(dir: string, jobId: string): string {
+        return path.join(dir, `${jobId}.bin`);
+    }
+
+    private writeBody(filePath: string, data: Buffer): void {
+        const tmpPath = `${filePath}.tmp`;
+        fs.writeFileSync(tmpPath, data);
+        fs.renameSync(tmpPath, filePath);
+    }
+
+    private moveBody(job: OutboxJob, fromDir: string, toDir: string): void {
+        if (!job.contentType) return;
+        try {
+            fs.renameSync(this.bodyPath(fromDir, job.id), this.bodyPath(toDir, job.id));
+        } catch (error: any) {
+            log.error('Failed to move job body', { jobId: job.id, meetingId: job.meetingId, error: error.message });
+        }
+    }
+
+    private writeJob(filePath: string, job: OutboxJob): void {
+        try {
+            const tmpPath = `${filePath}.tmp`;
+            fs.writeFileSync(tmpPath, JSON.stringify(job));
+            fs.renameSync(tmpPath, filePath);
+        } catch (error: any) {
+            // Still deliverable from memory, just not durable
+            log.error('Failed to spool job', { jobId: job.id, meetingId: job.meetingId, error: error.message });
+        }
+    }
+
+    private readJob(filePath: string): OutboxJob | null {
+        try {
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch {
+            return null;
+        }
+    }
+}
+
+// Singleton instance
+let instance: Outbox | null = null;
+
+export function getOutbox(): Outbox {
+    if (!instance) {
+        instance = new Outbox();
+    }
+    return instance;
+}
+
+export default Outbox;
@@ -0,0 +1,88 @@
+/**
+ * Participants
+ *
+ * Turns the roster snapshots the extension reports into a join/leave
+ * timeline, and the timeline into per-participant attendance.
+ */
+
+import { Participant, ParticipantEvent } from './types';
+
+export interface RosterEntry {
+    id: string;
+    name: string;
+}
+
+/**
+ * Participants present at the end of a timeline, by ID
+ */
+export function presentParticipants(events: ParticipantEvent[]): Map<string, string> {
+    const present: Map<string, string> = new Map();
+    for (const event of events) {
+        if (event.action === 'joined') present.set(event.id, event.name);
+        else present.delete(event.id);
+    }
+    return present;
+}
+
+/**
+ * Who joined and who left between the present set and a new snapshot
+ * A participant renamed mid-call keeps their ID and is not reported
+ */
+export function diffRoster(present: Map<string, string>, roster: RosterEntry[]): { joined: RosterEntry[]; left: RosterEntry[] } {
+    const reported = new Map(roster.map((entry) => [entry.id, entry.name]));
+
+    return {
+        joined: roster.filter((entry) => !present.has(entry.id)),
+        left: [...present]
+            .filter(([id]) => !reported.has(id))
+            .map(([id, name]) => ({ id, name })),
+    };
+}
+
+/**
+ * Summarize a timeline per participant, in order of first join
+ * Participants still present count as attending until `until`
+ */
+export function summarizeParticipants(events: ParticipantEvent[], until: Date = new Date()): Participant[] {
+    const participants: Map<string, Participant> = new Map();
+    const joinedAt: Map<string, number> = new Map();
+
+    for (const event of events) {
+        const time = new Date(event.at).getTime();
+        let participant = participants.get(event.id);
+
+        if (event.action === 'joined') {
+            if (!participant) {
+                participant = {
+                    id: event.id,
+                    name: event.name,
+                    present: false,
+                    firstJoinedAt: event.at,
+                    lastLeftAt: null,
+                    joins: 0,
+                    attendedSeconds: 0,
+                };
+                participants.set(event.id, participant);
+            }
+            participant.name = event.name;
+            participant.present = true;
+            participant.joins++;
+            joinedAt.set(event.id, time);
+        } else if (participant) {
+            participant.present = false;
+            participant.lastLeftAt = event.at;
+            participant.attendedSeconds += (time - (joinedAt.get(event.id) ?? time)) / 1000;
+            joinedAt.delete(event.id);
+        }
+    }
+
+    for (const [id, since] of joinedAt) {
+        const participant = participants.get(id)!;
+        participant.attendedSeconds += Math.max(0, until.getTime() - since) / 1000;
+    }
+
+    return [...participants.values()].map((participant) => ({
+        ...participant,
+        attendedSeconds: Math.round(participant.attendedSeconds),
+    }));
+}
@@ -0,0 +1,68 @@
+/**
+ * Meeting Platforms
+ *
+ * Detects the meeting platform from a join URL and normalizes the URL to
+ * the page the extension's platform adapter expects to land on.
+ */
+
+import { MeetingPlatform } from './types';
+
+interface PlatformSpec {
+    label: string;
+    hosts: RegExp;
+}
+
+const PLATFORMS: Record<MeetingPlatform, PlatformSpec> = {
+    meet: { label: 'Google Meet', hosts: /^meet\.google\.com$/i },
+    teams: { label: 'Microsoft Teams', hosts: /^teams\.(microsoft|live)\.com$/i },
+    zoom: { label: 'Zoom', hosts: /^([\w-]+\.)?zoom\.us$/i },
+};
+
+/**
+ * Human-readable list of supported platforms, for error messages
+ */
+export const SUPPORTED_PLATFORMS = Object.values(PLATFORMS).map((p) => p.label).join(', ');
+
+function parseUrl(url: string): URL | null {
+    try {
+        return new URL(url);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Detect the platform from a meeting URL
+ * Returns null for unparseable or unsupported URLs
+ */
+export function detectPlatform(url: string): MeetingPlatform | null {
+    const parsed = parseUrl(url);
+    if (!parsed || !['https:', 'http:'].includes(parsed.protocol)) return null;
+
+    const match = (Object.keys(PLATFORMS) as MeetingPlatform[]).find(
+        (platform) => PLATFORMS[platform].hosts.test(parsed.hostname)
+    );
+    return match || null;
+}
+
+/**
+ * Rewrite a meeting URL to the page the bot should open
+ * Zoom invite links (/j/<id>) land on a launcher that pushes the desktop
+ * app, so they are sent straight to the web client instead
+ */
+export function normalizeMeetingUrl(url: string, platform: MeetingPlatform): string {
+    const parsed = parseUrl(url);
+    if (!parsed) return url;
+
+    if (platform === 'zoom') {
+        const match = parsed.pathname.match(/^\/(?:j|wc\/join|wc)\/(\d+)/);
+        if (match) {
+            const webClient = new URL(`https://app.zoom.us/wc/join/${match[1]}`);
+            const pwd = parsed.searchParams.get('pwd');
+            if (pwd) webClient.searchParams.set('pwd', pwd);
+            return webClient.toString();
+        }
+    }
+
+    return url;
+}
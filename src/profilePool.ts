@@ -0,0 +1,392 @@
+/**
+ * Bot Profile Pool
+ *
+ * Signed-in Chrome profiles, one Google account each, that bots join as.
+ * A session leases a profile for its lifetime so two concurrent bots never
+ * share an identity, and each profile's health (signed out, blocked, rate
+ * limited) is tracked so broken accounts stop being handed out.
+ *
+ * The registry lives in `<dataDir>/profiles.json` and is managed with
+ * `npm run generate-auth -- add|list|verify|retire`. Leases are in-memory
+ * only; a restart releases them all.
+ */
+
+import { EventEmitter } from 'events';
+import path from 'path';
+import fs from 'fs';
+import { chromium, Page } from 'playwright';
+import config from './config';
+import { createSessionProfile, removeSessionProfile } from './browserProfiles';
+import { createLogger } from './logger';
+import { BotProfile, ProfileHealth } from './types';
+
+const log = createLogger('ProfilePool');
+
+const DEFAULT_PROFILE = 'default';
+
+// Signed-in users land here; signed-out ones are redirected to sign-in
+const ACCOUNT_CHECK_URL = 'https://myaccount.google.com/';
+
+export interface ProfileLease {
+    name: string | null; // null when the pool is empty and the bot runs signed out
+    dir: string | null;
+}
+
+/**
+ * A bot's Google session needs a human: signed out, captcha or "verify it's you"
+ */
+export class AuthRequiredError extends Error {
+    constructor(message: string, public readonly profile: string | null, public readonly health: ProfileHealth) {
+        super(message);
+        this.name = 'AuthRequiredError';
+    }
+}
+
+/**
+ * Classify a Google page by URL and visible text
+ * Returns 'healthy' when nothing is wrong with the account
+ */
+export function classifyGooglePage(url: string, bodyText: string): { health: ProfileHealth; message: string } {
+    // Google's copy uses typographic apostrophes
+    const text = bodyText.toLowerCase().replace(/[\u2018\u2019]/g, '\'');
+
+    if (/google\.[a-z.]+\/sorry\//i.test(url) || text.includes('unusual traffic') || text.includes('too many attempts')) {
+        return { health: 'rate_limited', message: 'Google is rate limiting this account (captcha)' };
+    }
+
+    if (text.includes('i\'m not a robot') || text.includes('type the text you hear or see')) {
+        return { health: 'blocked', message: 'Google is asking for a captcha' };
+    }
+
+    if (text.includes('verify it\'s you') || /accounts\.google\.com\/.*challenge/i.test(url)) {
+        return { health: 'blocked', message: 'Google is asking to verify it\'s you' };
+    }
+
+    if (
+        text.includes('your account has been disabled') ||
+        text.includes('account has been suspended') ||
+        text.includes('couldn\'t sign you in')
+    ) {
+        return { health: 'blocked', message: 'Google has blocked this account' };
+    }
+
+    if (/accounts\.google\.com\/.*(signin|ServiceLogin)/i.test(url)) {
+        return { health: 'signed_out', message: 'Signed out of Google' };
+    }
+
+    return { health: 'healthy', message: 'Signed in' };
+}
+
+/**
+ * Load the Google account page and classify where it lands
+ */
+export async function inspectGoogleSession(page: Page): Promise<{ health: ProfileHealth; message: string; email: string | null }> {
+    await page.goto(ACCOUNT_CHECK_URL, { waitUntil: 'domcontentloaded', timeout: 30000 });
+    await page.waitForTimeout(2000);
+
+    const bodyText = await page.innerText('body').catch(() => '');
+    const { health, message } = classifyGooglePage(page.url(), bodyText);
+    const email = health === 'healthy' ? bodyText.match(/[\w.+-]+@[\w-]+\.[\w.-]+/)?.[0] || null : null;
+    return { health, message, email };
+}
+
+export class ProfilePool extends EventEmitter {
+    private profiles: Map<string, BotProfile> = new Map();
+    private leases: Map<string, string> = new Map(); // profile name -> session ID
+    private loadedMtimeMs = 0;
+    private verifyAllPromise: Promise<BotProfile[]> | null = null;
+    private readonly filePath = path.join(config.dataDir, 'profiles.json');
+
+    constructor() {
+        super();
+        this.load();
+        this.adoptLegacyProfile();
+    }
+
+    /**
+     * All registered profiles, retired included
+     */
+    list(): BotProfile[] {
+        this.reload();
+        return Array.from(this.profiles.values()).map((profile) => ({
+            ...profile,
+            leasedBy: this.leases.get(profile.name) || null,
+        }));
+    }
+
+    get(name: string): BotProfile | null {
+        return this.list().find((profile) => profile.name === name) || null;
+    }
+
+    /**
+     * Whether a lease would succeed right now
+     */
+    hasAvailable(): boolean {
+        this.reload();
+        return this.profiles.size === 0 || this.available().length > 0;
+    }
+
+    /**
+     * Whether any profile could ever be leased (ignoring current leases)
+     * An empty pool counts as usable: bots then join signed out
+     */
+    hasUsable(): boolean {
+        this.reload();
+        return this.profiles.size === 0 || this.usable().length > 0;
+    }
+
+    /**
+     * Lease the least recently used healthy profile for a session and copy
+     * it to a session profile dir. Returns null when every profile is busy
+     * or unhealthy.
+     */
+    lease(sessionId: string): ProfileLease | null {
+        this.reload();
+
+        if (this.profiles.size === 0) {
+            return { name: null, dir: createSessionProfile(sessionId, null) };
+        }
+
+        const [profile] = this.available().sort((a, b) => (a.lastUsedAt || '').localeCompare(b.lastUsedAt || ''));
+        if (!profile) return null;
+
+        this.leases.set(profile.name, sessionId);
+        profile.lastUsedAt = new Date().toISOString();
+        this.persist();
+
+        log.info('Leased profile', { profile: profile.name, sessionId });
+        return { name: profile.name, dir: createSessionProfile(sessionId, profile.dir) };
+    }
+
+    /**
+     * Release a session's lease and delete its profile copy
+     */
+    release(sessionId: string, lease: ProfileLease): void {
+        if (lease.dir) removeSessionProfile(lease.dir);
+        if (!lease.name || this.leases.get(lease.name) !== sessionId) return;
+
+        this.leases.delete(lease.name);
+        log.info('Released profile', { profile: lease.name, sessionId });
+        this.emit('released', lease.name);
+    }
+
+    /**
+     * Register a profile, or return the existing one of that name
+     */
+    add(name: string): BotProfile {
+        this.reload();
+
+        const existing = this.profiles.get(name);
+        if (existing) {
+            existing.retired = false;
+            this.persist();
+            return existing;
+        }
+
+        const profile: BotProfile = {
+            name,
+            dir: path.join(config.profilesDir, name),
+            email: null,
+            health: 'unknown',
+            healthMessage: null,
+            retired: false,
+            cooldownUntil: null,
+            lastUsedAt: null,
+            lastCheckedAt: null,
+            createdAt: new Date().toISOString(),
+        };
+        this.profiles.set(name, profile);
+        this.persist();
+        return profile;
+    }
+
+    /**
+     * Stop handing out a profile; `deleteFiles` also removes its directory
+     */
+    retire(name: string, deleteFiles = false): BotProfile | null {
+        this.reload();
+
+        const profile = this.profiles.get(name);
+        if (!profile) return null;
+
+        profile.retired = true;
+        if (deleteFiles) {
+            removeSessionProfile(profile.dir);
+            this.profiles.delete(name);
+        }
+        this.persist();
+        return profile;
+    }
+
+    /**
+     * Record the outcome of a health check or a failed join
+     * Rate-limited profiles sit out PROFILE_COOLDOWN_MINUTES
+     */
+    reportHealth(name: string, health: ProfileHealth, message: string | null = null): void {
+        this.reload();
+
+        const profile = this.profiles.get(name);
+        if (!profile) return;
+
+        const changed = profile.health !== health;
+        profile.health = health;
+        profile.healthMessage = message;
+        profile.lastCheckedAt = new Date().toISOString();
+        profile.cooldownUntil = health === 'rate_limited'
+            ? new Date(Date.now() + config.profileCooldownMinutes * 60 * 1000).toISOString()
+            : null;
+        this.persist();
+
+        if (changed) {
+            const fields = { profile: name, health, detail: message };
+            if (health === 'healthy') {
+                log.info('Profile health changed', fields);
+            } else {
+                log.warn('Profile health changed', fields);
+            }
+            this.emit('health', { name, health, message });
+        }
+    }
+
+    /**
+     * Open a throwaway copy of a profile and check it is still signed in
+     */
+    async verify(name: string): Promise<BotProfile> {
+        const profile = this.get(name);
+        if (!profile) {
+            throw new Error(`Unknown profile '${name}'`);
+        }
+
+        const checkDir = createSessionProfile(`verify_${name}_${Date.now()}`, profile.dir);
+        try {
+            const context = await chromium.launchPersistentContext(checkDir, {
+                headless: config.headless,
+                args: ['--no-sandbox', '--disable-blink-features=AutomationControlled'],
+            });
+            try {
+                const page = context.pages()[0] || await context.newPage();
+                const { health, message, email } = await inspectGoogleSession(page);
+                this.reportHealth(name, health, message);
+                if (email) this.setEmail(name, email);
+            } finally {
+                await context.close().catch(() => { });
+            }
+        } catch (error: any) {
+            this.reportHealth(name, 'unknown', `Verification failed: ${error.message}`);
+        } finally {
+            removeSessionProfile(checkDir);
+        }
+
+        return this.get(name)!;
+    }
+
+    /**
+     * Verify every non-retired profile, one browser at a time
+     * Concurrent callers share the run in progress
+     */
+    verifyAll(): Promise<BotProfile[]> {
+        if (!this.verifyAllPromise) {
+            const names = this.list().filter((profile) => !profile.retired).map((profile) => profile.name);
+            this.verifyAllPromise = (async () => {
+                const results: BotProfile[] = [];
+                for (const name of names) {
+                    results.push(await this.verify(name));
+                }
+                return results;
+            })().finally(() => {
+                this.verifyAllPromise = null;
+            });
+        }
+        return this.verifyAllPromise;
+    }
+
+    private setEmail(name: string, email: string): void {
+        const profile = this.profiles.get(name);
+        if (!profile || profile.email === email) return;
+        profile.email = email;
+        this.persist();
+    }
+
+    /**
+     * Profiles that may be leased once free
+     */
+    private usable(): BotProfile[] {
+        const now = new Date().toISOString();
+        return Array.from(this.profiles.values()).filter((profile) =>
+            !profile.retired &&
+            (profile.health === 'healthy' || profile.health === 'unknown' ||
+                (profile.health === 'rate_limited' && !!profile.cooldownUntil && profile.cooldownUntil <= now))
+        );
+    }
+
+    private available(): BotProfile[] {
+        return this.usable().filter((profile) => !this.leases.has(profile.name));
+    }
+
+    /**
+     * Register the single `.chrome-profile` from before the pool existed
+     */
+    private adoptLegacyProfile(): void {
+        if (this.profiles.size > 0 || !fs.existsSync(config.chromeProfileDir)) return;
+
+        log.info('Registering legacy Chrome profile', { dir: config.chromeProfileDir, profile: DEFAULT_PROFILE });
+        this.add(DEFAULT_PROFILE).dir = config.chromeProfileDir;
+        this.persist();
+    }
+
+    /**
+     * Pick up changes made by the generate-auth script while running
+     */
+    private reload(): void {
+        try {
+            if (fs.statSync(this.filePath).mtimeMs !== this.loadedMtimeMs) {
+                this.load();
+            }
+        } catch {
+            // No registry yet
+        }
+    }
+
+    /**
+     * Load profiles from disk
+     */
+    private load(): void {
+        if (!fs.existsSync(this.filePath)) return;
+
+        try {
+            const profiles: BotProfile[] = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            this.profiles = new Map(profiles.map((profile) => [profile.name, profile]));
+            this.loadedMtimeMs = fs.statSync(this.filePath).mtimeMs;
+        } catch (error: any) {
+            log.error('Failed to load profiles', { error: error.message });
+        }
+    }
+
+    /**
+     * Write profiles to disk atomically
+     */
+    private persist(): void {
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            const tmpPath = `${this.filePath}.tmp`;
+            const profiles = Array.from(this.profiles.values()).map(({ leasedBy, ...profile }) => profile);
+            fs.writeFileSync(tmpPath, JSON.stringify(profiles, null, 2));
+            fs.renameSync(tmpPath, this.filePath);
+            this.loadedMtimeMs = fs.statSync(this.filePath).mtimeMs;
+        } catch (error: any) {
+            log.error('Failed to persist profiles', { error: error.message });
+        }
+    }
+}
+
+// Singleton instance
+let instance: ProfilePool | null = null;
+
+export function getProfilePool(): ProfilePool {
+    if (!instance) {
+        instance = new ProfilePool();
+    }
+    return instance;
+}
+
+export default ProfilePool;
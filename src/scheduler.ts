@@ -0,0 +1,255 @@
+/**
+ * Bot Scheduler
+ *
+ * Queues bots to join meetings at a future time. Schedules are persisted
+ * to disk so bookings made hours in advance survive service restarts.
+ */
+
+import { EventEmitter } from 'events';
+import path from 'path';
+import fs from 'fs';
+import config from './config';
+import { getSessionManager } from './sessionManager';
+import { OPERATOR_TENANT } from './auth';
+import { createLogger } from './logger';
+import { BotOptions, ScheduledJoin, ScheduleStatus } from './types';
+
+const log = createLogger('Scheduler');
+
+/**
+ * Whether a schedule may count a session already in its meeting as its
+ * own: the same tenant, or an operator (as the join route allows)
+ */
+function canUseSession(job: ScheduledJoin, tenantId: string | null | undefined): boolean {
+    return job.tenantId === OPERATOR_TENANT || (job.tenantId ?? null) === (tenantId ?? null);
+}
+
+export class BotScheduler extends EventEmitter {
+    private schedules: Map<string, ScheduledJoin> = new Map();
+    private tickTimer: NodeJS.Timeout | null = null;
+    private readonly filePath = path.join(config.dataDir, 'schedules.json');
+
+    constructor() {
+        super();
+        this.load();
+    }
+
+    /**
+     * Start the timer loop that triggers due schedules
+     */
+    start(): void {
+        if (this.tickTimer) return;
+
+        this.tickTimer = setInterval(() => this.tick(), config.scheduleTickMs);
+        this.tick();
+
+        log.info('Started', { pending: this.list({ status: 'scheduled' }).length });
+    }
+
+    /**
+     * Stop the timer loop
+     */
+    stop(): void {
+        if (this.tickTimer) {
+            clearInterval(this.tickTimer);
+            this.tickTimer = null;
+        }
+    }
+
+    /**
+     * Schedule a bot to join a meeting
+     */
+    schedule(
+        meetingId: string,
+        meetingUrl: string,
+        startAt: Date,
+        options: Partial<BotOptions> = {},
+        tenantId: string | null = null
+    ): ScheduledJoin {
+        const now = new Date().toISOString();
+        const job: ScheduledJoin = {
+            scheduleId: `sched_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+            tenantId,
+            meetingId,
+            meetingUrl,
+            startAt: startAt.toISOString(),
+            options,
+            status: 'scheduled',
+            sessionId: null,
+            error: null,
+            createdAt: now,
+            updatedAt: now,
+        };
+
+        this.schedules.set(job.scheduleId, job);
+        this.persist();
+
+        log.info('Scheduled meeting', { meetingId, scheduleId: job.scheduleId, startAt: job.startAt });
+        this.emit('scheduled', job);
+        return job;
+    }
+
+    /**
+     * List schedules, soonest first
+     */
+    list(filter: { status?: ScheduleStatus; meetingId?: string } = {}): ScheduledJoin[] {
+        return Array.from(this.schedules.values())
+            .filter((job) => !filter.status || job.status === filter.status)
+            .filter((job) => !filter.meetingId || job.meetingId === filter.meetingId)
+            .sort((a, b) => Date.parse(a.startAt) - Date.parse(b.startAt));
+    }
+
+    /**
+     * Get a schedule by ID
+     */
+    get(scheduleId: string): ScheduledJoin | null {
+        return this.schedules.get(scheduleId) || null;
+    }
+
+    /**
+     * Find the pending schedule for a meeting, if any
+     */
+    findPending(meetingId: string): ScheduledJoin | null {
+        return this.list({ status: 'scheduled', meetingId })[0] || null;
+    }
+
+    /**
+     * Cancel a pending schedule
+     */
+    cancel(scheduleId: string): ScheduledJoin | null {
+        const job = this.schedules.get(scheduleId);
+        if (!job) return null;
+
+        if (job.status === 'scheduled') {
+            this.update(job, { status: 'cancelled' });
+            log.info('Cancelled schedule', { meetingId: job.meetingId, scheduleId });
+            this.emit('cancelled', job);
+        }
+
+        return job;
+    }
+
+    /**
+     * Move a pending schedule to a new start time, optionally updating its options
+     */
+    reschedule(scheduleId: string, startAt: Date, options?: Partial<BotOptions>): ScheduledJoin | null {
+        const job = this.schedules.get(scheduleId);
+        if (!job) return null;
+
+        if (job.status !== 'scheduled') {
+            throw new Error(`Cannot reschedule a schedule with status '${job.status}'`);
+        }
+
+        this.update(job, {
+            startAt: startAt.toISOString(),
+            options: options ? { ...job.options, ...options } : job.options,
+        });
+
+        log.info('Rescheduled meeting', { meetingId: job.meetingId, scheduleId, startAt: job.startAt });
+        this.emit('rescheduled', job);
+        return job;
+    }
+
+    /**
+     * Trigger schedules whose start time (minus lead time) has arrived
+     */
+    private tick(): void {
+        const now = Date.now();
+        const graceMs = config.scheduleMissedGraceMinutes * 60 * 1000;
+
+        for (const job of this.list({ status: 'scheduled' })) {
+            const startAt = Date.parse(job.startAt);
+
+            if (now > startAt + graceMs) {
+                this.update(job, { status: 'missed', error: 'Start time passed while service was unavailable' });
+                log.warn('Missed schedule', { meetingId: job.meetingId, scheduleId: job.scheduleId });
+                this.emit('missed', job);
+                continue;
+            }
+
+            if (now >= startAt - config.scheduleLeadTimeMs) {
+                this.trigger(job);
+            }
+        }
+    }
+
+    /**
+     * Start the bot session for a schedule
+     */
+    private trigger(job: ScheduledJoin): void {
+        this.update(job, { status: 'starting' });
+        log.info('Starting scheduled bot', { meetingId: job.meetingId, scheduleId: job.scheduleId });
+
+        // Joining can take minutes (admission), so don't block the tick loop
+        getSessionManager()
+            .startSession(job.meetingId, job.meetingUrl, job.options, job.tenantId ?? null)
+            .then((session) => {
+                // startSession hands back whatever bot is already in the meeting
+                if (!canUseSession(job, session.tenantId)) {
+                    throw new Error('meetingId is already in use by another tenant');
+                }
+                this.update(job, { status: 'started', sessionId: session.sessionId });
+                this.emit('started', job);
+            })
+            .catch((error: any) => {
+                this.update(job, { status: 'failed', error: error.message });
+                log.error('Scheduled join failed', { meetingId: job.meetingId, scheduleId: job.scheduleId, error: error.message });
+                this.emit('failed', job);
+            });
+    }
+
+    /**
+     * Apply changes to a schedule and persist
+     */
+    private update(job: ScheduledJoin, changes: Partial<ScheduledJoin>): void {
+        Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+        this.persist();
+    }
+
+    /**
+     * Load schedules from disk
+     */
+    private load(): void {
+        if (!fs.existsSync(this.filePath)) return;
+
+        try {
+            const jobs: ScheduledJoin[] = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            for (const job of jobs) {
+                // A restart mid-join leaves no bot behind, so try again
+                if (job.status === 'starting') {
+                    job.status = 'scheduled';
+                }
+                this.schedules.set(job.scheduleId, job);
+            }
+            log.info('Loaded schedules', { count: jobs.length, file: this.filePath });
+        } catch (error: any) {
+            log.error('Failed to load schedules', { error: error.message });
+        }
+    }
+
+    /**
+     * Write schedules to disk atomically
+     */
+    private persist(): void {
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            const tmpPath = `${this.filePath}.tmp`;
+            fs.writeFileSync(tmpPath, JSON.stringify(Array.from(this.schedules.values()), null, 2));
+            fs.renameSync(tmpPath, this.filePath);
+        } catch (error: any) {
+            log.error('Failed to persist schedules', { error: error.message });
+        }
+    }
+}
+
+// Singleton instance
+let instance: BotScheduler | null = null;
+
+export function getScheduler(): BotScheduler {
+    if (!instance) {
+        instance = new BotScheduler();
+    }
+    return instance;
+}
+
+export default BotScheduler;
@@ -6,19 +6,74 @@
 
 import { EventEmitter } from 'events';
 import { io, Socket } from 'socket.io-client';
-import axios from 'axios';
 import config from './config';
 import { MeetBot } from './meetBot';
-import { BotSession, BotStatus, Segment } from './types';
+import { getSessionStore, isOrphaned, pruneSessions, StoredSession } from './sessionStore';
+import { getOutbox } from './outbox';
+import { getLiveFeed } from './liveFeed';
+import { AdmissionError, AdmissionQueue, checkHeadroom } from './admission';
+import { clearSessionProfiles } from './browserProfiles';
+import { pruneDiagnostics } from './diagnostics';
+import { pruneRecordings } from './audioRecorder';
+import { getProfilePool } from './profilePool';
+import { getWorkerRegistry, MeetingOwnedError } from './workerRegistry';
+import { summarizeParticipants } from './participants';
+import { admissionRejections, backendSocketConnected, setSessionSource } from './metrics';
+import { createLogger } from './logger';
+import { BotOptions, BotSession, BotStatus, ChatMessage, MeetingClaim, OutboxJob, ParticipantEvent, Segment } from './types';
+
+// How often to re-check headroom while queued joins are held back
+const ADMISSION_RETRY_MS = 10000;
+
+// Finalize reason of sessions interrupted by a restart
+const RECOVERY_REASON = 'service_restart';
+
+const log = createLogger('SessionManager');
 
 export class BotSessionManager extends EventEmitter {
     private sessions: Map<string, MeetBot> = new Map();
+    private queue = new AdmissionQueue<MeetBot>();
+    private admissionRetryTimer: NodeJS.Timeout | null = null;
+    private admitting = 0; // Admitted, holding a profile, still claiming the meeting
     private socket: Socket | null = null;
-    private finalizedMeetings: Set<string> = new Set(); // Prevent duplicate finalization
+    private finalizedSessions: Set<string> = new Set(); // Prevent duplicate finalization
 
     constructor() {
         super();
+        clearSessionProfiles();
         this.connectToBackend();
+
+        setSessionSource(() => this.getAllSessions());
+
+        const registry = getWorkerRegistry();
+        registry.setLoadProvider(() => ({ activeSessions: this.sessions.size, capacity: config.maxConcurrentBots }));
+        registry.on('orphaned', (claim: MeetingClaim) => this.adoptMeeting(claim));
+
+        // The backend only counts as finalized once it has the transcript
+        getOutbox().on('delivered', (job: OutboxJob) => {
+            if (job.kind === 'finalize') {
+                getSessionStore().markFinalized(job.payload.sessionId);
+                log.info('Finalized meeting', { meetingId: job.meetingId, sessionId: job.payload.sessionId });
+                if (job.payload.reason === RECOVERY_REASON) {
+                    this.emitToBackend('bot_status_change', {
+                        meetingId: job.meetingId,
+                        status: 'completed',
+                        message: 'Meeting finalized after service restart',
+                    });
+                }
+            }
+        });
+
+        // Orphans report their outcome only once delivery settles
+        getOutbox().on('dead_letter', (job: OutboxJob) => {
+            if (job.kind === 'finalize' && job.payload.reason === RECOVERY_REASON) {
+                this.emitToBackend('bot_status_change', {
+                    meetingId: job.meetingId,
+                    status: 'failed',
+                    message: 'Could not deliver the transcript after service restart',
+                });
+            }
+        });
     }
 
     /**
@@ -26,7 +81,7 @@ export class BotSessionManager extends EventEmitter {
      */
     private connectToBackend(): void {
         try {
-            console.log(`[SessionManager] Connecting to backend at ${config.backendWsUrl}...`);
+            log.info('Connecting to backend', { url: config.backendWsUrl });
             this.socket = io(config.backendWsUrl, {
                 transports: ['websocket', 'polling'], // Allow polling fallback
                 reconnection: true,
@@ -35,43 +90,130 @@ export class BotSessionManager extends EventEmitter {
             });
 
             this.socket.on('connect', () => {
-                console.log('[SessionManager] ✅ Connected to backend WebSocket');
+                log.info('Connected to backend WebSocket');
+                backendSocketConnected.set(1);
                 // Register as bot service
                 this.socket?.emit('bot_service_connected', { service: 'meet-bot' });
             });
 
             this.socket.on('disconnect', (reason) => {
-                console.log(`[SessionManager] ❌ Disconnected from backend: ${reason}`);
+                log.warn('Disconnected from backend', { reason });
+                backendSocketConnected.set(0);
             });
 
             this.socket.on('connect_error', (error) => {
-                console.error('[SessionManager] 🔴 Connection error:', error.message);
+                log.error('Backend connection error', { error: error.message });
             });
 
             this.socket.on('error', (error) => {
-                console.error('[SessionManager] Socket error:', error);
+                log.error('Backend socket error', { error });
             });
         } catch (error) {
-            console.error('[SessionManager] Failed to connect to backend:', error);
+            log.error('Failed to connect to backend', { error });
         }
     }
 
     /**
      * Start a new bot session
+     * Beyond MAX_CONCURRENT_BOTS, or while every bot profile is leased, the
+     * session is returned with status 'queued' and joins once a slot frees
+     * up. Throws AdmissionError when the queue is full, no profile is
+     * healthy, or the host lacks memory/CPU headroom, and MeetingOwnedError
+     * when another worker already runs the meeting.
+     * Pass `restoreFrom` to resume a session interrupted by a restart
      */
-    async startSession(meetingId: string, url: string): Promise<BotSession> {
+    async startSession(
+        meetingId: string,
+        url: string,
+        options: Partial<BotOptions> = {},
+        tenantId: string | null = null,
+        restoreFrom?: BotSession
+    ): Promise<BotSession> {
         // Check if session already exists
         if (this.sessions.has(meetingId)) {
             const existing = this.sessions.get(meetingId)!;
             return existing.getSession();
         }
 
-        // Create new bot
-        const bot = new MeetBot(meetingId, url);
+        // Refuse before creating anything when there is no room
+        const profiles = getProfilePool();
+        if (!profiles.hasUsable()) {
+            admissionRejections.inc({ reason: 'no_profiles' });
+            throw new AdmissionError('No healthy bot profiles; run `npm run generate-auth -- verify`');
+        }
+
+        // Create the bot up front (nothing launches yet) so a profile can
+        // be leased for it now; checking availability and leasing later
+        // in join() let concurrent requests race for the last profile
+        const bot = new MeetBot(meetingId, url, options, tenantId);
+        const lease = this.runningCount() + this.admitting < config.maxConcurrentBots
+            ? profiles.lease(bot.getSession().sessionId)
+            : null;
+        const admitNow = lease !== null;
+        const releaseLease = () => {
+            if (lease) profiles.release(bot.getSession().sessionId, lease);
+        };
+
+        if (!admitNow && this.queue.size >= config.maxQueuedJoins) {
+            admissionRejections.inc({ reason: 'queue_full' });
+            throw new AdmissionError(`Join queue is full (${config.maxQueuedJoins} waiting)`, 429);
+        }
+        if (admitNow) {
+            const shortage = checkHeadroom();
+            if (shortage) {
+                releaseLease();
+                admissionRejections.inc({ reason: 'headroom' });
+                throw new AdmissionError(`Cannot start another bot: ${shortage}`);
+            }
+        }
+
+        // Claim the meeting cluster-wide so no other worker joins it too
+        if (admitNow) this.admitting++;
+        try {
+            const claim = await getWorkerRegistry().claim(meetingId, { url, options, tenantId });
+            if (claim.workerId !== getWorkerRegistry().workerId) {
+                throw new MeetingOwnedError(meetingId, claim.workerId);
+            }
+        } catch (error) {
+            releaseLease();
+            throw error;
+        } finally {
+            if (admitNow) this.admitting--;
+        }
+        if (this.sessions.has(meetingId)) {
+            // A concurrent request started it while we were claiming
+            releaseLease();
+            return this.sessions.get(meetingId)!.getSession();
+        }
+
+        if (lease) bot.assignProfile(lease);
         this.sessions.set(meetingId, bot);
 
+        // Journal the session so a restart does not lose it
+        const store = getSessionStore();
+        const sessionId = bot.getSession().sessionId;
+        const sessionLog = log.child({ meetingId, sessionId });
+        store.create(bot.getSession());
+        if (restoreFrom) {
+            bot.restore(restoreFrom);
+            restoreFrom.segments.forEach((segment) => store.appendSegment(sessionId, segment));
+            (restoreFrom.commands || []).forEach((command) => store.appendCommand(sessionId, command));
+            (restoreFrom.chat || []).forEach((message) => store.appendChat(sessionId, message));
+            (restoreFrom.participants || []).forEach((event) => store.appendParticipant(sessionId, event));
+            store.recordPauses(sessionId, bot.getSession().pauses);
+            store.markSuperseded(restoreFrom.sessionId, sessionId);
+        }
+
+        const liveFeed = getLiveFeed();
+        liveFeed.open(meetingId);
+
         // Set up event handlers
         bot.on('status', (data) => {
+            store.appendStatus(data.session, data.message);
+            liveFeed.publish(meetingId, 'status', { sessionId, status: data.status, message: data.message });
+            if (data.status === 'completed' || data.status === 'failed' || data.status === 'auth_required') {
+                liveFeed.end(meetingId, data.status);
+            }
             this.emitToBackend('bot_status_change', {
                 meetingId,
                 status: data.status,
@@ -80,23 +222,75 @@ export class BotSessionManager extends EventEmitter {
         });
 
         bot.on('caption', (data) => {
-            console.log(`[SessionManager] 📝 Caption from meeting ${meetingId}: ${data.segment?.text?.substring(0, 40)}...`);
+            store.appendSegment(sessionId, data.segment);
+            liveFeed.publish(meetingId, data.segment.final ? 'segment' : 'interim', { sessionId, segment: data.segment });
 
             // Emit via WebSocket for real-time only
             // (batch segments are sent via HTTP on flush to avoid duplicates)
-            this.emitToBackend('caption_added', {
-                meetingId: data.meetingId,
-                segment: data.segment,
+            if (data.segment.final) {
+                sessionLog.debug('Caption', { seq: data.segment.seq, text: data.segment.text });
+                this.emitToBackend('caption_added', {
+                    meetingId: data.meetingId,
+                    segment: data.segment,
+                });
+            } else {
+                this.emitToBackend('caption_interim', {
+                    meetingId: data.meetingId,
+                    segment: data.segment,
+                });
+            }
+        });
+
+        bot.on('voice_command', (data) => {
+            store.appendCommand(sessionId, data.command);
+            liveFeed.publish(meetingId, 'command', { sessionId, command: data.command });
+            this.emitToBackend('bot_voice_command', {
+                meetingId,
+                sessionId,
+                command: data.command,
+            });
+        });
+
+        bot.on('chat', (data) => {
+            store.appendChat(sessionId, data.message);
+            liveFeed.publish(meetingId, 'chat', { sessionId, message: data.message });
+            this.emitToBackend('chat_message', {
+                meetingId,
+                sessionId,
+                message: data.message,
             });
         });
 
+        bot.on('participants', (data) => {
+            data.events.forEach((event: ParticipantEvent) => store.appendParticipant(sessionId, event));
+            liveFeed.publish(meetingId, 'participants', { sessionId, events: data.events, count: data.count });
+            this.emitToBackend('participants_changed', {
+                meetingId,
+                sessionId,
+                events: data.events,
+                count: data.count,
+            });
+        });
+
+        bot.on('chat_command', (data) => {
+            this.emitToBackend('bot_chat_command', {
+                meetingId,
+                sessionId,
+                command: data.command,
+            });
+        });
+
+        bot.on('pauses', (data) => {
+            store.recordPauses(sessionId, data.pauses);
+        });
+
         bot.on('flush', (data) => {
-            this.sendSegmentsToBackend(meetingId, data.segments);
+            this.sendSegmentsToBackend(meetingId, sessionId, data.flushIndex, data.segments);
         });
 
         // Handle natural meeting completion (when meeting ends, not manual stop)
         bot.on('completed', async (data) => {
-            console.log(`[SessionManager] Meeting ${meetingId} completed naturally:`, data.reason);
+            sessionLog.info('Meeting completed', { reason: data.reason });
 
             // Emit to backend
             this.emitToBackend('bot_meeting_ended', {
@@ -110,7 +304,7 @@ export class BotSessionManager extends EventEmitter {
                 ...bot.getSession(),
                 segments: data.segments,
                 completedAt: new Date(),
-            });
+            }, data.reason);
 
             // Emit final status update
             this.emitToBackend('bot_status_change', {
@@ -120,30 +314,146 @@ export class BotSessionManager extends EventEmitter {
             });
 
             // Clean up session
-            this.sessions.delete(meetingId);
-            console.log(`[SessionManager] Session ${meetingId} cleaned up after natural completion`);
+            this.removeSession(meetingId);
+            sessionLog.info('Session cleaned up after completion');
         });
 
-        // Start joining
+        if (!admitNow) {
+            const position = this.queue.enqueue(meetingId, bot, bot.getSession().options.priority);
+            sessionLog.info('Meeting queued', { position });
+            bot.markQueued(position);
+            return bot.getSession();
+        }
+
+        await this.launch(meetingId, bot);
+        return bot.getSession();
+    }
+
+    /**
+     * Join the meeting, releasing the slot if joining fails
+     */
+    private async launch(meetingId: string, bot: MeetBot): Promise<void> {
         try {
             await bot.join();
-            return bot.getSession();
         } catch (error: any) {
-            this.sessions.delete(meetingId);
+            this.removeSession(meetingId);
             throw error;
         }
     }
 
+    /**
+     * Forget a finished session, release its claim and free its slot
+     */
+    private removeSession(meetingId: string): void {
+        this.sessions.delete(meetingId);
+        getWorkerRegistry().release(meetingId);
+        this.admitNext();
+    }
+
+    /**
+     * Rejoin a meeting whose worker died, if we have a free slot
+     * Every surviving worker is offered the meeting; adopt() lets only one win
+     */
+    private async adoptMeeting(claim: MeetingClaim): Promise<void> {
+        if (this.sessions.has(claim.meetingId) || this.runningCount() >= config.maxConcurrentBots) return;
+
+        // Called from an event listener, so nothing may escape as a rejection
+        try {
+            if (!await getWorkerRegistry().adopt(claim)) return;
+        } catch (error: any) {
+            log.error('Failed to adopt meeting', { meetingId: claim.meetingId, workerId: claim.workerId, error: error.message });
+            return;
+        }
+
+        log.info('Taking over meeting from dead worker', { meetingId: claim.meetingId, workerId: claim.workerId });
+        try {
+            await this.startSession(claim.meetingId, claim.url, claim.options, claim.tenantId);
+        } catch (error: any) {
+            log.error('Failed to take over meeting', { meetingId: claim.meetingId, error: error.message });
+            getWorkerRegistry().release(claim.meetingId);
+        }
+    }
+
+    /**
+     * Bots holding a browser slot (joining or in a meeting)
+     */
+    private runningCount(): number {
+        return this.sessions.size - this.queue.size;
+    }
+
+    /**
+     * Launch queued bots while slots and headroom allow
+     */
+    private admitNext(): void {
+        let admitted = false;
+
+        while (this.queue.size > 0 && this.runningCount() + this.admitting < config.maxConcurrentBots) {
+            const next = this.queue.items()[0];
+            let shortage = checkHeadroom();
+            const lease = shortage ? null : getProfilePool().lease(next.getSession().sessionId);
+            if (!shortage && !lease) shortage = 'no bot profile is free';
+            if (shortage) {
+                log.warn('Holding queued joins', { queued: this.queue.size, reason: shortage });
+                if (!this.admissionRetryTimer) {
+                    this.admissionRetryTimer = setTimeout(() => {
+                        this.admissionRetryTimer = null;
+                        this.admitNext();
+                    }, ADMISSION_RETRY_MS);
+                }
+                break;
+            }
+
+            const bot = this.queue.dequeue()!;
+            bot.assignProfile(lease!);
+            const { meetingId, sessionId } = bot.getSession();
+            admitted = true;
+            log.info('Admitting queued meeting', { meetingId, sessionId });
+            this.launch(meetingId, bot).catch((error) => {
+                log.error('Queued meeting failed to join', { meetingId, sessionId, error: error.message });
+            });
+        }
+
+        if (admitted) {
+            this.queue.items().forEach((bot, index) => bot.markQueued(index + 1));
+        }
+    }
+
+    /**
+     * 1-based position of a meeting in the admission queue, or 0
+     */
+    getQueuePosition(meetingId: string): number {
+        return this.queue.position(meetingId);
+    }
+
     /**
      * Stop a bot session
+     * A goodbye message, when given, is posted in the meeting chat first;
+     * failing to post it does not keep the bot in the meeting
      */
-    async stopSession(meetingId: string, reason = 'user_requested'): Promise<BotSession | null> {
+    async stopSession(meetingId: string, reason = 'user_requested', message?: string): Promise<BotSession | null> {
         const bot = this.sessions.get(meetingId);
         if (!bot) {
-            console.log(`[SessionManager] No session found for meeting ${meetingId}`);
+            log.info('No session found to stop', { meetingId });
             return null;
         }
 
+        // Never joined: nothing to leave or finalize
+        if (this.queue.remove(meetingId)) {
+            log.info('Removed meeting from the admission queue', { meetingId });
+            this.queue.items().forEach((queued, index) => queued.markQueued(index + 1));
+            const session = bot.cancelQueued(reason);
+            this.removeSession(meetingId);
+            return session;
+        }
+
+        if (message) {
+            try {
+                await bot.postChat(message);
+            } catch (error: any) {
+                log.warn('Could not post goodbye message', { meetingId, error: error.message });
+            }
+        }
+
         // leave() triggers handleMeetingEnd() which emits 'completed' event
         // The 'completed' event handler (line 95+) will handle finalization
         // So we don't call finalizeMeeting() here to avoid double finalization
@@ -160,6 +470,35 @@ export class BotSessionManager extends EventEmitter {
         return session;
     }
 
+    /**
+     * Pause recording of an active session without leaving the meeting
+     * Returns null when there is no such session; throws
+     * SessionStateError when it is not recording
+     */
+    async pauseSession(meetingId: string): Promise<BotSession | null> {
+        const bot = this.sessions.get(meetingId);
+        return bot ? bot.pause('api') : null;
+    }
+
+    /**
+     * Resume recording of a paused session
+     */
+    async resumeSession(meetingId: string): Promise<BotSession | null> {
+        const bot = this.sessions.get(meetingId);
+        return bot ? bot.resume('api') : null;
+    }
+
+    /**
+     * Post a message in the meeting chat of an active session
+     * Returns undefined when there is no such session and null when the
+     * extension could not send it; throws SessionStateError when the bot
+     * is not in the call
+     */
+    async postChat(meetingId: string, text: string): Promise<ChatMessage | null | undefined> {
+        const bot = this.sessions.get(meetingId);
+        return bot ? bot.postChat(text) : undefined;
+    }
+
     /**
      * Get session status
      */
@@ -168,6 +507,18 @@ export class BotSessionManager extends EventEmitter {
         return bot ? bot.getSession() : null;
     }
 
+    /**
+     * Get the active session, or the most recent stored one once the
+     * meeting is over
+     */
+    getLatestSession(meetingId: string): BotSession | null {
+        const active = this.getSession(meetingId);
+        if (active) return active;
+
+        // A resumed session carries the segments of the one it superseded
+        return getSessionStore().latestForMeeting(meetingId);
+    }
+
     /**
      * Get all active sessions
      */
@@ -182,69 +533,167 @@ export class BotSessionManager extends EventEmitter {
         if (this.socket?.connected) {
             this.socket.emit(event, data);
         } else {
-            console.warn(`[SessionManager] ⚠️ Socket not connected, cannot emit ${event}`);
+            log.warn('Socket not connected, cannot emit', { event, meetingId: data?.meetingId });
         }
     }
 
     /**
-     * Send segments to backend via HTTP
+     * Queue a batch of new/revised segments for the backend via HTTP
+     * The backend upserts by (seq, revision)
      */
-    private async sendSegmentsToBackend(meetingId: string, segments: Segment[]): Promise<void> {
-        try {
-            await axios.post(`${config.backendUrl}/api/bot/${meetingId}/segments`, {
-                segments,
-            });
-        } catch (error: any) {
-            console.error('[SessionManager] Failed to send segments:', error.message);
-        }
-    }
+    private sendSegmentsToBackend(meetingId: string, sessionId: string, flushIndex: number, segments: Segment[]): void {
+        if (segments.length === 0) return;
 
-    /**
-     * Send single caption to backend via HTTP for real-time DB update
-     */
-    private async sendCaptionToBackend(meetingId: string, segment: Segment): Promise<void> {
-        try {
-            // Send as single-segment array to reuse existing endpoint
-            await axios.post(`${config.backendUrl}/api/bot/${meetingId}/segments`, {
-                segments: [segment],
-            });
-        } catch (error: any) {
-            // Don't log every failure to avoid spam - just silently retry via flush
-        }
+        getOutbox().enqueue(
+            'segments',
+            meetingId,
+            `${meetingId}:${sessionId}:segments:${flushIndex}`,
+            `${config.backendUrl}/api/bot/${meetingId}/segments`,
+            { sessionId, flushIndex, segments }
+        );
     }
 
     /**
-     * Finalize meeting on backend
+     * Queue meeting finalization on backend
+     * Delivery (and retries) happen in the outbox; the session is marked
+     * finalized in the store once the backend accepts it. `reason` tells
+     * why the bot left, e.g. a leave policy code (see src/leavePolicy.ts)
      */
-    private async finalizeMeeting(meetingId: string, session: BotSession): Promise<void> {
-        // Prevent duplicate finalization
-        if (this.finalizedMeetings.has(meetingId)) {
-            console.log(`[SessionManager] Meeting ${meetingId} already finalized, skipping`);
+    private async finalizeMeeting(meetingId: string, session: BotSession, reason: string): Promise<void> {
+        // Prevent duplicate finalization; per session, as a meeting can
+        // be joined again (or resumed) after an earlier session finalized
+        if (this.finalizedSessions.has(session.sessionId)) {
+            log.debug('Session already finalized, skipping', { meetingId, sessionId: session.sessionId });
             return;
         }
-        this.finalizedMeetings.add(meetingId);
+        this.finalizedSessions.add(session.sessionId);
 
-        try {
-            await axios.post(`${config.backendUrl}/api/bot/${meetingId}/finalize`, {
+        getOutbox().enqueue(
+            'finalize',
+            meetingId,
+            `${meetingId}:${session.sessionId}:finalize`,
+            `${config.backendUrl}/api/bot/${meetingId}/finalize`,
+            {
                 sessionId: session.sessionId,
+                tenantId: session.tenantId,
+                reason,
                 segments: session.segments,
+                commands: session.commands || [],
+                pauses: session.pauses || [],
+                chat: session.chat || [],
+                participants: summarizeParticipants(session.participants || [], session.completedAt || new Date()),
+                participantTimeline: session.participants || [],
                 duration: session.startedAt && session.completedAt
                     ? (session.completedAt.getTime() - session.startedAt.getTime()) / 1000
                     : 0,
+            }
+        );
+        log.info('Queued finalization', { meetingId, sessionId: session.sessionId, segmentCount: session.segments.length });
+    }
+
+    /**
+     * Recover sessions interrupted by a crash or restart
+     * Orphans are finalized with the backend using their journaled
+     * segments, or rejoined when SESSION_RECOVERY=resume. Rejoins run in
+     * the background (each can take minutes), so this returns once every
+     * orphan is finalized or on its way back into its meeting
+     */
+    async recoverSessions(): Promise<void> {
+        const store = getSessionStore();
+
+        const pruned = pruneSessions(store, config.sessionRetentionHours);
+        if (pruned > 0) {
+            log.info('Pruned expired session journals', { count: pruned });
+        }
+
+        const prunedDiagnostics = pruneDiagnostics(config.sessionRetentionHours);
+        if (prunedDiagnostics > 0) {
+            log.info('Pruned expired diagnostics bundles', { count: prunedDiagnostics });
+        }
+
+        const prunedRecordings = pruneRecordings(config.audioRetentionHours);
+        if (prunedRecordings > 0) {
+            log.info('Pruned expired audio recordings', { count: prunedRecordings });
+        }
+
+        const orphans = store.list().filter((s) => isOrphaned(s) && !this.sessions.has(s.meetingId));
+        if (orphans.length === 0) return;
+
+        log.info('Recovering orphaned sessions', { count: orphans.length });
+        const resumedMeetings = new Set<string>();
+
+        // Newest first, so only the latest session of a meeting is resumed
+        for (const orphan of orphans) {
+            if (config.sessionRecovery === 'resume' && !resumedMeetings.has(orphan.meetingId) && this.canResume(orphan)) {
+                resumedMeetings.add(orphan.meetingId);
+                log.info('Resuming meeting', { meetingId: orphan.meetingId, previousSessionId: orphan.sessionId });
+                this.startSession(orphan.meetingId, orphan.url, orphan.options, orphan.tenantId ?? null, orphan)
+                    .catch((error: any) => {
+                        log.error('Failed to resume meeting', { meetingId: orphan.meetingId, error: error.message });
+                        // Finalize what we have. Once the resumed session was
+                        // created it holds the segments and the orphan is
+                        // superseded, so it is the one left to finalize
+                        const supersededBy = store.load(orphan.sessionId)?.supersededBy;
+                        const resumed = supersededBy ? store.load(supersededBy) : null;
+                        return this.finalizeOrphan(resumed || orphan);
+                    })
+                    .catch((error: any) => log.error('Failed to finalize orphaned meeting', { meetingId: orphan.meetingId, error }));
+                continue;
+            }
+
+            await this.finalizeOrphan(orphan);
+        }
+    }
+
+    /**
+     * Check whether an orphaned session can still rejoin its meeting
+     */
+    private canResume(orphan: StoredSession): boolean {
+        if (['completed', 'failed', 'auth_required', 'leaving'].includes(orphan.status)) {
+            return false;
+        }
+        if (!orphan.startedAt) return true;
+
+        const endsAt = orphan.startedAt.getTime() + orphan.options.maxDurationMinutes * 60 * 1000;
+        return Date.now() < endsAt;
+    }
+
+    /**
+     * Finalize an orphaned session with whatever was journaled
+     */
+    private async finalizeOrphan(orphan: StoredSession): Promise<void> {
+        const { meetingId } = orphan;
+
+        // Never got into the meeting - report failure, nothing to finalize
+        if (!orphan.startedAt && orphan.segments.length === 0) {
+            getSessionStore().appendStatus({ ...orphan, status: 'failed' }, 'Interrupted by service restart');
+            this.emitToBackend('bot_status_change', {
+                meetingId,
+                status: 'failed',
+                message: 'Interrupted by service restart',
             });
-            console.log(`[SessionManager] Finalized meeting ${meetingId}`);
-        } catch (error: any) {
-            console.error('[SessionManager] Failed to finalize meeting:', error.message);
-            // Remove from set so retry is possible
-            this.finalizedMeetings.delete(meetingId);
+            return;
         }
+
+        log.info('Finalizing orphaned meeting', { meetingId, sessionId: orphan.sessionId, segmentCount: orphan.segments.length });
+
+        // The status goes to the backend once the outbox delivers (or gives up)
+        await this.finalizeMeeting(meetingId, {
+            ...orphan,
+            completedAt: orphan.completedAt || orphan.updatedAt,
+        }, RECOVERY_REASON);
     }
 
     /**
      * Shutdown all sessions
      */
     async shutdown(): Promise<void> {
-        console.log('[SessionManager] Shutting down...');
+        log.info('Shutting down');
+
+        if (this.admissionRetryTimer) {
+            clearTimeout(this.admissionRetryTimer);
+            this.admissionRetryTimer = null;
+        }
 
         const stopPromises = Array.from(this.sessions.keys()).map((meetingId) =>
             this.stopSession(meetingId, 'service_shutdown')
@@ -257,7 +706,7 @@ export class BotSessionManager extends EventEmitter {
             this.socket = null;
         }
 
-        console.log('[SessionManager] Shutdown complete');
+        log.info('Shutdown complete');
     }
 }
 
@@ -0,0 +1,454 @@
+/**
+ * Session Store
+ *
+ * Journals session status transitions, segments, voice commands, chat
+ * and participant joins/leaves as they arrive so a crash or deploy
+ * between flushes does not lose transcripts. The default file store
+ * appends one JSON line per event to a journal per session.
+ */
+
+import path from 'path';
+import fs from 'fs';
+import config from './config';
+import { createLogger } from './logger';
+import { BotSession, BotStatus, ChatMessage, ParticipantEvent, PauseInterval, Segment, VoiceCommandEvent } from './types';
+
+const log = createLogger('SessionStore');
+
+// Read size when looking for the end of a journal's first line
+const FIRST_LINE_CHUNK = 16 * 1024;
+
+/**
+ * Session as rebuilt from its journal
+ */
+export interface StoredSession extends BotSession {
+    finalized: boolean;
+    supersededBy: string | null; // Session that resumed this one after a restart
+    updatedAt: Date;
+}
+
+type JournalEntry =
+    | { type: 'created'; at: string; session: BotSession }
+    | { type: 'status'; at: string; status: BotStatus; message?: string; startedAt: Date | null; completedAt: Date | null }
+    | { type: 'segment'; at: string; segment: Segment }
+    | { type: 'command'; at: string; command: VoiceCommandEvent }
+    | { type: 'pauses'; at: string; pauses: PauseInterval[] }
+    | { type: 'chat'; at: string; message: ChatMessage }
+    | { type: 'participant'; at: string; event: ParticipantEvent }
+    | { type: 'finalized'; at: string }
+    | { type: 'superseded'; at: string; sessionId: string };
+
+export interface SessionStore {
+    /** Record a new session */
+    create(session: BotSession): void;
+    /** Record a status transition */
+    appendStatus(session: BotSession, message?: string): void;
+    /** Record a new or revised segment */
+    appendSegment(sessionId: string, segment: Segment): void;
+    /** Record a voice command heard in the meeting */
+    appendCommand(sessionId: string, command: VoiceCommandEvent): void;
+    /** Record the session's pause intervals after one starts or ends */
+    recordPauses(sessionId: string, pauses: PauseInterval[]): void;
+    /** Record a meeting chat message */
+    appendChat(sessionId: string, message: ChatMessage): void;
+    /** Record a participant joining or leaving */
+    appendParticipant(sessionId: string, event: ParticipantEvent): void;
+    /** Record that the backend accepted the final transcript */
+    markFinalized(sessionId: string): void;
+    /** Record that another session resumed this one */
+    markSuperseded(sessionId: string, bySessionId: string): void;
+    /** Load a session by ID */
+    load(sessionId: string): StoredSession | null;
+    /** Load all stored sessions, newest first */
+    list(): StoredSession[];
+    /** Load the most recently updated session of a meeting */
+    latestForMeeting(meetingId: string): StoredSession | null;
+    /** Delete a session */
+    remove(sessionId: string): void;
+}
+
+/**
+ * Replay journal entries into a session
+ */
+function replay(entries: JournalEntry[]): StoredSession | null {
+    let session: StoredSession | null = null;
+    const seqIndex: Map<number, number> = new Map(); // seq -> index in segments
+
+    for (const entry of entries) {
+        if (entry.type === 'created') {
+            session = {
+                ...entry.session,
+                segments: [],
+                commands: [],
+                pauses: [],
+                chat: [],
+                participants: [],
+                startedAt: entry.session.startedAt ? new Date(entry.session.startedAt) : null,
+                completedAt: entry.session.completedAt ? new Date(entry.session.completedAt) : null,
+                finalized: false,
+                supersededBy: null,
+                updatedAt: new Date(entry.at),
+            };
+            seqIndex.clear();
+            continue;
+        }
+
+        if (!session) continue;
+        session.updatedAt = new Date(entry.at);
+
+        switch (entry.type) {
+            case 'status':
+                session.status = entry.status;
+                if ((entry.status === 'failed' || entry.status === 'auth_required') && entry.message) {
+                    session.error = entry.message;
+                }
+                if (entry.startedAt) session.startedAt = new Date(entry.startedAt);
+                if (entry.completedAt) session.completedAt = new Date(entry.completedAt);
+                break;
+
+            case 'segment': {
+                // Revised segments are journaled again under the same seq
+                const { seq } = entry.segment;
+                const index = typeof seq === 'number' ? seqIndex.get(seq) : undefined;
+                if (index !== undefined) {
+                    session.segments[index] = entry.segment;
+                } else {
+                    if (typeof seq === 'number') seqIndex.set(seq, session.segments.length);
+                    session.segments.push(entry.segment);
+                }
+                break;
+            }
+
+            case 'command':
+                session.commands.push(entry.command);
+                break;
+
+            case 'pauses':
+                session.pauses = entry.pauses;
+                break;
+
+            case 'chat':
+                session.chat.push(entry.message);
+                break;
+
+            case 'participant':
+                session.participants.push(entry.event);
+                break;
+
+            case 'finalized':
+                session.finalized = true;
+                break;
+
+            case 'superseded':
+                session.supersededBy = entry.sessionId;
+                break;
+        }
+    }
+
+    return session;
+}
+
+/**
+ * Check whether a stored session was interrupted before it was finalized
+ */
+export function isOrphaned(session: StoredSession): boolean {
+    if (session.finalized || session.supersededBy) return false;
+    // Stopped while queued: never joined, nothing to finalize
+    if (session.status === 'completed' && !session.startedAt && session.segments.length === 0) return false;
+    // Failed joins are never finalized, so there is nothing left to recover
+    const failed = session.status === 'failed' || session.status === 'auth_required';
+    return !failed || session.segments.length > 0;
+}
+
+/**
+ * Most recently updated of some loaded sessions
+ */
+function newest(sessions: (StoredSession | null)[]): StoredSession | null {
+    return sessions
+        .filter((session): session is StoredSession => session !== null)
+        .reduce<StoredSession | null>((latest, session) =>
+            !latest || session.updatedAt.getTime() >= latest.updatedAt.getTime() ? session : latest, null);
+}
+
+/**
+ * Remove settled sessions last updated before the retention window
+ */
+export function pruneSessions(store: SessionStore, retentionHours: number): number {
+    const cutoff = Date.now() - retentionHours * 60 * 60 * 1000;
+    const expired = store.list().filter((session) =>
+        !isOrphaned(session) && session.updatedAt.getTime() < cutoff
+    );
+
+    expired.forEach((session) => store.remove(session.sessionId));
+    return expired.length;
+}
+
+/**
+ * Append-only JSONL journal per session
+ */
+export class FileSessionStore implements SessionStore {
+    private readonly dir: string;
+    private checkedFiles: Set<string> = new Set();
+    // meetingId -> session IDs, built on first lookup from the journals'
+    // first lines so a lookup does not replay every journal
+    private meetingIndex: Map<string, Set<string>> | null = null;
+
+    constructor(dir = path.join(config.dataDir, 'sessions')) {
+        this.dir = dir;
+        fs.mkdirSync(this.dir, { recursive: true });
+    }
+
+    create(session: BotSession): void {
+        this.indexSession(session.meetingId, session.sessionId);
+        this.append(session.sessionId, { type: 'created', at: new Date().toISOString(), session: { ...session, segments: [], commands: [], pauses: [], chat: [], participants: [] } });
+    }
+
+    appendStatus(session: BotSession, message?: string): void {
+        this.append(session.sessionId, {
+            type: 'status',
+            at: new Date().toISOString(),
+            status: session.status,
+            message,
+            startedAt: session.startedAt,
+            completedAt: session.completedAt,
+        });
+    }
+
+    appendSegment(sessionId: string, segment: Segment): void {
+        this.append(sessionId, { type: 'segment', at: new Date().toISOString(), segment });
+    }
+
+    appendCommand(sessionId: string, command: VoiceCommandEvent): void {
+        this.append(sessionId, { type: 'command', at: new Date().toISOString(), command });
+    }
+
+    recordPauses(sessionId: string, pauses: PauseInterval[]): void {
+        this.append(sessionId, { type: 'pauses', at: new Date().toISOString(), pauses });
+    }
+
+    appendChat(sessionId: string, message: ChatMessage): void {
+        this.append(sessionId, { type: 'chat', at: new Date().toISOString(), message });
+    }
+
+    appendParticipant(sessionId: string, event: ParticipantEvent): void {
+        this.append(sessionId, { type: 'participant', at: new Date().toISOString(), event });
+    }
+
+    markFinalized(sessionId: string): void {
+        this.append(sessionId, { type: 'finalized', at: new Date().toISOString() });
+    }
+
+    markSuperseded(sessionId: string, bySessionId: string): void {
+        this.append(sessionId, { type: 'superseded', at: new Date().toISOString(), sessionId: bySessionId });
+    }
+
+    load(sessionId: string): StoredSession | null {
+        const filePath = this.filePath(sessionId);
+        if (!fs.existsSync(filePath)) return null;
+
+        const entries: JournalEntry[] = [];
+        for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                entries.push(JSON.parse(line));
+            } catch {
+                // A torn final line from a crash mid-write - skip it
+                log.warn('Skipping corrupt journal line', { sessionId });
+            }
+        }
+
+        return replay(entries);
+    }
+
+    list(): StoredSession[] {
+        return fs.readdirSync(this.dir)
+            .filter((file) => file.endsWith('.jsonl'))
+            .map((file) => this.load(path.basename(file, '.jsonl')))
+            .filter((session): session is StoredSession => session !== null)
+            .sort((a, b) => b.updatedAt.getTime() - a.updatedAt.getTime());
+    }
+
+    latestForMeeting(meetingId: string): StoredSession | null {
+        const sessionIds = this.getMeetingIndex().get(meetingId);
+        if (!sessionIds) return null;
+
+        return newest([...sessionIds].map((sessionId) => this.load(sessionId)));
+    }
+
+    remove(sessionId: string): void {
+        fs.rmSync(this.filePath(sessionId), { force: true });
+        this.meetingIndex?.forEach((sessionIds, meetingId) => {
+            if (sessionIds.delete(sessionId) && sessionIds.size === 0) this.meetingIndex!.delete(meetingId);
+        });
+    }
+
+    private getMeetingIndex(): Map<string, Set<string>> {
+        if (this.meetingIndex) return this.meetingIndex;
+
+        this.meetingIndex = new Map();
+        for (const file of fs.readdirSync(this.dir).filter((name) => name.endsWith('.jsonl'))) {
+            const sessionId = path.basename(file, '.jsonl');
+            const meetingId = this.readMeetingId(sessionId);
+            if (meetingId) this.indexSession(meetingId, sessionId);
+        }
+        return this.meetingIndex;
+    }
+
+    private indexSession(meetingId: string, sessionId: string): void {
+        if (!this.meetingIndex) return;
+        const sessionIds = this.meetingIndex.get(meetingId) || new Set();
+        sessionIds.add(sessionId);
+        this.meetingIndex.set(meetingId, sessionIds);
+    }
+
+    /**
+     * Meeting of a journal, from its 'created' entry on the first line
+     */
+    private readMeetingId(sessionId: string): string | null {
+        let fd: number | null = null;
+        try {
+            fd = fs.openSync(this.filePath(sessionId), 'r');
+            const chunks: Buffer[] = [];
+            const buffer = Buffer.alloc(FIRST_LINE_CHUNK);
+            let bytesRead: number;
+            while ((bytesRead = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+                const chunk = buffer.subarray(0, bytesRead);
+                const newline = chunk.indexOf('\n');
+                chunks.push(Buffer.from(newline === -1 ? chunk : chunk.subarray(0, newline)));
+                if (newline !== -1) break;
+            }
+
+            const entry = JSON.parse(Buffer.concat(chunks).toString('utf8')) as JournalEntry;
+            return entry.type === 'created' ? entry.session.meetingId : null;
+        } catch {
+            log.warn('Skipping unreadable journal', { sessionId });
+            return null;
+        } finally {
+            if (fd !== null) fs.closeSync(fd);
+        }
+    }
+
+    private append(sessionId: string, entry: JournalEntry): void {
+        const filePath = this.filePath(sessionId);
+        try {
+            // Synchronous append so the entry is on disk before we move on
+            fs.appendFileSync(filePath, this.linePrefix(filePath) + JSON.stringify(entry) + '\n');
+        } catch (error: any) {
+            log.error('Failed to journal entry', { sessionId, type: entry.type, error: error.message });
+        }
+    }
+
+    /**
+     * Newline needed to start a fresh line after a torn write, checked
+     * once per journal per process
+     */
+    private linePrefix(filePath: string): string {
+        if (this.checkedFiles.has(filePath)) return '';
+        this.checkedFiles.add(filePath);
+
+        if (!fs.existsSync(filePath)) return '';
+        const { size } = fs.statSync(filePath);
+        if (size === 0) return '';
+
+        const lastByte = Buffer.alloc(1);
+        const fd = fs.openSync(filePath, 'r');
+        try {
+            fs.readSync(fd, lastByte, 0, 1, size - 1);
+        } finally {
+            fs.closeSync(fd);
+        }
+        return lastByte.toString() === '\n' ? '' : '\n';
+    }
+
+    private filePath(sessionId: string): string {
+        return path.join(this.dir, `${sessionId.replace(/[^\w-]/g, '_')}.jsonl`);
+    }
+}
+
+/**
+ * Non-durable store, for tests and deployments that opt out of journaling
+ */
+export class MemorySessionStore implements SessionStore {
+    private journals: Map<string, JournalEntry[]> = new Map();
+
+    create(session: BotSession): void {
+        this.journals.set(session.sessionId, [
+            { type: 'created', at: new Date().toISOString(), session: { ...session, segments: [], commands: [], pauses: [], chat: [], participants: [] } },
+        ]);
+    }
+
+    appendStatus(session: BotSession, message?: string): void {
+        this.journals.get(session.sessionId)?.push({
+            type: 'status',
+            at: new Date().toISOString(),
+            status: session.status,
+            message,
+            startedAt: session.startedAt,
+            completedAt: session.completedAt,
+        });
+    }
+
+    appendSegment(sessionId: string, segment: Segment): void {
+        this.journals.get(sessionId)?.push({ type: 'segment', at: new Date().toISOString(), segment: { ...segment } });
+    }
+
+    appendCommand(sessionId: string, command: VoiceCommandEvent): void {
+        this.journals.get(sessionId)?.push({ type: 'command', at: new Date().toISOString(), command });
+    }
+
+    recordPauses(sessionId: string, pauses: PauseInterval[]): void {
+        this.journals.get(sessionId)?.push({ type: 'pauses', at: new Date().toISOString(), pauses: pauses.map((p) => ({ ...p })) });
+    }
+
+    appendChat(sessionId: string, message: ChatMessage): void {
+        this.journals.get(sessionId)?.push({ type: 'chat', at: new Date().toISOString(), message });
+    }
+
+    appendParticipant(sessionId: string, event: ParticipantEvent): void {
+        this.journals.get(sessionId)?.push({ type: 'participant', at: new Date().toISOString(), event });
+    }
+
+    markFinalized(sessionId: string): void {
+        this.journals.get(sessionId)?.push({ type: 'finalized', at: new Date().toISOString() });
+    }
+
+    markSuperseded(sessionId: string, bySessionId: string): void {
+        this.journals.get(sessionId)?.push({ type: 'superseded', at: new Date().toISOString(), sessionId: bySessionId });
+    }
+
+    load(sessionId: string): StoredSession | null {
+        const entries = this.journals.get(sessionId);
+        return entries ? replay(entries) : null;
+    }
+
+    list(): StoredSession[] {
+        return Array.from(this.journals.keys())
+            .map((sessionId) => this.load(sessionId))
+            .filter((session): session is StoredSession => session !== null)
+            .sort((a, b) => b.updatedAt.getTime() - a.updatedAt.getTime());
+    }
+
+    latestForMeeting(meetingId: string): StoredSession | null {
+        return newest(Array.from(this.journals.values())
+            .filter(([created]) => created.type === 'created' && created.session.meetingId === meetingId)
+            .map((entries) => replay(entries)));
+    }
+
+    remove(sessionId: string): void {
+        this.journals.delete(sessionId);
+    }
+}
+
+// Singleton instance
+let instance: SessionStore | null = null;
+
+export function getSessionStore(): SessionStore {
+    if (!instance) {
+        instance = config.sessionStore === 'memory'
+            ? new MemorySessionStore()
+            : new FileSessionStore();
+    }
+    return instance;
+}
+
+export default getSessionStore;
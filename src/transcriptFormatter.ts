@@ -0,0 +1,213 @@
+/**
+ * Transcript Formatter
+ *
+ * Renders session segments as SRT, WebVTT, JSON, Markdown or plain text.
+ */
+
+import { BotSession, Segment } from './types';
+
+export type TranscriptFormat = 'srt' | 'vtt' | 'json' | 'md' | 'txt';
+
+export const TRANSCRIPT_FORMATS: Record<TranscriptFormat, { contentType: string; extension: string }> = {
+    srt: { contentType: 'application/x-subrip; charset=utf-8', extension: 'srt' },
+    vtt: { contentType: 'text/vtt; charset=utf-8', extension: 'vtt' },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+    md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+    txt: { contentType: 'text/plain; charset=utf-8', extension: 'txt' },
+};
+
+/**
+ * Speaking rate used to estimate cue length when a segment has no duration
+ */
+const WORDS_PER_SECOND = 2.5;
+const MIN_CUE_SECONDS = 1;
+
+interface Cue {
+    speaker: string;
+    text: string;
+    start: number;
+    end: number;
+}
+
+/**
+ * Check whether a string is a supported transcript format
+ */
+export function isTranscriptFormat(format: string): format is TranscriptFormat {
+    return Object.prototype.hasOwnProperty.call(TRANSCRIPT_FORMATS, format);
+}
+
+/**
+ * Format seconds as HH:MM:SS plus milliseconds after `separator`
+ */
+function formatTimestamp(seconds: number, separator: ',' | '.'): string {
+    const totalMs = Math.max(0, Math.round(seconds * 1000));
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor((totalMs % 3600000) / 60000);
+    const secs = Math.floor((totalMs % 60000) / 1000);
+    const ms = totalMs % 1000;
+
+    const pad = (n: number, width = 2) => String(n).padStart(width, '0');
+    return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+}
+
+/**
+ * Format seconds as [HH:]MM:SS for human-readable transcripts
+ */
+function formatClock(seconds: number): string {
+    const total = Math.max(0, Math.floor(seconds));
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = total % 60;
+
+    const pad = (n: number) => String(n).padStart(2, '0');
+    return hours > 0 ? `${pad(hours)}:${pad(minutes)}:${pad(secs)}` : `${pad(minutes)}:${pad(secs)}`;
+}
+
+/**
+ * Turn segments into timed cues
+ * Segments captured at a single instant get an end time estimated from
+ * their word count, without running into the next cue
+ */
+function toCues(segments: Segment[]): Cue[] {
+    const sorted = [...segments]
+        .filter((segment) => segment.text.trim().length > 0)
+        .sort((a, b) => a.start - b.start || a.seq - b.seq);
+
+    return sorted.map((segment, i) => {
+        let end = segment.end;
+        if (end - segment.start < MIN_CUE_SECONDS) {
+            const words = segment.text.split(/\s+/).filter((w) => w.length > 0).length;
+            end = segment.start + Math.max(MIN_CUE_SECONDS, words / WORDS_PER_SECOND);
+
+            const next = sorted[i + 1];
+            if (next && next.start > segment.start) {
+                end = Math.min(end, next.start);
+            }
+        }
+
+        return { speaker: segment.speaker, text: segment.text.trim(), start: segment.start, end };
+    });
+}
+
+/**
+ * SubRip subtitles
+ */
+export function formatSrt(segments: Segment[]): string {
+    return toCues(segments)
+        .map((cue, i) => [
+            String(i + 1),
+            `${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}`,
+            `${cue.speaker}: ${cue.text}`,
+        ].join('\n'))
+        .join('\n\n') + '\n';
+}
+
+/**
+ * WebVTT subtitles, with speakers as voice spans
+ */
+export function formatVtt(segments: Segment[]): string {
+    const escape = (text: string) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+    const cues = toCues(segments).map((cue) => [
+        `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}`,
+        `<v ${escape(cue.speaker)}>${escape(cue.text)}`,
+    ].join('\n'));
+
+    return ['WEBVTT', ...cues].join('\n\n') + '\n';
+}
+
+/**
+ * Plain text, one line per segment
+ */
+export function formatText(segments: Segment[]): string {
+    return toCues(segments)
+        .map((cue) => `[${formatClock(cue.start)}] ${cue.speaker}: ${cue.text}`)
+        .join('\n') + '\n';
+}
+
+/**
+ * Markdown, grouping consecutive segments by the same speaker
+ */
+export function formatMarkdown(session: BotSession): string {
+    const lines: string[] = [`# Meeting Transcript`, ''];
+
+    lines.push(`- **Meeting:** ${session.meetingId}`);
+    if (session.startedAt) lines.push(`- **Started:** ${session.startedAt.toISOString()}`);
+    if (session.completedAt) lines.push(`- **Ended:** ${session.completedAt.toISOString()}`);
+    lines.push(`- **Duration:** ${formatClock(getDuration(session))}`);
+    lines.push(`- **Speakers:** ${getSpeakers(session.segments).join(', ') || '-'}`);
+    lines.push('');
+
+    let currentSpeaker: string | null = null;
+    let paragraph: string[] = [];
+
+    const flushParagraph = () => {
+        if (paragraph.length > 0) {
+            lines.push(paragraph.join(' '), '');
+            paragraph = [];
+        }
+    };
+
+    for (const cue of toCues(session.segments)) {
+        if (cue.speaker !== currentSpeaker) {
+            flushParagraph();
+            lines.push(`**${cue.speaker}** _[${formatClock(cue.start)}]_`, '');
+            currentSpeaker = cue.speaker;
+        }
+        paragraph.push(cue.text);
+    }
+    flushParagraph();
+
+    return lines.join('\n');
+}
+
+/**
+ * JSON with session metadata
+ */
+export function formatJson(session: BotSession): string {
+    return JSON.stringify({
+        meetingId: session.meetingId,
+        sessionId: session.sessionId,
+        status: session.status,
+        startedAt: session.startedAt,
+        completedAt: session.completedAt,
+        duration: getDuration(session),
+        speakers: getSpeakers(session.segments),
+        segmentCount: session.segments.length,
+        segments: session.segments,
+    }, null, 2);
+}
+
+/**
+ * Render a session's transcript in the given format
+ */
+export function formatTranscript(session: BotSession, format: TranscriptFormat): string {
+    switch (format) {
+        case 'srt':
+            return formatSrt(session.segments);
+        case 'vtt':
+            return formatVtt(session.segments);
+        case 'md':
+            return formatMarkdown(session);
+        case 'txt':
+            return formatText(session.segments);
+        case 'json':
+            return formatJson(session);
+    }
+}
+
+/**
+ * Session duration in seconds, up to now while still running
+ */
+function getDuration(session: BotSession): number {
+    if (!session.startedAt) return 0;
+    const end = session.completedAt ? session.completedAt.getTime() : Date.now();
+    return (end - session.startedAt.getTime()) / 1000;
+}
+
+/**
+ * Speakers in order of first appearance
+ */
+function getSpeakers(segments: Segment[]): string[] {
+    return Array.from(new Set(segments.map((segment) => segment.speaker)));
+}
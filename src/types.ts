@@ -3,50 +3,265 @@
  */
 
 export interface Segment {
+    seq: number; // Stable per-session sequence number
+    revision: number; // Bumped each time the segment is updated in place
+    final: boolean; // False while captions may still revise it
     speaker: string;
     text: string;
     start: number;
     end: number;
 }
 
+/**
+ * Per-session bot behaviour, resolved from the join request with
+ * config defaults filling any gaps
+ */
+export interface BotOptions {
+    botName: string;
+    maxDurationMinutes: number;
+    captionLanguage: string; // Empty keeps Meet's default caption language
+    introMessage: string; // Empty disables the chat intro
+    priority: number; // Admission queue order; higher joins first
+    voiceCommands: VoiceCommandOptions;
+    leavePolicy: LeavePolicyOptions;
+}
+
+/**
+ * Why a bot left on its own, see src/leavePolicy.ts
+ */
+export type LeaveReason =
+    | 'max_duration_reached'
+    | 'alone_in_meeting'
+    | 'no_captions'
+    | 'organizer_left'
+    | 'calendar_end';
+
+/**
+ * When a bot leaves a meeting that has not ended; 0 minutes disables
+ * the alone and silence triggers
+ */
+export interface LeavePolicyOptions {
+    aloneMinutes: number;
+    silenceMinutes: number; // No captions for this long
+    organizerNames: string[]; // Display names; empty disables the organizer-left trigger
+    organizerLeftGraceMinutes: number;
+    endsAt: string | null; // Calendar end time; null disables the trigger
+    endGraceMinutes: number;
+}
+
+/**
+ * leavePolicy field of a join request; omitted fields take config defaults
+ */
+export type LeavePolicyRequest = Partial<LeavePolicyOptions>;
+
+export type VoiceCommand = 'leave' | 'pause' | 'resume' | 'action_item' | 'bookmark';
+
+/**
+ * Spoken commands the bot listens for in captions
+ */
+export interface VoiceCommandOptions {
+    enabled: boolean;
+    hostOnly: boolean; // Only act on commands spoken by one of hostNames
+    hostNames: string[]; // Organizer display names as they appear on captions
+    phrases: Record<VoiceCommand, string[]>; // An empty list disables that command
+}
+
+/**
+ * Voice command settings of a join request; omitted fields keep the
+ * defaults, and phrases replace the defaults per command
+ */
+export interface VoiceCommandRequest {
+    enabled?: boolean;
+    hostOnly?: boolean;
+    hostNames?: string[];
+    phrases?: Partial<Record<VoiceCommand, string[]>>;
+}
+
+export interface VoiceCommandEvent {
+    command: VoiceCommand;
+    phrase: string; // Registry phrase that matched
+    speaker: string;
+    text: string; // Caption the command was heard in
+    score: number; // Match similarity, 0-1
+    offset: number; // Seconds into the session
+    at: string;
+}
+
+export type MeetingPlatform = 'meet' | 'teams' | 'zoom';
+
+/**
+ * A meeting chat message, incoming or posted by the bot
+ */
+export interface ChatMessage {
+    sender: string;
+    text: string;
+    fromBot: boolean;
+    offset: number; // Seconds into the session
+    at: string;
+}
+
+/**
+ * A chat message addressed to the bot, e.g. "/notu summary"
+ */
+export interface ChatCommand {
+    command: string; // First word after the prefix, lowercased
+    args: string;
+    sender: string;
+    at: string;
+}
+
+/**
+ * A stretch of the meeting the bot sat through without recording
+ */
+export interface PauseInterval {
+    start: number; // Seconds into the session
+    end: number | null; // Null while still paused
+    startedAt: string;
+    endedAt: string | null;
+    source: 'api' | 'voice_command';
+}
+
+/**
+ * A participant joining or leaving, as seen by the bot
+ */
+export interface ParticipantEvent {
+    id: string; // Platform participant ID, or the display name when there is none
+    name: string;
+    action: 'joined' | 'left';
+    count: number; // Other participants in the call after this event
+    offset: number; // Seconds into the session
+    at: string;
+}
+
+/**
+ * A participant's attendance, summarized from the join/leave timeline
+ */
+export interface Participant {
+    id: string;
+    name: string;
+    present: boolean;
+    firstJoinedAt: string;
+    lastLeftAt: string | null;
+    joins: number;
+    attendedSeconds: number;
+}
+
 export interface BotSession {
     sessionId: string;
     meetingId: string;
     url: string;
+    platform: MeetingPlatform;
+    tenantId: string | null; // Owning tenant; null when API auth is disabled
+    profile: string | null; // Pool profile the bot joined as
+    options: BotOptions;
     status: BotStatus;
     segments: Segment[];
+    commands: VoiceCommandEvent[];
+    pauses: PauseInterval[];
+    chat: ChatMessage[];
+    participants: ParticipantEvent[];
     startedAt: Date | null;
     completedAt: Date | null;
     error: string | null;
 }
 
+export type ProfileHealth = 'unknown' | 'healthy' | 'signed_out' | 'blocked' | 'rate_limited';
+
+export interface BotProfile {
+    name: string;
+    dir: string;
+    email: string | null;
+    health: ProfileHealth;
+    healthMessage: string | null;
+    retired: boolean;
+    cooldownUntil: string | null; // ISO 8601, set while rate limited
+    lastUsedAt: string | null;
+    lastCheckedAt: string | null;
+    createdAt: string;
+    leasedBy?: string | null; // Session ID; runtime only, never persisted
+}
+
 export type BotStatus =
     | 'pending'
+    | 'queued'
     | 'joining'
     | 'waiting_admission'
     | 'in_meeting'
     | 'recording'
+    | 'paused' // In the meeting, captions and audio not captured
     | 'leaving'
     | 'completed'
-    | 'failed';
+    | 'failed'
+    | 'auth_required'; // Failed: the bot's Google session needs a human to sign in again
 
 export interface JoinRequest {
     meetingUrl: string;
     meetingId: string;
-    duration?: number;
+    duration?: number; // Max duration in minutes
     botName?: string;
+    captionLanguage?: string;
+    introMessage?: string;
+    priority?: number; // Operators only
+    voiceCommands?: VoiceCommandRequest;
+    leavePolicy?: LeavePolicyRequest;
 }
 
 export interface JoinResponse {
     success: boolean;
     sessionId?: string;
     meetingId?: string;
+    status?: BotStatus;
+    queuePosition?: number; // Set while status is 'queued'
     message?: string;
     error?: string;
 }
 
+export type ScheduleStatus =
+    | 'scheduled'
+    | 'starting'
+    | 'started'
+    | 'failed'
+    | 'missed'
+    | 'cancelled';
+
+export interface ScheduleRequest extends JoinRequest {
+    startAt: string; // ISO 8601 meeting start time
+}
+
+export interface ScheduledJoin {
+    scheduleId: string;
+    tenantId: string | null;
+    meetingId: string;
+    meetingUrl: string;
+    startAt: string;
+    options: Partial<BotOptions>;
+    status: ScheduleStatus;
+    sessionId: string | null;
+    error: string | null;
+    createdAt: string;
+    updatedAt: string;
+}
+
 export interface StopRequest {
     reason?: string;
+    message?: string; // Posted in the meeting chat before leaving, e.g. a summary
+}
+
+export interface ChatRequest {
+    text: string;
+}
+
+export interface ChatResponse {
+    success: boolean;
+    message?: ChatMessage;
+    error?: string;
+}
+
+export interface PauseResponse {
+    success: boolean;
+    status?: BotStatus;
+    pauses?: PauseInterval[];
+    error?: string;
 }
 
 export interface StopResponse {
@@ -60,24 +275,191 @@ export interface StopResponse {
 export interface BotStatusResponse {
     sessionId: string;
     meetingId: string;
+    platform: MeetingPlatform;
     status: BotStatus;
+    queuePosition?: number; // Set while status is 'queued'
     segmentCount: number;
     duration: number;
     lastSegment?: Segment;
 }
 
+export type OutboxJobKind = 'segments' | 'audio_chunk' | 'finalize';
+
+export interface OutboxJob {
+    id: string;
+    kind: OutboxJobKind;
+    meetingId: string;
+    idempotencyKey: string;
+    url: string;
+    payload: any;
+    // Set for raw-body jobs: the body is spooled beside the job as <id>.bin
+    // and the payload travels in the X-Notu-Metadata header
+    contentType?: string;
+    attempts: number;
+    createdAt: string;
+    nextAttemptAt: string;
+    lastError: string | null;
+}
+
+export interface OutboxStats {
+    depth: number;
+    inFlight: number;
+    byKind: Record<string, number>;
+    oldestCreatedAt: string | null;
+    deadLetterCount: number;
+}
+
+export type LiveEventType = 'status' | 'interim' | 'segment' | 'command' | 'chat' | 'participants' | 'ended';
+
+export interface LiveEvent {
+    id: number; // Per-meeting sequence, used to resume a dropped stream
+    meetingId: string;
+    type: LiveEventType;
+    data: any;
+    timestamp: string;
+}
+
 export interface CaptionEvent {
     speaker: string;
     text: string;
 }
 
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error';
+
+export interface LogEntry {
+    time: string;
+    level: LogLevel;
+    component: string;
+    msg: string;
+    sessionId?: string;
+    meetingId?: string;
+    [field: string]: unknown;
+}
+
+export type AudioFormat = 'webm' | 'wav' | 'mp3' | 'flac';
+
+export interface AudioRecordingInfo {
+    sessionId: string;
+    meetingId: string;
+    tenantId: string | null;
+    mimeType: string;
+    chunks: number;
+    bytes: number;
+    durationSeconds: number;
+    startedAt: string | null;
+    completedAt: string | null; // Null while still recording
+    updatedAt: string;
+    remuxed: boolean; // Rewritten by ffmpeg so players can seek
+}
+
+export interface DiagnosticCapture {
+    label: string; // Milestone, e.g. 'navigated', 'joined', 'join_failed'
+    at: string;
+    url: string | null;
+    message?: string;
+    files: string[];
+}
+
+export interface DiagnosticsBundle {
+    sessionId: string;
+    meetingId: string;
+    tenantId: string | null;
+    captures: DiagnosticCapture[];
+    files: string[]; // Session-wide files: trace.zip, join.har
+    updatedAt: string;
+}
+
+export interface WorkerInfo {
+    workerId: string;
+    url: string; // Where other workers forward this worker's meetings
+    activeSessions: number;
+    capacity: number;
+    startedAt: string;
+    heartbeatAt: string;
+}
+
+/**
+ * Which worker owns a meeting, with enough to rejoin it elsewhere
+ */
+export interface MeetingClaim {
+    meetingId: string;
+    workerId: string;
+    url: string;
+    options: Partial<BotOptions>;
+    tenantId: string | null;
+    claimedAt: string;
+}
+
 export interface BotConfig {
     port: number;
     backendUrl: string;
     backendWsUrl: string;
     botName: string;
     maxDurationMinutes: number;
+    captionLanguage: string;
+    introMessage: string;
     flushIntervalMs: number;
+    captionSilenceGapMs: number;
+    captionSpeakerChangeGraceMs: number;
+    dataDir: string;
+    scheduleLeadTimeMs: number;
+    scheduleTickMs: number;
+    scheduleMissedGraceMinutes: number;
+    sessionStore: 'file' | 'memory';
+    sessionRecovery: 'finalize' | 'resume';
+    sessionRetentionHours: number;
+    outboxTickMs: number;
+    outboxConcurrency: number;
+    outboxRequestTimeoutMs: number;
+    outboxMaxAttempts: number;
+    outboxRetryBaseMs: number;
+    outboxRetryMaxMs: number;
+    liveFeedBufferSize: number;
+    liveFeedRetentionMinutes: number;
+    liveFeedHeartbeatMs: number;
+    apiKeys: Record<string, string>; // API key -> tenant ID
+    jwtSecret: string;
+    jwtAudience: string;
+    callbackSigningSecret: string;
+    corsOrigins: string[];
+    maxConcurrentBots: number;
+    maxQueuedJoins: number;
+    minFreeMemoryMb: number;
+    maxCpuLoad: number;
+    chromeProfileDir: string;
+    profilesDir: string;
+    profileCooldownMinutes: number;
+    registryStore: 'memory' | 'redis';
+    redisUrl: string;
+    workerId: string;
+    workerUrl: string;
+    workerHeartbeatMs: number;
+    workerTtlMs: number;
+    logLevel: LogLevel;
+    logFormat: 'json' | 'pretty';
+    logBufferSize: number;
+    diagnosticsEnabled: boolean;
+    diagnosticsTrace: boolean;
+    diagnosticsHar: boolean;
+    diagnosticsConsoleLines: number;
+    audioTransport: 'websocket' | 'postmessage';
+    audioIngestPort: number;
+    audioIngestWindow: number;
+    audioUploadEncoding: 'binary' | 'json';
+    audioRecordingEnabled: boolean;
+    audioRetentionHours: number;
+    ffmpegPath: string;
+    pauseMessage: string;
+    resumeMessage: string;
+    chatCaptureEnabled: boolean;
+    chatCommandPrefix: string;
+    aloneTimeoutMinutes: number;
+    silenceTimeoutMinutes: number;
+    organizerLeftGraceMinutes: number;
+    calendarEndGraceMinutes: number;
+    voiceCommandsEnabled: boolean;
+    voiceCommandsHostOnly: boolean;
+    voiceCommandThreshold: number;
     headless: boolean;
     debug: boolean;
 }
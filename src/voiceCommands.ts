@@ -0,0 +1,134 @@
+/**
+ * Voice Commands
+ *
+ * Phrase registry for commands spoken in the meeting: leave, pause and
+ * resume recording, mark an action item, bookmark the moment. Each
+ * session carries its own registry (defaults below, overridable per join
+ * request); the extension fuzzy-matches captions against it and reports
+ * every command it hears as a `voice_command` message.
+ */
+
+import config from './config';
+import { VoiceCommand, VoiceCommandOptions, VoiceCommandRequest } from './types';
+
+export const VOICE_COMMANDS: VoiceCommand[] = ['leave', 'pause', 'resume', 'action_item', 'bookmark'];
+
+// English and Indonesian; captions drop punctuation, so matching ignores it
+export const DEFAULT_PHRASES: Record<VoiceCommand, string[]> = {
+    leave: [
+        'notetaker, please leave',
+        'note taker, please leave',
+        'bot, please leave',
+        'notu, please leave',
+        'notu silahkan keluar',
+        'notu keluar',
+        'notu out',
+        'notu exit',
+        'bot keluar',
+        'bot silahkan keluar',
+    ],
+    pause: [
+        'notu, pause recording',
+        'notu pause',
+        'notu, stop recording',
+        'notu jeda',
+        'notu, jeda rekaman',
+        'notu berhenti merekam',
+    ],
+    resume: [
+        'notu, resume recording',
+        'notu resume',
+        'notu, continue recording',
+        'notu lanjut',
+        'notu, lanjutkan rekaman',
+        'notu mulai merekam lagi',
+    ],
+    action_item: [
+        'notu, action item',
+        'notu, mark action item',
+        'notu, catat action item',
+        'notu, catat tugas',
+        'notu, tindak lanjut',
+    ],
+    bookmark: [
+        'notu, bookmark this',
+        'notu, bookmark this moment',
+        'notu bookmark',
+        'notu, tandai ini',
+        'notu, tandai momen ini',
+    ],
+};
+
+// Keeps a request from shipping a huge registry to the extension
+const MAX_PHRASES_PER_COMMAND = 20;
+const MAX_PHRASE_LENGTH = 100;
+
+export function isVoiceCommand(value: unknown): value is VoiceCommand {
+    return typeof value === 'string' && (VOICE_COMMANDS as string[]).includes(value);
+}
+
+function isStringList(value: unknown, maxItems: number, maxLength: number): value is string[] {
+    return Array.isArray(value)
+        && value.length <= maxItems
+        && value.every((item) => typeof item === 'string' && item.trim().length > 0 && item.length <= maxLength);
+}
+
+/**
+ * Validate the voiceCommands field of a join request
+ * Returns an error message, or null when valid
+ */
+export function validateVoiceCommandRequest(value: unknown): string | null {
+    if (value === undefined) return null;
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return 'voiceCommands must be an object';
+    }
+
+    const { enabled, hostOnly, hostNames, phrases } = value as Record<string, unknown>;
+
+    if ([enabled, hostOnly].some((v) => v !== undefined && typeof v !== 'boolean')) {
+        return 'voiceCommands.enabled and voiceCommands.hostOnly must be booleans';
+    }
+
+    if (hostNames !== undefined && !isStringList(hostNames, MAX_PHRASES_PER_COMMAND, MAX_PHRASE_LENGTH)) {
+        return 'voiceCommands.hostNames must be a list of names';
+    }
+
+    if (hostOnly === true && !(hostNames as string[] | undefined)?.length) {
+        return 'voiceCommands.hostOnly needs voiceCommands.hostNames';
+    }
+
+    if (phrases !== undefined) {
+        if (!phrases || typeof phrases !== 'object' || Array.isArray(phrases)) {
+            return 'voiceCommands.phrases must map commands to phrase lists';
+        }
+        for (const [command, list] of Object.entries(phrases)) {
+            if (!isVoiceCommand(command)) {
+                return `voiceCommands.phrases: unknown command '${command}'; supported: ${VOICE_COMMANDS.join(', ')}`;
+            }
+            if (!isStringList(list, MAX_PHRASES_PER_COMMAND, MAX_PHRASE_LENGTH)) {
+                return `voiceCommands.phrases.${command} must be a list of up to ${MAX_PHRASES_PER_COMMAND} phrases`;
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Resolve a session's voice command settings, config and default
+ * phrases filling any gaps
+ */
+export function resolveVoiceCommands(request: Partial<VoiceCommandRequest> = {}): VoiceCommandOptions {
+    const phrases = { ...DEFAULT_PHRASES };
+    for (const command of VOICE_COMMANDS) {
+        const override = request.phrases?.[command];
+        if (override) phrases[command] = override.map((phrase) => phrase.trim());
+    }
+
+    return {
+        enabled: request.enabled ?? config.voiceCommandsEnabled,
+        hostOnly: request.hostOnly ?? config.voiceCommandsHostOnly,
+        hostNames: request.hostNames ?? [],
+        phrases,
+    };
+}
@@ -0,0 +1,96 @@
+/**
+ * Worker Proxy
+ *
+ * Forwards a request for a meeting to the worker that owns it, so the
+ * backend can call any instance. Plain responses and SSE streams are piped
+ * through; WebSocket upgrades are spliced onto the owner's socket.
+ */
+
+import http, { IncomingMessage, ServerResponse } from 'http';
+import https from 'https';
+import { Duplex } from 'stream';
+import { Request } from 'express';
+import { WorkerInfo } from './types';
+import config from './config';
+import { createLogger } from './logger';
+
+const log = createLogger('WorkerProxy');
+
+/** Marks a request already forwarded once, so it is never bounced again */
+export const FORWARDED_HEADER = 'x-notu-forwarded-by';
+
+function buildRequest(req: IncomingMessage, worker: WorkerInfo, body?: string): http.ClientRequest {
+    const target = new URL(req.url || '/', worker.url);
+    const headers: http.OutgoingHttpHeaders = { ...req.headers, host: target.host, [FORWARDED_HEADER]: config.workerId };
+
+    if (body !== undefined) {
+        headers['content-type'] = 'application/json';
+        headers['content-length'] = Buffer.byteLength(body);
+        delete headers['transfer-encoding'];
+    }
+
+    const client = target.protocol === 'https:' ? https : http;
+    return client.request(target, { method: req.method, headers });
+}
+
+/**
+ * Forward an Express request to the owning worker and pipe the reply back
+ */
+export function proxyToWorker(req: Request, res: ServerResponse, worker: WorkerInfo): void {
+    // express.json() has already consumed the body stream
+    const body = req.body && Object.keys(req.body).length > 0 ? JSON.stringify(req.body) : undefined;
+    const upstream = buildRequest(req, worker, body);
+
+    upstream.on('response', (upstreamRes) => {
+        res.writeHead(upstreamRes.statusCode || 502, upstreamRes.headers);
+        upstreamRes.pipe(res);
+    });
+
+    upstream.on('error', (error) => {
+        log.error('Forwarding failed', { workerId: worker.workerId, path: req.path, error: error.message });
+        if (!res.headersSent) {
+            res.writeHead(502, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: false, error: `Worker ${worker.workerId} is unreachable` }));
+        } else {
+            res.end();
+        }
+    });
+
+    // Stop an SSE stream upstream when the client goes away
+    res.on('close', () => upstream.destroy());
+
+    upstream.end(body);
+}
+
+/**
+ * Forward a WebSocket upgrade to the owning worker
+ */
+export function proxyUpgrade(req: IncomingMessage, socket: Duplex, head: Buffer, worker: WorkerInfo): void {
+    const upstream = buildRequest(req, worker);
+
+    upstream.on('upgrade', (upstreamRes, upstreamSocket, upstreamHead) => {
+        const lines = [`HTTP/1.1 ${upstreamRes.statusCode} ${upstreamRes.statusMessage}`];
+        for (let i = 0; i < upstreamRes.rawHeaders.length; i += 2) {
+            lines.push(`${upstreamRes.rawHeaders[i]}: ${upstreamRes.rawHeaders[i + 1]}`);
+        }
+        socket.write(lines.join('\r\n') + '\r\n\r\n');
+
+        if (upstreamHead.length > 0) socket.write(upstreamHead);
+        if (head.length > 0) upstreamSocket.write(head);
+
+        upstreamSocket.on('error', () => socket.destroy());
+        socket.on('error', () => upstreamSocket.destroy());
+        upstreamSocket.pipe(socket).pipe(upstreamSocket);
+    });
+
+    // Owner refused the upgrade (e.g. 401/404)
+    upstream.on('response', (upstreamRes) => {
+        socket.end(`HTTP/1.1 ${upstreamRes.statusCode} ${upstreamRes.statusMessage}\r\n\r\n`);
+    });
+
+    upstream.on('error', () => {
+        socket.end('HTTP/1.1 502 Bad Gateway\r\n\r\n');
+    });
+
+    upstream.end();
+}
@@ -0,0 +1,329 @@
+/**
+ * Worker Registry
+ *
+ * Lets several bot-service instances run behind one load balancer. Each
+ * worker heartbeats into a shared store and claims the meetings it runs,
+ * so any instance can forward stop/status/live requests to the owner.
+ * When a worker stops heartbeating, the survivors take over its meetings
+ * and rejoin them.
+ *
+ * The 'redis' store is shared between workers; the 'memory' store is
+ * process-local and only suits a single instance (and tests).
+ */
+
+import { EventEmitter } from 'events';
+import Redis from 'ioredis';
+import config from './config';
+import { createLogger } from './logger';
+import { MeetingClaim, WorkerInfo } from './types';
+
+const log = createLogger('WorkerRegistry');
+
+/**
+ * The meeting is already running on another worker
+ */
+export class MeetingOwnedError extends Error {
+    constructor(public readonly meetingId: string, public readonly workerId: string) {
+        super(`Meeting ${meetingId} is running on worker ${workerId}`);
+        this.name = 'MeetingOwnedError';
+    }
+}
+
+export interface RegistryStore {
+    putWorker(worker: WorkerInfo, ttlMs: number): Promise<void>;
+    removeWorker(workerId: string): Promise<void>;
+    /** Live workers only */
+    listWorkers(): Promise<WorkerInfo[]>;
+    /** Claim a meeting unless another worker owns it; returns the winning claim */
+    claimMeeting(claim: MeetingClaim): Promise<MeetingClaim>;
+    getMeeting(meetingId: string): Promise<MeetingClaim | null>;
+    listMeetings(): Promise<MeetingClaim[]>;
+    /** Drop a claim, only if `workerId` still owns it */
+    releaseMeeting(meetingId: string, workerId: string): Promise<boolean>;
+    /** Move a claim to another worker, only if `fromWorkerId` still owns it */
+    reassignMeeting(meetingId: string, fromWorkerId: string, toWorkerId: string): Promise<boolean>;
+    close(): Promise<void>;
+}
+
+/**
+ * Process-local store for a single instance and tests
+ */
+export class MemoryRegistryStore implements RegistryStore {
+    private workers: Map<string, { worker: WorkerInfo; expiresAt: number }> = new Map();
+    private meetings: Map<string, MeetingClaim> = new Map();
+
+    async putWorker(worker: WorkerInfo, ttlMs: number): Promise<void> {
+        this.workers.set(worker.workerId, { worker: { ...worker }, expiresAt: Date.now() + ttlMs });
+    }
+
+    async removeWorker(workerId: string): Promise<void> {
+        this.workers.delete(workerId);
+    }
+
+    async listWorkers(): Promise<WorkerInfo[]> {
+        const now = Date.now();
+        return Array.from(this.workers.values())
+            .filter((entry) => entry.expiresAt > now)
+            .map((entry) => ({ ...entry.worker }));
+    }
+
+    async claimMeeting(claim: MeetingClaim): Promise<MeetingClaim> {
+        const existing = this.meetings.get(claim.meetingId);
+        if (existing) return { ...existing };
+
+        this.meetings.set(claim.meetingId, { ...claim });
+        return { ...claim };
+    }
+
+    async getMeeting(meetingId: string): Promise<MeetingClaim | null> {
+        const claim = this.meetings.get(meetingId);
+        return claim ? { ...claim } : null;
+    }
+
+    async listMeetings(): Promise<MeetingClaim[]> {
+        return Array.from(this.meetings.values()).map((claim) => ({ ...claim }));
+    }
+
+    async releaseMeeting(meetingId: string, workerId: string): Promise<boolean> {
+        if (this.meetings.get(meetingId)?.workerId !== workerId) return false;
+        return this.meetings.delete(meetingId);
+    }
+
+    async reassignMeeting(meetingId: string, fromWorkerId: string, toWorkerId: string): Promise<boolean> {
+        const claim = this.meetings.get(meetingId);
+        if (claim?.workerId !== fromWorkerId) return false;
+
+        claim.workerId = toWorkerId;
+        claim.claimedAt = new Date().toISOString();
+        return true;
+    }
+
+    async close(): Promise<void> {
+        // Nothing to close
+    }
+}
+
+const WORKER_KEY_PREFIX = 'notu:worker:';
+const WORKERS_SET_KEY = 'notu:workers';
+const MEETINGS_KEY = 'notu:meetings';
+
+// Compare-and-swap on a claim's owner: KEYS[1] hash, ARGV meetingId, expected owner, new claim (or '' to delete)
+const SWAP_CLAIM_SCRIPT = `
+local current = redis.call('HGET', KEYS[1], ARGV[1])
+if not current then return 0 end
+if cjson.decode(current).workerId ~= ARGV[2] then return 0 end
+if ARGV[3] == '' then
+    redis.call('HDEL', KEYS[1], ARGV[1])
+else
+    redis.call('HSET', KEYS[1], ARGV[1], ARGV[3])
+end
+return 1
+`;
+
+/**
+ * Redis-backed store shared by all workers
+ * Workers are TTL'd keys; claims live in one hash keyed by meeting ID
+ */
+export class RedisRegistryStore implements RegistryStore {
+    private redis: Redis;
+
+    constructor(url = config.redisUrl) {
+        this.redis = new Redis(url, { maxRetriesPerRequest: 3 });
+        this.redis.on('error', (error) => {
+            log.error('Redis error', { error: error.message });
+        });
+    }
+
+    async putWorker(worker: WorkerInfo, ttlMs: number): Promise<void> {
+        await this.redis
+            .multi()
+            .set(WORKER_KEY_PREFIX + worker.workerId, JSON.stringify(worker), 'PX', ttlMs)
+            .sadd(WORKERS_SET_KEY, worker.workerId)
+            .exec();
+    }
+
+    async removeWorker(workerId: string): Promise<void> {
+        await this.redis.multi().del(WORKER_KEY_PREFIX + workerId).srem(WORKERS_SET_KEY, workerId).exec();
+    }
+
+    async listWorkers(): Promise<WorkerInfo[]> {
+        const ids = await this.redis.smembers(WORKERS_SET_KEY);
+        if (ids.length === 0) return [];
+
+        const values = await this.redis.mget(ids.map((id) => WORKER_KEY_PREFIX + id));
+        const expired = ids.filter((_, index) => !values[index]);
+        if (expired.length > 0) {
+            await this.redis.srem(WORKERS_SET_KEY, ...expired);
+        }
+
+        return values.filter((value): value is string => !!value).map((value) => JSON.parse(value));
+    }
+
+    async claimMeeting(claim: MeetingClaim): Promise<MeetingClaim> {
+        const created = await this.redis.hsetnx(MEETINGS_KEY, claim.meetingId, JSON.stringify(claim));
+        if (created) return claim;
+        return (await this.getMeeting(claim.meetingId)) || this.claimMeeting(claim);
+    }
+
+    async getMeeting(meetingId: string): Promise<MeetingClaim | null> {
+        const value = await this.redis.hget(MEETINGS_KEY, meetingId);
+        return value ? JSON.parse(value) : null;
+    }
+
+    async listMeetings(): Promise<MeetingClaim[]> {
+        const values = await this.redis.hvals(MEETINGS_KEY);
+        return values.map((value) => JSON.parse(value));
+    }
+
+    async releaseMeeting(meetingId: string, workerId: string): Promise<boolean> {
+        const result = await this.redis.eval(SWAP_CLAIM_SCRIPT, 1, MEETINGS_KEY, meetingId, workerId, '');
+        return result === 1;
+    }
+
+    async reassignMeeting(meetingId: string, fromWorkerId: string, toWorkerId: string): Promise<boolean> {
+        const claim = await this.getMeeting(meetingId);
+        if (!claim) return false;
+
+        const moved = { ...claim, workerId: toWorkerId, claimedAt: new Date().toISOString() };
+        const result = await this.redis.eval(
+            SWAP_CLAIM_SCRIPT, 1, MEETINGS_KEY, meetingId, fromWorkerId, JSON.stringify(moved)
+        );
+        return result === 1;
+    }
+
+    async close(): Promise<void> {
+        await this.redis.quit().catch(() => { });
+    }
+}
+
+export class WorkerRegistry extends EventEmitter {
+    readonly workerId = config.workerId;
+    private readonly startedAt = new Date().toISOString();
+    private heartbeatTimer: NodeJS.Timeout | null = null;
+    private loadProvider = () => ({ activeSessions: 0, capacity: config.maxConcurrentBots });
+
+    constructor(private store: RegistryStore) {
+        super();
+    }
+
+    /**
+     * Start heartbeating and watching for dead workers
+     */
+    async start(): Promise<void> {
+        if (this.heartbeatTimer) return;
+
+        await this.heartbeat();
+        this.heartbeatTimer = setInterval(() => {
+            this.heartbeat()
+                .then(() => this.reap())
+                .catch((error) => log.error('Heartbeat failed', { error: error.message }));
+        }, config.workerHeartbeatMs);
+
+        log.info('Worker registered', { workerId: this.workerId, url: config.workerUrl });
+    }
+
+    /**
+     * Stop heartbeating and deregister
+     * Meetings still claimed are taken over by the other workers
+     */
+    async stop(): Promise<void> {
+        if (this.heartbeatTimer) {
+            clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = null;
+        }
+        await this.store.removeWorker(this.workerId).catch(() => { });
+        await this.store.close();
+    }
+
+    /**
+     * Where heartbeats read this worker's current load from
+     */
+    setLoadProvider(provider: () => { activeSessions: number; capacity: number }): void {
+        this.loadProvider = provider;
+    }
+
+    /**
+     * Claim a meeting for this worker
+     * Returns the owning claim, which belongs to another worker if it
+     * already runs the meeting
+     */
+    claim(meetingId: string, details: Pick<MeetingClaim, 'url' | 'options' | 'tenantId'>): Promise<MeetingClaim> {
+        return this.store.claimMeeting({
+            meetingId,
+            workerId: this.workerId,
+            ...details,
+            claimedAt: new Date().toISOString(),
+        });
+    }
+
+    async release(meetingId: string): Promise<void> {
+        await this.store.releaseMeeting(meetingId, this.workerId).catch((error) => {
+            log.error('Failed to release meeting', { meetingId, error: error.message });
+        });
+    }
+
+    /**
+     * The live worker running a meeting, if it is not this one
+     */
+    async findRemoteOwner(meetingId: string): Promise<WorkerInfo | null> {
+        const claim = await this.store.getMeeting(meetingId);
+        if (!claim || claim.workerId === this.workerId) return null;
+
+        const workers = await this.store.listWorkers();
+        return workers.find((worker) => worker.workerId === claim.workerId) || null;
+    }
+
+    /**
+     * Take over a dead worker's meeting
+     * Only one worker wins, so it is safe for every survivor to try
+     */
+    adopt(claim: MeetingClaim): Promise<boolean> {
+        return this.store.reassignMeeting(claim.meetingId, claim.workerId, this.workerId);
+    }
+
+    listWorkers(): Promise<WorkerInfo[]> {
+        return this.store.listWorkers();
+    }
+
+    listMeetings(): Promise<MeetingClaim[]> {
+        return this.store.listMeetings();
+    }
+
+    private async heartbeat(): Promise<void> {
+        await this.store.putWorker({
+            workerId: this.workerId,
+            url: config.workerUrl,
+            ...this.loadProvider(),
+            startedAt: this.startedAt,
+            heartbeatAt: new Date().toISOString(),
+        }, config.workerTtlMs);
+    }
+
+    /**
+     * Announce meetings whose owner stopped heartbeating
+     * Listeners decide whether to adopt() them
+     */
+    private async reap(): Promise<void> {
+        const live = new Set((await this.store.listWorkers()).map((worker) => worker.workerId));
+        const orphaned = (await this.store.listMeetings()).filter((claim) => !live.has(claim.workerId));
+
+        for (const claim of orphaned) {
+            log.warn('Worker is gone; meeting needs a new owner', { meetingId: claim.meetingId, workerId: claim.workerId });
+            this.emit('orphaned', claim);
+        }
+    }
+}
+
+// Singleton instance
+let instance: WorkerRegistry | null = null;
+
+export function getWorkerRegistry(): WorkerRegistry {
+    if (!instance) {
+        instance = new WorkerRegistry(
+            config.registryStore === 'redis' ? new RedisRegistryStore() : new MemoryRegistryStore()
+        );
+    }
+    return instance;
+}
+
+export default WorkerRegistry;
@@ -0,0 +1,128 @@
+import crypto from 'crypto';
+import { IncomingMessage } from 'http';
+import { afterEach, beforeEach, describe, expect, it } from '@jest/globals';
+import config from '../../src/config';
+import { authenticate, canAccess, signCallback, verifyJwt } from '../../src/auth';
+
+const SECRET = 'test-secret';
+
+function base64Url(value: string | Buffer): string {
+    return Buffer.from(value).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function sign(claims: Record<string, unknown>, secret = SECRET, header: Record<string, unknown> = { alg: 'HS256', typ: 'JWT' }): string {
+    const head = `${base64Url(JSON.stringify(header))}.${base64Url(JSON.stringify(claims))}`;
+    return `${head}.${base64Url(crypto.createHmac('sha256', secret).update(head).digest())}`;
+}
+
+function request(headers: Record<string, string> = {}, url = '/api/bot/sessions'): IncomingMessage {
+    return { headers, url } as unknown as IncomingMessage;
+}
+
+describe('auth', () => {
+    const saved = { ...config };
+    const now = Math.floor(Date.now() / 1000);
+
+    beforeEach(() => {
+        config.apiKeys = { 'key-acme': 'acme', 'key-ops': '*' };
+        config.jwtSecret = SECRET;
+        config.jwtAudience = '';
+        config.callbackSigningSecret = '';
+    });
+
+    afterEach(() => {
+        Object.assign(config, saved);
+    });
+
+    describe('verifyJwt', () => {
+        it('returns the claims of a valid token', () => {
+            expect(verifyJwt(sign({ tenant: 'acme', exp: now + 60 }), SECRET)).toMatchObject({ tenant: 'acme' });
+        });
+
+        it.each([
+            ['two parts', 'a.b', 'Malformed token'],
+            ['undecodable parts', 'a.b.c', 'Malformed token'],
+            ['another algorithm', sign({ tenant: 'acme' }, SECRET, { alg: 'none' }), "Unsupported token algorithm 'none'"],
+            ['another secret', sign({ tenant: 'acme' }, 'other-secret'), 'Invalid token signature'],
+            ['a truncated signature', sign({ tenant: 'acme' }).slice(0, -4), 'Invalid token signature'],
+            ['an expiry beyond the leeway', sign({ exp: now - 31 }), 'Token expired'],
+            ['a start beyond the leeway', sign({ nbf: now + 31 }), 'Token not yet valid'],
+        ])('rejects %s', (_, token, error) => {
+            expect(() => verifyJwt(token, SECRET)).toThrow(error);
+        });
+
+        it('allows 30 seconds of clock skew', () => {
+            expect(() => verifyJwt(sign({ exp: now - 20, nbf: now + 20 }), SECRET)).not.toThrow();
+        });
+
+        it('checks the audience when one is configured', () => {
+            config.jwtAudience = 'notu-bot';
+
+            expect(() => verifyJwt(sign({ aud: ['other', 'notu-bot'] }), SECRET)).not.toThrow();
+            expect(() => verifyJwt(sign({ aud: 'other' }), SECRET)).toThrow('Token audience mismatch');
+            expect(() => verifyJwt(sign({}), SECRET)).toThrow('Token audience mismatch');
+        });
+    });
+
+    describe('authenticate', () => {
+        it.each([
+            ['a bearer API key', request({ authorization: 'Bearer key-acme' }), 'acme', 'api_key'],
+            ['an X-API-Key header', request({ 'x-api-key': 'key-acme' }), 'acme', 'api_key'],
+            ['an access_token query', request({}, '/api/bot/m/live?access_token=key-acme'), 'acme', 'api_key'],
+            ['a JWT tenant claim', request({ authorization: `Bearer ${sign({ tenant: 'acme' })}` }), 'acme', 'jwt'],
+            ['a JWT tid claim', request({ authorization: `Bearer ${sign({ tid: 'acme' })}` }), 'acme', 'jwt'],
+        ])('accepts %s', (_, req, tenantId, method) => {
+            expect(authenticate(req)).toMatchObject({ tenantId, method, operator: false });
+        });
+
+        it('marks operator credentials', () => {
+            expect(authenticate(request({ 'x-api-key': 'key-ops' }))).toMatchObject({ tenantId: '*', operator: true });
+        });
+
+        it.each([
+            ['no credentials', request(), 'Missing credentials'],
+            ['an unknown key', request({ 'x-api-key': 'key-nope' }), 'Invalid credentials'],
+            ['a JWT without a tenant', request({ authorization: `Bearer ${sign({ sub: 'ana' })}` }), 'Token has no tenant claim'],
+        ])('rejects %s', (_, req, error) => {
+            expect(() => authenticate(req)).toThrow(error);
+        });
+
+        it('lets everyone in as operator when auth is not configured', () => {
+            config.apiKeys = {};
+            config.jwtSecret = '';
+
+            expect(authenticate(request())).toMatchObject({ tenantId: null, method: 'none', operator: true });
+        });
+    });
+
+    describe('canAccess', () => {
+        it.each([
+            [{ tenantId: 'acme', operator: false }, 'acme', true],
+            [{ tenantId: 'acme', operator: false }, 'globex', false],
+            [{ tenantId: 'acme', operator: false }, null, false],
+            [{ tenantId: '*', operator: true }, 'globex', true],
+            [undefined, 'acme', false],
+        ])('%p on %p: %p', (auth, tenantId, allowed) => {
+            const context = auth && { ...auth, subject: 'test', method: 'api_key' as const };
+            expect(canAccess(context, tenantId)).toBe(allowed);
+        });
+    });
+
+    describe('signCallback', () => {
+        it('signs nothing without a secret', () => {
+            expect(signCallback('{}', 1700000000)).toEqual({});
+        });
+
+        it('signs the timestamp and body with HMAC-SHA256', () => {
+            config.callbackSigningSecret = 'callback-secret';
+            const body = JSON.stringify({ meetingId: 'abc' });
+            const expected = crypto.createHmac('sha256', 'callback-secret').update(`1700000000.${body}`).digest('hex');
+
+            expect(signCallback(body, 1700000000)).toEqual({
+                'X-Notu-Timestamp': '1700000000',
+                'X-Notu-Signature': `v1=${expected}`,
+            });
+            expect(signCallback(Buffer.from(body), 1700000000)['X-Notu-Signature']).toBe(`v1=${expected}`);
+        });
+    });
+});
@@ -0,0 +1,97 @@
+import { describe, expect, it } from '@jest/globals';
+import { mergeCaptionText, SegmentManager } from '../../src/captionScraper';
+
+describe('mergeCaptionText', () => {
+    it.each([
+        ['prefix growth', 'we should', 'we should ship it', 'we should ship it'],
+        ['retraction', 'we should ship it', 'we should ship', 'we should ship'],
+        ['correction of the last word', 'we should by', 'we should buy it', 'we should buy it'],
+        ['case and punctuation changes', 'so we ship', 'So, we ship.', 'So, we ship.'],
+        ['first caption of a segment', '', 'hello there', 'hello there'],
+    ])('keeps the same line on %s', (_, previous, next, merged) => {
+        expect(mergeCaptionText(previous, next)).toBe(merged);
+    });
+
+    it('appends only the new words of a scrolled line', () => {
+        expect(mergeCaptionText(
+            'the release is blocked on the migration script',
+            'on the migration script which fails on staging'
+        )).toBe('the release is blocked on the migration script which fails on staging');
+    });
+
+    it.each([
+        ['unrelated text', 'we should ship it', 'lunch is at noon today'],
+        ['an overlap shorter than three words', 'a b c d e f g h', 'g h and more words here'],
+        ['a shared prefix under 60% of the shorter line', 'one two three four five', 'one two six seven eight'],
+        ['an empty update', 'we should', '   '],
+    ])('starts a new line on %s', (_, previous, next) => {
+        expect(mergeCaptionText(previous, next)).toBeNull();
+    });
+});
+
+describe('SegmentManager', () => {
+    const options = { silenceGapSec: 3, speakerChangeGraceSec: 1.5 };
+
+    it('revises one open segment while the caption grows', () => {
+        const manager = new SegmentManager([], options, 0);
+
+        const first = manager.addCaption('Ana', 'we should', 1);
+        const second = manager.addCaption('Ana', 'we should ship it', 2);
+
+        expect(first.interim).toMatchObject({ seq: 0, revision: 0, final: false });
+        expect(second.interim).toMatchObject({ seq: 0, revision: 1, text: 'we should ship it', start: 1, end: 2 });
+        expect(second.closed).toEqual([]);
+    });
+
+    it('ignores a rewrite that does not change the text', () => {
+        const manager = new SegmentManager([], options, 0);
+        manager.addCaption('Ana', 'we should', 1);
+
+        expect(manager.addCaption('Ana', 'we should', 1.5)).toEqual({ interim: null, closed: [] });
+    });
+
+    it('closes the segment after a silence gap', () => {
+        const manager = new SegmentManager([], options, 0);
+        manager.addCaption('Ana', 'we should', 1);
+
+        const update = manager.addCaption('Ana', 'we should ship it', 5);
+
+        expect(update.closed).toMatchObject([{ seq: 0, text: 'we should', final: true }]);
+        expect(update.interim).toMatchObject({ seq: 1, text: 'we should ship it', start: 5 });
+    });
+
+    it('closes another speaker only once they went idle', () => {
+        const manager = new SegmentManager([], options, 0);
+        manager.addCaption('Ana', 'we should', 1);
+
+        expect(manager.addCaption('Ben', 'agreed', 2).closed).toEqual([]);
+        expect(manager.addCaption('Ben', 'agreed completely', 3).closed).toMatchObject([{ speaker: 'Ana', final: true }]);
+    });
+
+    it('closes idle segments and flushes only new revisions', () => {
+        const manager = new SegmentManager([], options, 0);
+        manager.addCaption('Ana', 'we should', 1);
+        manager.addCaption('Ben', 'agreed', 1);
+
+        manager.markFlushed(manager.getSegmentsForFlush());
+        expect(manager.getSegmentsForFlush()).toEqual([]);
+        expect(manager.getFlushCursor()).toBe(1);
+
+        expect(manager.closeIdle(2)).toEqual([]);
+        expect(manager.closeIdle(4)).toHaveLength(2);
+        expect(manager.getSegmentsForFlush()).toMatchObject([
+            { seq: 0, revision: 1, final: true },
+            { seq: 1, revision: 1, final: true },
+        ]);
+        expect(manager.getFlushCursor()).toBe(-1);
+    });
+
+    it('restores segments as final and continues their sequence', () => {
+        const manager = new SegmentManager([
+            { speaker: 'Ana', text: 'before the restart', start: 0, end: 2, seq: 4, revision: 2, final: false },
+        ], options, 0);
+
+        expect(manager.getAllSegments()).toMatchObject([{ seq: 4, revision: 2, final: true }]);
+        expect(manager.addCaption('Ana', 'after it', 10).interim).toMatchObject({ seq: 5 });
+    });
+});
@@ -0,0 +1,41 @@
+import { describe, expect, it } from '@jest/globals';
+import { EXTENSION_SOURCE, parseExtensionMessage, PROTOCOL_VERSION } from '../../src/extensionProtocol';
+
+function envelope(type: string, data: unknown, overrides: Record<string, unknown> = {}) {
+    return { source: EXTENSION_SOURCE, version: PROTOCOL_VERSION, type, data, timestamp: 1767603600000, ...overrides };
+}
+
+describe('parseExtensionMessage', () => {
+    it.each([
+        ['caption', { speaker: 'Ana', text: 'we should ship it' }],
+        ['caption with optional fields', { speaker: 'Ana', text: 'hi', start: 1.5, end: 2, index: 3 }],
+        ['status', { status: 'recording' }],
+        ['status with a null optional field', { status: 'failed', error: null }],
+        ['completed', { reason: 'meeting_ended', segments: [], segmentCount: 0, duration: 61.5 }],
+        ['voice_command', { command: 'leave', phrase: 'notu out', speaker: 'Ana', text: 'notu out', score: 1 }],
+        ['participants', { participants: [{ id: 'a', name: 'Ana' }], count: 2 }],
+        ['chat_sent', { requestId: 'r1', ok: false, error: 'Not in the meeting' }],
+    ])('accepts %s', (label, data) => {
+        const type = label.split(' ')[0];
+        const result = parseExtensionMessage(envelope(type, data));
+
+        expect(result).toEqual({ ok: true, message: envelope(type, data) });
+    });
+
+    it.each([
+        ['a non-object', 'caption', 'message is not an object'],
+        ['another source', envelope('caption', {}, { source: 'someone-else' }), "unexpected source 'someone-else'"],
+        ['another version', envelope('caption', {}, { version: 2 }), `unsupported protocol version 2 (expected ${PROTOCOL_VERSION})`],
+        ['an unknown type', envelope('toString', {}), "unknown message type 'toString'"],
+        ['a missing timestamp', envelope('loaded', { url: 'x' }, { timestamp: '1' }), 'loaded: timestamp must be a number'],
+        ['missing data', envelope('loaded', null), 'loaded: data must be an object'],
+        ['a missing field', envelope('caption', { speaker: 'Ana' }), "caption: 'text' must be string"],
+        ['a mistyped optional field', envelope('caption', { speaker: 'Ana', text: 'hi', start: '1' }), "caption: 'start' must be number?"],
+        ['a non-finite number', envelope('flush', { count: NaN, duration: 1 }), "flush: 'count' must be number"],
+        ['an unknown status', envelope('status', { status: 'dancing' }), "status: unknown status 'dancing'"],
+        ['an unknown voice command', envelope('voice_command', { command: 'dance', phrase: 'p', speaker: 's', text: 't', score: 1 }), "voice_command: unknown command 'dance'"],
+        ['a malformed roster entry', envelope('participants', { participants: [{ id: 1, name: 'Ana' }], count: 1 }), 'participants: entries must have a string id and name'],
+    ])('rejects %s', (_, raw, error) => {
+        expect(parseExtensionMessage(raw)).toEqual({ ok: false, error });
+    });
+});
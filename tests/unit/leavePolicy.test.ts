@@ -0,0 +1,168 @@
+import { afterEach, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import { LeavePolicy, validateLeavePolicyRequest } from '../../src/leavePolicy';
+import { Logger } from '../../src/logger';
+import { LeavePolicyOptions } from '../../src/types';
+
+const MINUTE = 60 * 1000;
+
+const log = { info: () => { }, warn: () => { } } as unknown as Logger;
+
+const defaults: LeavePolicyOptions = {
+    aloneMinutes: 0,
+    silenceMinutes: 0,
+    organizerNames: [],
+    organizerLeftGraceMinutes: 0,
+    endsAt: null,
+    endGraceMinutes: 0,
+};
+
+describe('validateLeavePolicyRequest', () => {
+    it.each([
+        [undefined],
+        [{}],
+        [{ aloneMinutes: 0, silenceMinutes: 2.5, organizerNames: ['Ana'], endsAt: '2026-01-05T10:00:00Z', endGraceMinutes: 5 }],
+        [{ endsAt: null }],
+    ])('accepts %p', (value) => {
+        expect(validateLeavePolicyRequest(value)).toBeNull();
+    });
+
+    it.each([
+        [null, 'leavePolicy must be an object'],
+        [[], 'leavePolicy must be an object'],
+        [{ aloneMinutes: -1 }, 'leavePolicy minutes must be non-negative numbers'],
+        [{ silenceMinutes: '5' }, 'leavePolicy minutes must be non-negative numbers'],
+        [{ endGraceMinutes: Infinity }, 'leavePolicy minutes must be non-negative numbers'],
+        [{ organizerNames: 'Ana' }, 'leavePolicy.organizerNames must be a list of names'],
+        [{ organizerNames: ['  '] }, 'leavePolicy.organizerNames must be a list of names'],
+        [{ endsAt: 'tomorrow-ish' }, 'leavePolicy.endsAt must be an ISO 8601 date'],
+    ])('rejects %p', (value, error) => {
+        expect(validateLeavePolicyRequest(value)).toBe(error);
+    });
+});
+
+describe('LeavePolicy', () => {
+    let onLeave: jest.Mock<(reason: string, message: string) => void>;
+
+    function policy(options: Partial<LeavePolicyOptions> = {}, maxDurationMinutes = 240): LeavePolicy {
+        return new LeavePolicy({ ...defaults, ...options }, maxDurationMinutes, log, onLeave);
+    }
+
+    beforeEach(() => {
+        jest.useFakeTimers({ now: Date.parse('2026-01-05T09:00:00Z') });
+        onLeave = jest.fn();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('leaves at the max duration, counted from the original join', () => {
+        const leave = policy({}, 60);
+        leave.start(new Date(Date.now() - 45 * MINUTE));
+
+        jest.advanceTimersByTime(15 * MINUTE - 1);
+        expect(onLeave).not.toHaveBeenCalled();
+
+        jest.advanceTimersByTime(1);
+        expect(onLeave).toHaveBeenCalledWith('max_duration_reached', 'Reached the max duration of 60 minutes');
+    });
+
+    it('leaves after being alone, unless someone comes back', () => {
+        const leave = policy({ aloneMinutes: 5 });
+        leave.start(new Date());
+
+        leave.onParticipants([], 0);
+        jest.advanceTimersByTime(4 * MINUTE);
+        leave.onParticipants(['Ben'], 1);
+        jest.advanceTimersByTime(10 * MINUTE);
+        expect(onLeave).not.toHaveBeenCalled();
+
+        leave.onParticipants([], 0);
+        jest.advanceTimersByTime(5 * MINUTE);
+        expect(onLeave).toHaveBeenCalledWith('alone_in_meeting', expect.any(String));
+    });
+
+    it('stays while captions are heard with an empty roster', () => {
+        const leave = policy({ aloneMinutes: 5 });
+        leave.start(new Date());
+
+        leave.onParticipants([], 0);
+        jest.advanceTimersByTime(3 * MINUTE);
+        leave.onCaption();
+        jest.advanceTimersByTime(2 * MINUTE);
+        expect(onLeave).not.toHaveBeenCalled();
+
+        jest.advanceTimersByTime(5 * MINUTE);
+        expect(onLeave).toHaveBeenCalledWith('alone_in_meeting', expect.any(String));
+    });
+
+    it('leaves after no captions for the silence window, measured from the last one', () => {
+        const leave = policy({ silenceMinutes: 10 });
+        leave.start(new Date());
+
+        jest.advanceTimersByTime(6 * MINUTE);
+        leave.onCaption();
+        jest.advanceTimersByTime(6 * MINUTE);
+        expect(onLeave).not.toHaveBeenCalled();
+
+        jest.advanceTimersByTime(4 * MINUTE);
+        expect(onLeave).toHaveBeenCalledWith('no_captions', 'No captions for 10 minutes');
+    });
+
+    it('does not count silence while paused', () => {
+        const leave = policy({ silenceMinutes: 10 });
+        leave.start(new Date());
+
+        leave.setPaused(true);
+        jest.advanceTimersByTime(30 * MINUTE);
+        leave.setPaused(false);
+        jest.advanceTimersByTime(10 * MINUTE - 1);
+        expect(onLeave).not.toHaveBeenCalled();
+
+        jest.advanceTimersByTime(1);
+        expect(onLeave).toHaveBeenCalledWith('no_captions', expect.any(String));
+    });
+
+    it('leaves once the organizer left, only after they were seen', () => {
+        const leave = policy({ organizerNames: ['Ana Pratama'], organizerLeftGraceMinutes: 2 });
+        leave.start(new Date());
+
+        leave.onParticipants(['Ben'], 1);
+        jest.advanceTimersByTime(10 * MINUTE);
+        expect(onLeave).not.toHaveBeenCalled();
+
+        leave.onParticipants(['Ben', ' ana pratama '], 2);
+        leave.onParticipants(['Ben'], 1);
+        jest.advanceTimersByTime(2 * MINUTE);
+        expect(onLeave).toHaveBeenCalledWith('organizer_left', 'The organizer left the meeting');
+    });
+
+    it('leaves at the calendar end plus grace', () => {
+        const leave = policy({ endsAt: '2026-01-05T09:30:00.000Z', endGraceMinutes: 5 });
+        leave.start(new Date());
+
+        jest.advanceTimersByTime(35 * MINUTE - 1);
+        expect(onLeave).not.toHaveBeenCalled();
+
+        jest.advanceTimersByTime(1);
+        expect(onLeave).toHaveBeenCalledWith('calendar_end', 'Meeting was scheduled to end at 2026-01-05T09:30:00.000Z');
+    });
+
+    it('leaves only once, with the first trigger', () => {
+        const leave = policy({ silenceMinutes: 5 }, 5);
+        leave.start(new Date());
+
+        jest.advanceTimersByTime(60 * MINUTE);
+        expect(onLeave).toHaveBeenCalledTimes(1);
+    });
+
+    it('fires nothing once stopped', () => {
+        const leave = policy({ silenceMinutes: 5, aloneMinutes: 1 }, 5);
+        leave.start(new Date());
+        leave.stop();
+
+        leave.onParticipants([], 0);
+        jest.advanceTimersByTime(60 * MINUTE);
+        expect(onLeave).not.toHaveBeenCalled();
+    });
+});
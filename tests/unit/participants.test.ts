@@ -0,0 +1,80 @@
+import { describe, expect, it } from '@jest/globals';
+import { diffRoster, presentParticipants, summarizeParticipants } from '../../src/participants';
+import { ParticipantEvent } from '../../src/types';
+
+const start = Date.parse('2026-01-05T09:00:00Z');
+
+function event(id: string, name: string, action: ParticipantEvent['action'], offset: number): ParticipantEvent {
+    return { id, name, action, count: 0, offset, at: new Date(start + offset * 1000).toISOString() };
+}
+
+describe('diffRoster', () => {
+    it.each([
+        ['nobody changed', [['a', 'Ana']], [{ id: 'a', name: 'Ana' }], [], []],
+        ['someone joined', [['a', 'Ana']], [{ id: 'a', name: 'Ana' }, { id: 'b', name: 'Ben' }], ['b'], []],
+        ['someone left', [['a', 'Ana'], ['b', 'Ben']], [{ id: 'b', name: 'Ben' }], [], ['a']],
+        ['a rename keeps the ID', [['a', 'Ana']], [{ id: 'a', name: 'Ana (Guest)' }], [], []],
+        ['everyone left', [['a', 'Ana']], [], [], ['a']],
+    ] as [string, [string, string][], { id: string; name: string }[], string[], string[]][])(
+        'reports changes when %s',
+        (_, present, roster, joined, left) => {
+            const diff = diffRoster(new Map(present), roster);
+            expect(diff.joined.map((entry) => entry.id)).toEqual(joined);
+            expect(diff.left.map((entry) => entry.id)).toEqual(left);
+        }
+    );
+
+    it('reports a leaver under the name they had', () => {
+        expect(diffRoster(new Map([['a', 'Ana']]), []).left).toEqual([{ id: 'a', name: 'Ana' }]);
+    });
+});
+
+describe('presentParticipants', () => {
+    it('replays the timeline into who is present', () => {
+        const present = presentParticipants([
+            event('a', 'Ana', 'joined', 0),
+            event('b', 'Ben', 'joined', 5),
+            event('a', 'Ana', 'left', 10),
+        ]);
+
+        expect([...present]).toEqual([['b', 'Ben']]);
+    });
+});
+
+describe('summarizeParticipants', () => {
+    it('adds up attendance over rejoins, in order of first join', () => {
+        const summary = summarizeParticipants([
+            event('b', 'Ben', 'joined', 0),
+            event('a', 'Ana', 'joined', 10),
+            event('a', 'Ana', 'left', 70),
+            event('a', 'Ana (Guest)', 'joined', 100),
+            event('b', 'Ben', 'left', 120),
+        ], new Date(start + 130 * 1000));
+
+        expect(summary).toEqual([
+            {
+                id: 'b',
+                name: 'Ben',
+                present: false,
+                firstJoinedAt: '2026-01-05T09:00:00.000Z',
+                lastLeftAt: '2026-01-05T09:02:00.000Z',
+                joins: 1,
+                attendedSeconds: 120,
+            },
+            {
+                id: 'a',
+                name: 'Ana (Guest)',
+                present: true,
+                firstJoinedAt: '2026-01-05T09:00:10.000Z',
+                lastLeftAt: '2026-01-05T09:01:10.000Z',
+                joins: 2,
+                // 60s, then 30s still present at the cut-off
+                attendedSeconds: 90,
+            },
+        ]);
+    });
+
+    it('ignores a leave with no join before it', () => {
+        expect(summarizeParticipants([event('a', 'Ana', 'left', 5)])).toEqual([]);
+    });
+});
@@ -0,0 +1,85 @@
+import { describe, expect, it } from '@jest/globals';
+import { formatMarkdown, formatSrt, formatText, formatVtt, isTranscriptFormat } from '../../src/transcriptFormatter';
+import { BotSession, Segment } from '../../src/types';
+
+function segment(seq: number, speaker: string, text: string, start: number, end = start): Segment {
+    return { seq, revision: 0, final: true, speaker, text, start, end };
+}
+
+describe('transcript formats', () => {
+    it('writes SRT cues in start order with their own times', () => {
+        const srt = formatSrt([
+            segment(1, 'Ben', 'Agreed.', 3725.5, 3727),
+            segment(0, 'Ana', 'We should ship it.', 1.25, 3.5),
+        ]);
+
+        expect(srt).toBe([
+            '1',
+            '00:00:01,250 --> 00:00:03,500',
+            'Ana: We should ship it.',
+            '',
+            '2',
+            '01:02:05,500 --> 01:02:07,000',
+            'Ben: Agreed.',
+            '',
+        ].join('\n'));
+    });
+
+    it.each([
+        // 5 words at 2.5 words per second
+        ['from the word count', [segment(0, 'Ana', 'one two three four five', 10)], '00:00:10.000 --> 00:00:12.000'],
+        ['of at least a second', [segment(0, 'Ana', 'ok', 10, 10.2)], '00:00:10.000 --> 00:00:11.000'],
+        ['up to the next cue', [segment(0, 'Ana', 'one two three four five', 10), segment(1, 'Ben', 'yes', 11)], '00:00:10.000 --> 00:00:11.000'],
+    ])('estimates the end of an instant segment %s', (_, segments, timing) => {
+        expect(formatVtt(segments).split('\n\n')[1].split('\n')[0]).toBe(timing);
+    });
+
+    it('escapes WebVTT voice spans and skips empty segments', () => {
+        expect(formatVtt([
+            segment(0, 'Ana <PM>', 'a < b & c', 0, 2),
+            segment(1, 'Ben', '   ', 3, 4),
+        ])).toBe('WEBVTT\n\n00:00:00.000 --> 00:00:02.000\n<v Ana &lt;PM&gt;>a &lt; b &amp; c\n');
+    });
+
+    it('prefixes plain text lines with a clock', () => {
+        expect(formatText([segment(0, 'Ana', 'Hi', 65, 66), segment(1, 'Ben', 'Hello', 3600, 3601)]))
+            .toBe('[01:05] Ana: Hi\n[01:00:00] Ben: Hello\n');
+    });
+
+    it('groups consecutive Markdown segments by speaker', () => {
+        const session = {
+            meetingId: 'abc-defg-hij',
+            startedAt: new Date('2026-01-05T09:00:00Z'),
+            completedAt: new Date('2026-01-05T09:01:30Z'),
+            segments: [
+                segment(0, 'Ana', 'We should', 0, 2),
+                segment(1, 'Ana', 'ship it.', 2, 4),
+                segment(2, 'Ben', 'Agreed.', 5, 6),
+            ],
+        } as BotSession;
+
+        expect(formatMarkdown(session)).toBe([
+            '# Meeting Transcript',
+            '',
+            '- **Meeting:** abc-defg-hij',
+            '- **Started:** 2026-01-05T09:00:00.000Z',
+            '- **Ended:** 2026-01-05T09:01:30.000Z',
+            '- **Duration:** 01:30',
+            '- **Speakers:** Ana, Ben',
+            '',
+            '**Ana** _[00:00]_',
+            '',
+            'We should ship it.',
+            '',
+            '**Ben** _[00:05]_',
+            '',
+            'Agreed.',
+            '',
+        ].join('\n'));
+    });
+
+    it('recognizes only the supported formats', () => {
+        expect(isTranscriptFormat('srt')).toBe(true);
+        expect(isTranscriptFormat('toString')).toBe(false);
+    });
+});
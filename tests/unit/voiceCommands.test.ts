@@ -0,0 +1,84 @@
+import fs from 'fs';
+import path from 'path';
+import vm from 'vm';
+import { afterEach, beforeEach, describe, expect, it, jest } from '@jest/globals';
+
+// extension/voiceCommands.js is a content script; run it against a bare window
+function loadVoiceCommands(): any {
+    const source = fs.readFileSync(path.join(__dirname, '../../extension/voiceCommands.js'), 'utf8');
+    const window: any = {};
+    vm.runInNewContext(source, { window, Date });
+    return window.NotuBot.voiceCommands;
+}
+
+const { createMatcher, normalize } = loadVoiceCommands();
+
+const settings = {
+    enabled: true,
+    hostOnly: false,
+    hostNames: [],
+    phrases: {
+        leave: ['notu silahkan keluar', 'notu out'],
+        pause: ['notetaker, pause recording'],
+    },
+    threshold: 0.8,
+};
+
+describe('voice command matching', () => {
+    let now = 1_000_000;
+
+    beforeEach(() => {
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('drops case, accents and punctuation', () => {
+        expect(normalize('Notu, SILÁHKAN keluar!')).toBe('notu silahkan keluar');
+    });
+
+    it.each([
+        ['the exact phrase', 'ok notu silahkan keluar', 'leave'],
+        ['a misspelled word', 'notu silakan keluar', 'leave'],
+        ['a word the captions split', 'note taker pause recording', 'pause'],
+        ['a short phrase at the end of a caption', 'thanks everyone notu out', 'leave'],
+    ])('matches %s', (_, text, command) => {
+        expect(createMatcher(settings).match('Ana', text)).toMatchObject({ command });
+    });
+
+    it.each([
+        ['everyday speech near a short phrase', 'it is not out yet'],
+        ['a phrase too far off', 'nanti kita keluar saja'],
+        ['a phrase spoken early in a long caption', 'notu silahkan keluar one two three four five six seven eight nine ten'],
+    ])('ignores %s', (_, text) => {
+        expect(createMatcher(settings).match('Ana', text)).toBeNull();
+    });
+
+    it('reports the similarity score', () => {
+        expect(createMatcher(settings).match('Ana', 'notu silakan keluar').score).toBe(0.95);
+    });
+
+    it('fires once per speaker and command within the cooldown', () => {
+        const matcher = createMatcher(settings);
+
+        expect(matcher.match('Ana', 'notu out')).not.toBeNull();
+        expect(matcher.match('Ana', 'notu out')).toBeNull();
+        expect(matcher.match('Ben', 'notu out')).not.toBeNull();
+
+        now += 30_000;
+        expect(matcher.match('Ana', 'notu out')).not.toBeNull();
+    });
+
+    it('only listens to hosts when hostOnly is set', () => {
+        const matcher = createMatcher({ ...settings, hostOnly: true, hostNames: ['Ana Pratama'] });
+
+        expect(matcher.match('Ben', 'notu out')).toBeNull();
+        expect(matcher.match('ana pratama', 'notu out')).toMatchObject({ command: 'leave' });
+    });
+
+    it('matches nothing when disabled', () => {
+        expect(createMatcher({ ...settings, enabled: false }).match('Ana', 'notu out')).toBeNull();
+    });
+});